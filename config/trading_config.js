@@ -2,34 +2,168 @@
 
 require('dotenv').config();
 
+// "0.95,0.99" -> [0.95, 0.99]
+function parseNumberList(value, fallback) {
+  const list = String(value || '').split(',').map(Number).filter((x) => Number.isFinite(x) && x > 0);
+  return list.length ? list : fallback;
+}
+
+// "BTC-USD:vol_target,ETH-USD:kelly" -> { 'BTC-USD': 'vol_target', 'ETH-USD': 'kelly' }
+function parseSymbolMap(value) {
+  const map = {};
+  for (const pair of String(value || '').split(',')) {
+    const [symbol, v] = pair.split(':').map((x) => x.trim());
+    if (symbol && v) map[symbol] = v.toLowerCase();
+  }
+  return map;
+}
+
 const config = {
   aster: {
     baseUrl: process.env.ASTER_BASE_URL || 'https://api.aster.exchange',
     wsUrl: process.env.ASTER_WS_URL || 'wss://ws.aster.exchange/stream',
     apiKey: process.env.ASTER_API_KEY || '',
     authHeader: process.env.ASTER_AUTH_HEADER || 'Authorization',
-    authScheme: process.env.ASTER_AUTH_SCHEME || 'Bearer'
+    authScheme: process.env.ASTER_AUTH_SCHEME || 'Bearer',
+    recvWindowMs: Number(process.env.RECV_WINDOW_MS || 5000),
+    timeSyncIntervalMs: Number(process.env.TIME_SYNC_INTERVAL_MS || 10 * 60 * 1000)
   },
   trading: {
     symbols: (process.env.SYMBOLS || 'BTC-USD,ETH-USD').split(','),
     maxConcurrentOrders: Number(process.env.MAX_CONCURRENT_ORDERS || 3),
     baseOrderSizeUsd: Number(process.env.BASE_ORDER_SIZE_USD || 100),
+    symbolInfoTtlMs: Number(process.env.SYMBOL_INFO_TTL_MS || 60 * 60 * 1000),
+    positionMode: (process.env.POSITION_MODE || 'oneway').toLowerCase(), // oneway | hedge
+    allowShorts: String(process.env.ALLOW_SHORTS || 'true').toLowerCase() !== 'false',
+    allowFlip: String(process.env.ALLOW_FLIP || 'false').toLowerCase() === 'true',
+    leverage: Number(process.env.LEVERAGE || 0), // 0 leaves the exchange setting untouched
+    marginType: process.env.MARGIN_TYPE ? process.env.MARGIN_TYPE.toUpperCase() : null, // ISOLATED | CROSSED
+    // fixed_usd | risk_to_stop | vol_target | kelly; every decision records the model and its inputs
+    sizing: {
+      model: (process.env.SIZING_MODEL || 'risk_to_stop').toLowerCase(),
+      perSymbol: parseSymbolMap(process.env.SIZING_MODELS),
+      fixedUsd: Number(process.env.BASE_ORDER_SIZE_USD || 100),
+      riskPct: Number(process.env.SIZING_RISK_PCT || 0.5), // % of equity lost if the stop is hit
+      targetVolPct: Number(process.env.SIZING_TARGET_VOL_PCT || 20), // annualized position volatility
+      kellyMultiplier: Number(process.env.SIZING_KELLY_MULTIPLIER || 0.5), // half Kelly
+      kellyMinTrades: Number(process.env.SIZING_KELLY_MIN_TRADES || 20),
+      fallbackModel: (process.env.SIZING_FALLBACK_MODEL || 'risk_to_stop').toLowerCase() // when kelly lacks history
+    },
+    // Debouncing between a decision and its orders, per symbol; signal = confidence signed by direction
+    signals: {
+      confirmations: Number(process.env.SIGNAL_CONFIRMATIONS || 3), // same-direction signals in a row before trading
+      // bars: distinct 5m bars; evaluations: every decision, which runs on each ticker message (several a second)
+      confirmBy: (process.env.SIGNAL_CONFIRM_BY || 'bars').toLowerCase(),
+      entryThreshold: Number(process.env.SIGNAL_ENTRY_THRESHOLD || 0.3), // to open or add
+      exitThreshold: Number(process.env.SIGNAL_EXIT_THRESHOLD || 0.15), // to close or flip a held position
+      cooldownMs: Number(process.env.SIGNAL_COOLDOWN_MS || 5 * 60 * 1000), // after each filled trade
+      minHoldMs: Number(process.env.MIN_HOLD_MS || 15 * 60 * 1000) // before a signal may close a position
+    },
     risk: {
       maxPositionUsd: Number(process.env.MAX_POSITION_USD || 5000),
       maxDailyLossUsd: Number(process.env.MAX_DAILY_LOSS_USD || 1000),
       stopLossBps: Number(process.env.STOP_LOSS_BPS || 100),
-      takeProfitBps: Number(process.env.TAKE_PROFIT_BPS || 200)
+      takeProfitBps: Number(process.env.TAKE_PROFIT_BPS || 200),
+      // Portfolio-wide caps checked before every order that adds exposure; 0 disables a limit.
+      // Per-symbol notional uses maxPositionUsd, working orders use maxConcurrentOrders.
+      exposure: {
+        maxGrossUsd: Number(process.env.MAX_GROSS_EXPOSURE_USD || 15000),
+        maxNetUsd: Number(process.env.MAX_NET_EXPOSURE_USD || 10000),
+        maxOpenPositions: Number(process.env.MAX_OPEN_POSITIONS || 3),
+        maxLeverage: Number(process.env.MAX_LEVERAGE || 3) // gross notional / equity
+      },
+      // New entries are scaled down until neither limit is exceeded; 0 disables a limit
+      correlation: {
+        lookback: Number(process.env.CORRELATION_LOOKBACK || 50), // closed 1h returns per symbol
+        threshold: Number(process.env.CORRELATION_THRESHOLD || 0.3), // |rho| below this counts as unrelated
+        maxCorrelatedUsd: Number(process.env.MAX_CORRELATED_EXPOSURE_USD || 7500), // correlation-weighted net notional
+        maxConcentration: Number(process.env.MAX_CONCENTRATION_HHI || 0.6) // Herfindahl index of position weights
+      },
+      // Portfolio Value-at-Risk from the held symbols' 1h return history. Every confidence/horizon pair is
+      // reported on decisions; the first pair (worse of historical and parametric) is held to the budget.
+      var: {
+        lookback: Number(process.env.VAR_LOOKBACK || 168), // closed 1h returns
+        confidences: parseNumberList(process.env.VAR_CONFIDENCE, [0.95, 0.99]),
+        horizonsHours: parseNumberList(process.env.VAR_HORIZON_HOURS, [1, 24]),
+        maxUsd: Number(process.env.VAR_BUDGET_USD || 500), // 0 disables
+        maxPctEquity: Number(process.env.VAR_BUDGET_PCT || 5) // 0 disables; the tighter budget applies
+      },
+      // Checked in order before every opening order (see execution/pre_trade_checks.js); 0 disables a guard
+      preTrade: {
+        allowSymbols: (process.env.SYMBOL_ALLOWLIST || '').split(',').map((x) => x.trim()).filter(Boolean), // empty allows all
+        denySymbols: (process.env.SYMBOL_DENYLIST || '').split(',').map((x) => x.trim()).filter(Boolean),
+        maxOrderUsd: Number(process.env.MAX_ORDER_NOTIONAL_USD || 5000),
+        maxQuantity: parseSymbolMap(process.env.MAX_ORDER_QTY), // BTC-USD:0.5,ETH-USD:10
+        maxPriceDeviationBps: Number(process.env.MAX_PRICE_DEVIATION_BPS || 100), // from book mid and mark price
+        maxOrdersPerMinute: Number(process.env.MAX_ORDERS_PER_MINUTE || 6), // per symbol
+        duplicateWindowMs: Number(process.env.DUPLICATE_ORDER_WINDOW_MS || 5000),
+        maxMarketDataAgeMs: Number(process.env.MAX_MARKET_DATA_AGE_MS || 15000)
+      },
+      // Liquidation distance and account margin ratio (maintenance margin / equity) on every account read
+      margin: {
+        maintMarginRate: Number(process.env.MAINT_MARGIN_RATE || 0.004), // for liquidation estimates when the exchange reports none
+        warnRatio: Number(process.env.MARGIN_RATIO_WARN || 0.5), // alert and reduce positions at or above; 0 disables
+        reducePct: Number(process.env.MARGIN_REDUCE_PCT || 25), // share of every position closed per reduction
+        reduceCooldownMs: Number(process.env.MARGIN_REDUCE_COOLDOWN_MS || 60000),
+        alertAtr: Number(process.env.LIQUIDATION_ALERT_ATR || 3) // alert when the mark is fewer 1h ATRs from liquidation
+      },
+      // Latched per UTC day; cleared at the next session or via POST /api/risk/override
+      killSwitch: {
+        stateFile: process.env.RISK_STATE_FILE || 'data/risk_state.json',
+        maxDrawdownPct: Number(process.env.MAX_DRAWDOWN_PCT || 10), // from the session's peak equity
+        flatten: String(process.env.KILL_SWITCH_FLATTEN || 'false').toLowerCase() === 'true'
+      },
+      trailing: {
+        mode: process.env.TRAILING_STOP_MODE || 'atr', // atr | percent | off
+        atrMultiplier: Number(process.env.TRAILING_ATR_MULT || 2),
+        percent: Number(process.env.TRAILING_STOP_PCT || 1.5),
+        breakEvenR: Number(process.env.BREAK_EVEN_R || 1),
+        breakEvenBufferBps: Number(process.env.BREAK_EVEN_BUFFER_BPS || 5),
+        minStepBps: Number(process.env.TRAILING_MIN_STEP_BPS || 10),
+        maxHoldMinutes: Number(process.env.MAX_HOLD_MINUTES || 0) // 0 disables time exits
+      }
+    },
+    execution: {
+      algo: (process.env.EXECUTION_ALGO || 'market').toLowerCase(), // market | maker | twap | iceberg
+      largeOrderUsd: Number(process.env.LARGE_ORDER_USD || 2000),
+      largeOrderAlgo: (process.env.LARGE_ORDER_ALGO || 'iceberg').toLowerCase(),
+      repriceMs: Number(process.env.MAKER_REPRICE_MS || 5000),
+      makerTimeoutMs: Number(process.env.MAKER_TIMEOUT_MS || 30000),
+      fallbackToMarket: String(process.env.MAKER_FALLBACK_TO_MARKET || 'true').toLowerCase() !== 'false',
+      twapSlices: Number(process.env.TWAP_SLICES || 5),
+      twapIntervalMs: Number(process.env.TWAP_INTERVAL_MS || 10000),
+      icebergClipUsd: Number(process.env.ICEBERG_CLIP_USD || 500)
+    },
+    protection: {
+      enabled: String(process.env.PROTECTIVE_ORDERS || 'true').toLowerCase() !== 'false',
+      workingType: process.env.PROTECTIVE_WORKING_TYPE || 'MARK_PRICE',
+      stopRetries: Number(process.env.PROTECTIVE_STOP_RETRIES || 2) // then the position is closed at market
+    },
+    // DRY_RUN=true routes orders to a simulated broker fed by live market data
+    paper: {
+      enabled: String(process.env.PAPER_TRADING || 'true').toLowerCase() !== 'false',
+      stateFile: process.env.PAPER_STATE_FILE || 'data/paper_state.json',
+      startingBalanceUsd: Number(process.env.PAPER_BALANCE_USD || 10000),
+      makerFeeBps: Number(process.env.PAPER_MAKER_FEE_BPS || 2),
+      takerFeeBps: Number(process.env.PAPER_TAKER_FEE_BPS || 4),
+      slippageModel: (process.env.PAPER_SLIPPAGE_MODEL || 'book').toLowerCase(), // book: walk live depth | fixed: touch price
+      slippageBps: Number(process.env.PAPER_SLIPPAGE_BPS || 1), // extra adverse slippage on every taker fill
+      leverage: Number(process.env.PAPER_LEVERAGE || 10)
     }
   },
   rateLimit: {
     maxRequestsPerSecond: Number(process.env.RATE_LIMIT_RPS || 5),
     maxConcurrent: Number(process.env.RATE_LIMIT_CONCURRENCY || 2),
-    reservoir: Number(process.env.RATE_LIMIT_RESERVOIR || 50),
-    reservoirRefreshAmount: Number(process.env.RATE_LIMIT_RESERVOIR_REFRESH_AMOUNT || 50),
-    reservoirRefreshIntervalMs: Number(process.env.RATE_LIMIT_RESERVOIR_REFRESH_INTERVAL_MS || 10000)
+    // Exchange limits per IP/account; headers from each response keep our counters in sync
+    weightPerMinute: Number(process.env.RATE_LIMIT_WEIGHT_PER_MIN || 2400),
+    ordersPer10s: Number(process.env.RATE_LIMIT_ORDERS_PER_10S || 300),
+    ordersPerMinute: Number(process.env.RATE_LIMIT_ORDERS_PER_MIN || 1200),
+    headroom: Number(process.env.RATE_LIMIT_HEADROOM || 0.9),
+    marketDataShare: Number(process.env.RATE_LIMIT_MARKET_DATA_SHARE || 0.8)
   },
   server: {
-    port: Number(process.env.PORT || 3000)
+    port: Number(process.env.PORT || 3000),
+    riskOverrideToken: process.env.RISK_OVERRIDE_TOKEN || '' // empty disables the manual override endpoint
   }
 };
 
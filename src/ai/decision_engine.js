@@ -2,7 +2,20 @@
 
 const { analyzeMultiTimeframe } = require('../strategies/technical_analyzer');
 const { fuseSentiment } = require('../strategies/sentiment_engine');
-const { capOrderSizeUsd, shouldHaltTrading, computeStops, detectRegime, positionSizeUsd, marketCircuitBreaker } = require('../strategies/risk_manager');
+const {
+  capOrderSizeUsd,
+  computeStops,
+  detectRegime,
+  circuitBreakerReasons,
+  accountHaltReasons,
+  advancedRiskCheck,
+  priceChangePct,
+  returnsFromCandles,
+  measureVolatility
+} = require('../strategies/risk_manager');
+const { sizePosition } = require('../strategies/position_sizing');
+const { correlationMatrix, correlationSizing, netNotional } = require('../strategies/correlation');
+const { portfolioVaR, varBudgetUsd } = require('../strategies/value_at_risk');
 const { decisionPrompt } = require('./prompt_templates');
 const { trading } = require('../../config/trading_config');
 const axios = require('axios');
@@ -113,10 +126,89 @@ async function consultDeepSeek({ prompt }) {
   }
 }
 
-async function decideTrade({ symbol, candles, events, positions, multiTf, recentTrades }) {
-  const circuit = marketCircuitBreaker({ change1hPct: 0, change5mPct: 0, orderbookImbalance: 0 });
-  if (shouldHaltTrading({ realizedPnlTodayUsd: 0, circuitBreaker: circuit })) {
-    return { action: 'hold', reason: 'risk_halt' };
+// Open positions keyed by symbol, the shape analyzePortfolioCorrelation expects
+function heldPositions(positions) {
+  const held = {};
+  for (const [symbol, usd] of Object.entries(netNotional(positions?.positions || []))) {
+    if (usd) held[symbol] = { notionalValue: usd };
+  }
+  return held;
+}
+
+// New entries are scaled down (or blocked) when they would push correlated exposure or
+// concentration over the limits; orders against the current position pass untouched
+function limitCorrelatedEntry({ symbol, action, sizeUsd, positions, risk = {} }) {
+  if ((action !== 'buy' && action !== 'sell') || !(sizeUsd > 0)) return null;
+  const held = positions?.positions || [];
+  const current = netNotional(held)[symbol] || 0;
+  if ((action === 'buy' && current < 0) || (action === 'sell' && current > 0)) return null;
+  return correlationSizing({
+    symbol,
+    side: action,
+    sizeUsd,
+    positions: held,
+    correlation: risk.correlation || correlationMatrix(risk.priceHistory)
+  });
+}
+
+// risk: RiskGovernor snapshot plus priceHistory: { [symbol]: returns } from the runner.
+// A governor's latched halt replaces the stateless daily loss / drawdown check.
+function assessRisk({ symbol, candles, events, positions, multiTf, risk = {} }) {
+  const c5 = multiTf?.candles5m || candles || [];
+  const c1 = multiTf?.candles1h || candles || [];
+  const inputs = {
+    change5mPct: priceChangePct(c5, 1),
+    change1hPct: priceChangePct(c1, 1),
+    orderbookImbalance: Number(events?.market?.orderbook?.imbalance) || 0,
+    realizedPnlTodayUsd: Number(risk.realizedPnlTodayUsd) || 0,
+    dailyPnlUsd: risk.dailyPnlUsd ?? null,
+    drawdownFromPeakPct: Number(risk.drawdownFromPeakPct) || 0
+  };
+  const volatility = measureVolatility(returnsFromCandles(c5, 120));
+  const portfolio = advancedRiskCheck({
+    positions: heldPositions(positions),
+    priceHistory: { ...risk.priceHistory, [symbol]: risk.priceHistory?.[symbol] || returnsFromCandles(c1) },
+    volatilityMetrics: volatility
+  });
+  const account = risk.halted !== undefined ? (risk.halted?.reasons || []) : accountHaltReasons(inputs);
+  const haltReasons = [
+    ...circuitBreakerReasons(inputs),
+    ...account,
+    ...portfolio.reasons
+  ];
+  return {
+    haltReasons,
+    inputs: { ...inputs, volatility, correlation: portfolio.correlation }
+  };
+}
+
+// VaR of the current book at every configured level, plus the budget figure with this decision's entry added
+function reportVaR({ symbol, action, sizeUsd, positions, priceHistory, candles }) {
+  const history = { ...priceHistory, [symbol]: priceHistory?.[symbol] || returnsFromCandles(candles, trading.risk.var.lookback) };
+  const net = netNotional(positions?.positions || []);
+  const current = portfolioVaR(net, history);
+  let withTradeUsd = current.varUsd;
+  if ((action === 'buy' || action === 'sell') && sizeUsd > 0) {
+    const withTrade = { ...net, [symbol]: (net[symbol] || 0) + (action === 'buy' ? sizeUsd : -sizeUsd) };
+    withTradeUsd = portfolioVaR(withTrade, history).varUsd;
+  }
+  return { ...current, withTradeUsd, budgetUsd: varBudgetUsd(positions?.equityUsd) };
+}
+
+// tradeHistory: logged trades (with realized pnl on closes) for history-based sizing
+async function decideTrade({ symbol, candles, events, positions, multiTf, recentTrades, risk, tradeHistory = [] }) {
+  const riskCheck = assessRisk({ symbol, candles, events, positions, multiTf, risk });
+  if (riskCheck.haltReasons.length) {
+    return {
+      symbol,
+      action: 'hold',
+      confidence: 0,
+      sizeUsd: 0,
+      reason: `risk_halt: ${riskCheck.haltReasons.map((r) => r.message).join('; ')}`,
+      haltReasons: riskCheck.haltReasons,
+      risk: riskCheck.inputs,
+      valueAtRisk: reportVaR({ symbol, action: 'hold', positions, priceHistory: risk?.priceHistory, candles: multiTf?.candles1h || candles || [] })
+    };
   }
 
   const tech = analyzeMultiTimeframe(multiTf || { candles5m: candles, candles1h: candles, candles4h: candles });
@@ -154,8 +246,6 @@ async function decideTrade({ symbol, candles, events, positions, multiTf, recent
   }
 
   const accountEquityUsd = positions?.equityUsd || 10000;
-  const notionalSize = positionSizeUsd({ accountEquityUsd, confidence, atrPct, maxRiskPctPerTrade: 0.02 });
-  const sizeUsd = capOrderSizeUsd(notionalSize);
 
   const techSummary = summarizeTechnical(tech);
   const recentTradesText = Array.isArray(recentTrades) ? recentTrades.map((t, i) => `#${i+1} ${t.strategy||'n/a'} rr:${t.rr||'n/a'} pnl:${t.pnlUsd||'n/a'} ${t.success?'win':'loss'}`).join('\n') : 'N/A';
@@ -165,6 +255,7 @@ async function decideTrade({ symbol, candles, events, positions, multiTf, recent
   const llmDecision = await consultDeepSeek({ prompt: tradingPrompt });
 
   // Final decision gating: prefer LLM only if aligned with regime and not riskier
+  let llmAdopted = false;
   if (llmDecision && llmDecision.action) {
     const llmBias = llmDecision.action === 'BUY' ? 1 : llmDecision.action === 'SELL' ? -1 : 0;
     const aligns = (action === 'buy' && llmBias > 0) || (action === 'sell' && llmBias < 0) || (action === 'hold' && llmBias === 0);
@@ -172,27 +263,57 @@ async function decideTrade({ symbol, candles, events, positions, multiTf, recent
     if ((aligns && confOk) || (llmDecision.confidence || 0) > confidence + 0.2) {
       action = llmDecision.action.toLowerCase();
       confidence = Math.max(confidence, llmDecision.confidence || 0);
-      if (llmDecision.positionSizePct) {
-        const llmSizeUsd = accountEquityUsd * (llmDecision.positionSizePct / 100);
-        const sized = capOrderSizeUsd(llmSizeUsd);
-        if (sized > 0) {
-          // prefer smaller of heuristic vs llm sizing
-          sizeUsd = Math.min(sizeUsd, sized);
-        }
-      }
+      llmAdopted = true;
     }
   }
 
+  // Stops for the final direction; sizing only uses their distance from the price
+  const stops = computeStops(lastClose || 0, action === 'sell' ? 'sell' : 'buy', atr1);
+  const sizing = sizePosition({
+    symbol,
+    equityUsd: accountEquityUsd,
+    price: lastClose,
+    stopLoss: stops.stopLoss,
+    returns1h: returnsFromCandles(multiTf?.candles1h || candles || [], 168),
+    trades: tradeHistory
+  });
+  let sizeUsd = capOrderSizeUsd(sizing.sizeUsd);
+  if (llmAdopted && llmDecision.positionSizePct) {
+    const sized = capOrderSizeUsd(accountEquityUsd * (llmDecision.positionSizePct / 100));
+    if (sized > 0) {
+      // prefer smaller of heuristic vs llm sizing
+      sizeUsd = Math.min(sizeUsd, sized);
+      sizing.llmSizeUsd = sized;
+    }
+  }
+
+  const correlation = limitCorrelatedEntry({ symbol, action, sizeUsd, positions, risk });
+  let reason;
+  if (correlation?.limitedBy) {
+    sizeUsd = correlation.sizeUsd;
+    if (!(sizeUsd > 0)) {
+      reason = `correlation_limit: ${correlation.limitedBy === 'concentration' ? 'portfolio concentration' : 'correlated exposure'} already at its limit`;
+      action = 'hold';
+    }
+  }
+
+  const valueAtRisk = reportVaR({ symbol, action, sizeUsd, positions, priceHistory: risk?.priceHistory, candles: multiTf?.candles1h || candles || [] });
+
   return {
     symbol,
     action,
     confidence,
     sizeUsd,
+    reason,
+    sizing, // model size before the order cap and LLM trim
+    correlation, // correlated exposure and concentration check on new entries
+    valueAtRisk, // the pre-trade budget itself is enforced per order by the runner
     regime,
-    stops: computeStops(lastClose || 0, action === 'sell' ? 'sell' : 'buy', atr1),
+    stops,
     prompt: decisionPrompt({ symbol, tech, sentiment, positions }),
     tradingPrompt,
-    llmDecision
+    llmDecision,
+    risk: riskCheck.inputs
   };
 }
 
@@ -0,0 +1,120 @@
+'use strict';
+
+const { ExchangeAdapter, normalizeBalance, normalizePosition } = require('./exchange_adapter');
+const { normalizeMarketEvent, toCanonicalSymbol } = require('../stream_normalizer');
+
+// Native Aster REST (/v1, bearer auth) with private channels on the market socket
+class AsterAdapter extends ExchangeAdapter {
+  constructor(transport) {
+    super(transport);
+    this.name = 'aster';
+    this.userStream = 'channels';
+    this.userChannels = ['orders', 'account'];
+  }
+
+  authHeaders() {
+    const { apiKey, authHeader, authScheme } = this.transport;
+    if (!apiKey) return {};
+    return { [authHeader || 'Authorization']: `${authScheme ? `${authScheme} ` : ''}${apiKey}` };
+  }
+
+  // Market data
+  async getServerTime() {
+    const data = await this.transport.request({ method: 'GET', url: `/v1/time` });
+    return Number(data.serverTime ?? data.timestamp ?? data.time);
+  }
+
+  getTicker(symbol) {
+    return this.transport.request({ method: 'GET', url: `/v1/market/ticker`, params: { symbol } });
+  }
+
+  getOrderBook(symbol, depth = 50) {
+    return this.transport.request({ method: 'GET', url: `/v1/market/orderbook`, params: { symbol, depth } });
+  }
+
+  getCandles(symbol, interval = '1m', limit = 200) {
+    return this.transport.request({ method: 'GET', url: `/v1/market/candles`, params: { symbol, interval, limit } });
+  }
+
+  getExchangeInfo() {
+    return this.transport.request({ method: 'GET', url: `/v1/market/symbols` });
+  }
+
+  // Orders
+  placeOrder(order) {
+    return this.transport.request({ method: 'POST', url: `/v1/orders`, data: order });
+  }
+
+  cancelOrder(orderId) {
+    return this.transport.request({ method: 'DELETE', url: `/v1/orders/${orderId}` });
+  }
+
+  getOrder(orderId) {
+    return this.transport.request({ method: 'GET', url: `/v1/orders/${orderId}` });
+  }
+
+  getOrderByClientId(clientOrderId) {
+    return this.transport.request({ method: 'GET', url: `/v1/orders/by-client-id/${encodeURIComponent(clientOrderId)}` });
+  }
+
+  async getOrderTrades(symbol, orderId) {
+    const order = await this.getOrder(orderId, symbol);
+    return order?.fills || [];
+  }
+
+  async listOpenOrders(params = {}) {
+    const data = await this.transport.request({ method: 'GET', url: `/v1/orders`, params });
+    return Array.isArray(data) ? data : data?.orders || [];
+  }
+
+  cancelAllOpenOrders(symbol) {
+    return this.transport.request({ method: 'DELETE', url: `/v1/orders`, params: { symbol } });
+  }
+
+  // Account
+  async getBalances() {
+    const data = await this.transport.request({ method: 'GET', url: `/v1/account/balances` });
+    return (Array.isArray(data) ? data : data?.balances || []).map((b) => normalizeBalance(b));
+  }
+
+  async getPositions() {
+    const data = await this.transport.request({ method: 'GET', url: `/v1/account/positions` });
+    return (Array.isArray(data) ? data : data?.positions || []).map((p) => normalizePosition(p, toCanonicalSymbol)).filter((p) => p.quantity !== 0);
+  }
+
+  async getAccount() {
+    const a = await this.transport.request({ method: 'GET', url: `/v1/account` });
+    return {
+      equityUsd: Number(a.equityUsd ?? a.equity ?? a.totalEquity ?? 0),
+      walletBalanceUsd: Number(a.walletBalanceUsd ?? a.balance ?? 0),
+      availableUsd: Number(a.availableUsd ?? a.available ?? a.availableBalance ?? 0),
+      unrealizedPnl: Number(a.unrealizedPnl ?? 0),
+      maintMarginUsd: Number(a.maintMarginUsd ?? a.maintenanceMargin ?? 0),
+      initialMarginUsd: Number(a.initialMarginUsd ?? a.initialMargin ?? 0),
+      balances: (a.balances || []).map((b) => normalizeBalance(b))
+    };
+  }
+
+  setLeverage(symbol, leverage) {
+    return this.transport.request({ method: 'POST', url: `/v1/account/leverage`, data: { symbol, leverage } });
+  }
+
+  setMarginType(symbol, marginType) {
+    return this.transport.request({ method: 'POST', url: `/v1/account/margin-type`, data: { symbol, marginType } });
+  }
+
+  // Streams
+  streamSubscription(channel, params = {}) {
+    return {
+      key: JSON.stringify({ channel, params }),
+      subscribe: () => ({ action: 'subscribe', channel, params }),
+      unsubscribe: () => ({ action: 'unsubscribe', channel, params })
+    };
+  }
+
+  normalizeMarketEvent(msg) {
+    return normalizeMarketEvent(msg, 'aster');
+  }
+}
+
+module.exports = { AsterAdapter };
@@ -0,0 +1,180 @@
+'use strict';
+
+const { ExchangeAdapter, normalizeBalance, normalizePosition } = require('./exchange_adapter');
+const { normalizeMarketEvent, toCanonicalSymbol, binanceStreamName } = require('../stream_normalizer');
+
+// BTC-USD -> BTCUSDT
+function mapSymbol(symbol) {
+  if (!symbol) return symbol;
+  const s = String(symbol).toUpperCase();
+  if (s.includes('-')) {
+    const [base, quote] = s.split('-');
+    if (quote === 'USD') return `${base}USDT`;
+    return `${base}${quote}`;
+  }
+  return s;
+}
+
+// Binance-compatible futures API (/fapi, HMAC-signed, listenKey user stream)
+class BinanceAdapter extends ExchangeAdapter {
+  constructor(transport) {
+    super(transport);
+    this.name = 'binance';
+    this.signsRequests = true;
+    this.userStream = 'listenKey';
+  }
+
+  authHeaders() {
+    return { 'X-MBX-APIKEY': this.transport.apiKey };
+  }
+
+  // Market data
+  async getServerTime() {
+    const data = await this.transport.request({ method: 'GET', url: `/fapi/v1/time` });
+    return Number(data.serverTime);
+  }
+
+  getTicker(symbol) {
+    return this.transport.request({ method: 'GET', url: `/fapi/v1/ticker/price`, params: { symbol: mapSymbol(symbol) } });
+  }
+
+  getOrderBook(symbol, depth = 50) {
+    return this.transport.request({ method: 'GET', url: `/fapi/v1/depth`, params: { symbol: mapSymbol(symbol), limit: depth } });
+  }
+
+  async getCandles(symbol, interval = '1m', limit = 200) {
+    const data = await this.transport.request({ method: 'GET', url: `/fapi/v1/klines`, params: { symbol: mapSymbol(symbol), interval, limit } });
+    // Map to {open, high, low, close, volume}
+    return (data || []).map((k) => ({
+      openTime: k[0], open: Number(k[1]), high: Number(k[2]), low: Number(k[3]), close: Number(k[4]), volume: Number(k[5]), closeTime: k[6]
+    }));
+  }
+
+  getExchangeInfo() {
+    return this.transport.request({ method: 'GET', url: `/fapi/v1/exchangeInfo` });
+  }
+
+  // Orders
+  // Expected order: { symbol:'BTC-USD', side:'BUY'|'SELL', type:'MARKET'|'LIMIT'|'STOP_MARKET'|'TAKE_PROFIT_MARKET', quantity, price?, stopPrice?, reduceOnly? }
+  placeOrder(order) {
+    const side = order.side?.toUpperCase();
+    const type = (order.type || 'MARKET').toUpperCase();
+    const params = { symbol: mapSymbol(order.symbol), side, type };
+    if (type === 'MARKET') {
+      params.quantity = order.quantity;
+    } else if (type === 'LIMIT') {
+      params.timeInForce = order.timeInForce || 'GTC';
+      params.price = order.price;
+      params.quantity = order.quantity;
+    } else if (type === 'STOP_MARKET' || type === 'TAKE_PROFIT_MARKET') {
+      params.stopPrice = order.stopPrice;
+      if (order.closePosition) params.closePosition = true;
+      else params.quantity = order.quantity;
+      params.workingType = order.workingType || 'MARK_PRICE';
+    }
+    if (order.reduceOnly != null && !order.closePosition) params.reduceOnly = Boolean(order.reduceOnly);
+    if (order.positionSide) params.positionSide = String(order.positionSide).toUpperCase(); // LONG|SHORT|BOTH
+    if (order.newClientOrderId) params.newClientOrderId = order.newClientOrderId;
+    return this.transport.requestSigned('POST', '/fapi/v1/order', params);
+  }
+
+  cancelOrder(orderId, symbol) {
+    return this.transport.requestSigned('DELETE', '/fapi/v1/order', { symbol: mapSymbol(symbol), orderId });
+  }
+
+  getOrder(orderId, symbol) {
+    return this.transport.requestSigned('GET', '/fapi/v1/order', { symbol: mapSymbol(symbol), orderId });
+  }
+
+  getOrderByClientId(clientOrderId, symbol) {
+    return this.transport.requestSigned('GET', '/fapi/v1/order', { symbol: mapSymbol(symbol), origClientOrderId: clientOrderId });
+  }
+
+  getOrderTrades(symbol, orderId) {
+    return this.transport.requestSigned('GET', '/fapi/v1/userTrades', { symbol: mapSymbol(symbol), orderId });
+  }
+
+  async listOpenOrders(params = {}) {
+    const query = params.symbol ? { symbol: mapSymbol(params.symbol) } : {};
+    const data = await this.transport.requestSigned('GET', '/fapi/v1/openOrders', query);
+    return (data || []).map((o) => ({ ...o, symbol: toCanonicalSymbol(o.symbol) }));
+  }
+
+  cancelAllOpenOrders(symbol) {
+    return this.transport.requestSigned('DELETE', '/fapi/v1/allOpenOrders', { symbol: mapSymbol(symbol) });
+  }
+
+  // Account
+  async getBalances() {
+    const data = await this.transport.requestSigned('GET', '/fapi/v2/balance');
+    return (data || []).map((b) => normalizeBalance(b));
+  }
+
+  async getPositions() {
+    const data = await this.transport.requestSigned('GET', '/fapi/v2/positionRisk');
+    return (data || []).map((p) => normalizePosition(p, toCanonicalSymbol)).filter((p) => p.quantity !== 0);
+  }
+
+  async getAccount() {
+    const a = await this.transport.requestSigned('GET', '/fapi/v2/account');
+    return {
+      equityUsd: Number(a.totalMarginBalance || 0),
+      walletBalanceUsd: Number(a.totalWalletBalance || 0),
+      availableUsd: Number(a.availableBalance || 0),
+      unrealizedPnl: Number(a.totalUnrealizedProfit || 0),
+      maintMarginUsd: Number(a.totalMaintMargin || 0),
+      initialMarginUsd: Number(a.totalInitialMargin || 0),
+      balances: (a.assets || []).map((b) => normalizeBalance(b))
+    };
+  }
+
+  setLeverage(symbol, leverage) {
+    return this.transport.requestSigned('POST', '/fapi/v1/leverage', { symbol: mapSymbol(symbol), leverage });
+  }
+
+  async setMarginType(symbol, marginType) {
+    try {
+      return await this.transport.requestSigned('POST', '/fapi/v1/marginType', { symbol: mapSymbol(symbol), marginType });
+    } catch (e) {
+      // -4046: "No need to change margin type" - already set
+      if (e.response?.data?.code === -4046) return { code: 200, msg: 'unchanged' };
+      throw e;
+    }
+  }
+
+  // Streams: /stream wraps payloads with their stream name
+  marketStreamUrl(url) {
+    if (/\/(ws|stream)(\/|\?|$)/.test(url)) return url;
+    return `${url.replace(/\/$/, '')}/stream`;
+  }
+
+  streamSubscription(channel, params = {}) {
+    const stream = binanceStreamName(channel, params);
+    if (!stream) return null;
+    return {
+      key: stream,
+      subscribe: () => ({ method: 'SUBSCRIBE', params: [stream], id: Date.now() }),
+      unsubscribe: () => ({ method: 'UNSUBSCRIBE', params: [stream], id: Date.now() })
+    };
+  }
+
+  normalizeMarketEvent(msg) {
+    return normalizeMarketEvent(msg, 'binance');
+  }
+
+  // listenKey lifecycle, API-key header only
+  async createListenKey() {
+    const data = await this.transport.request({ method: 'POST', url: '/fapi/v1/listenKey' });
+    return data?.listenKey;
+  }
+
+  keepAliveListenKey() {
+    return this.transport.request({ method: 'PUT', url: '/fapi/v1/listenKey' });
+  }
+
+  closeListenKey() {
+    return this.transport.request({ method: 'DELETE', url: '/fapi/v1/listenKey' });
+  }
+}
+
+module.exports = { BinanceAdapter, mapSymbol };
@@ -0,0 +1,168 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+// Contract between the vendor-neutral AsterApiClient / AsterWebSocket and one exchange dialect.
+// REST methods take and return the bot's canonical shapes (BTC-USD symbols, normalized
+// positions/balances/account); the transport handles pacing, retries, signing and time sync.
+//
+//   market data: getServerTime, getTicker, getOrderBook, getCandles, getExchangeInfo
+//   orders:      placeOrder, cancelOrder, getOrder, getOrderByClientId, getOrderTrades,
+//                listOpenOrders, cancelAllOpenOrders
+//   account:     getBalances, getPositions, getAccount, setLeverage, setMarginType
+//   streams:     marketStreamUrl, streamSubscription, normalizeMarketEvent, userStream,
+//                createListenKey, keepAliveListenKey, closeListenKey, userStreamUrl
+// Simulated venues without a private socket emit 'order' / 'account' events themselves.
+// In-process venues implement attachStream(ws) and feed the socket through ws.emit (market data,
+// for subscribed keys) and ws.pushUserEvent (private updates).
+class ExchangeAdapter extends EventEmitter {
+  constructor(transport = null) {
+    super();
+    this.transport = transport;
+    this.name = 'base';
+    this.signsRequests = false;
+    this.userStream = 'channels'; // 'listenKey': own socket per listen key | 'channels': private channels on the market socket
+  }
+
+  authHeaders() {
+    return {};
+  }
+
+  // Market data
+  getServerTime() {
+    return this._notImplemented('getServerTime');
+  }
+
+  getTicker() {
+    return this._notImplemented('getTicker');
+  }
+
+  getOrderBook() {
+    return this._notImplemented('getOrderBook');
+  }
+
+  getCandles() {
+    return this._notImplemented('getCandles');
+  }
+
+  getExchangeInfo() {
+    return this._notImplemented('getExchangeInfo');
+  }
+
+  // Orders
+  placeOrder() {
+    return this._notImplemented('placeOrder');
+  }
+
+  cancelOrder() {
+    return this._notImplemented('cancelOrder');
+  }
+
+  getOrder() {
+    return this._notImplemented('getOrder');
+  }
+
+  getOrderByClientId() {
+    return this._notImplemented('getOrderByClientId');
+  }
+
+  getOrderTrades() {
+    return this._notImplemented('getOrderTrades');
+  }
+
+  listOpenOrders() {
+    return this._notImplemented('listOpenOrders');
+  }
+
+  cancelAllOpenOrders() {
+    return this._notImplemented('cancelAllOpenOrders');
+  }
+
+  // Account
+  getBalances() {
+    return this._notImplemented('getBalances');
+  }
+
+  getPositions() {
+    return this._notImplemented('getPositions');
+  }
+
+  getAccount() {
+    return this._notImplemented('getAccount');
+  }
+
+  setLeverage() {
+    return this._notImplemented('setLeverage');
+  }
+
+  setMarginType() {
+    return this._notImplemented('setMarginType');
+  }
+
+  // Streams
+  marketStreamUrl(url) {
+    return url;
+  }
+
+  // -> { key, subscribe(), unsubscribe() } where the functions build the socket messages;
+  // null when the channel is unsupported
+  streamSubscription() {
+    return null;
+  }
+
+  normalizeMarketEvent() {
+    return null;
+  }
+
+  createListenKey() {
+    return this._notImplemented('createListenKey');
+  }
+
+  keepAliveListenKey() {
+    return this._notImplemented('keepAliveListenKey');
+  }
+
+  closeListenKey() {
+    return this._notImplemented('closeListenKey');
+  }
+
+  userStreamUrl(url, listenKey) {
+    return `${url.replace(/\/(ws|stream)\/?$/, '')}/ws/${listenKey}`;
+  }
+
+  _notImplemented(method) {
+    return Promise.reject(new Error(`${this.name} adapter does not implement ${method}`));
+  }
+}
+
+// Shared normalizers: both dialects report balances/positions with overlapping field names
+function normalizeBalance(b = {}) {
+  return {
+    asset: b.asset || b.currency,
+    balance: Number(b.balance ?? b.walletBalance ?? b.total ?? 0),
+    available: Number(b.availableBalance ?? b.available ?? b.free ?? 0),
+    unrealizedPnl: Number(b.crossUnPnl ?? b.unrealizedProfit ?? b.unrealizedPnl ?? 0)
+  };
+}
+
+function normalizePosition(p = {}, unmapSymbol = (s) => s) {
+  let quantity = Number(p.positionAmt ?? p.quantity ?? p.size ?? 0);
+  if (quantity > 0 && /^(short|sell)$/i.test(String(p.side || ''))) quantity = -quantity;
+  const markPrice = Number(p.markPrice || 0);
+  const entryPrice = Number(p.entryPrice || 0);
+  return {
+    symbol: unmapSymbol(p.symbol),
+    quantity,
+    entryPrice,
+    markPrice,
+    unrealizedPnl: Number(p.unRealizedProfit ?? p.unrealizedPnl ?? 0),
+    leverage: Number(p.leverage || 0),
+    marginType: p.marginType ? String(p.marginType).toUpperCase() : null,
+    liquidationPrice: Number(p.liquidationPrice || 0),
+    positionSide: p.positionSide || 'BOTH',
+    notionalValue: Math.abs(Number(p.notional) || quantity * (markPrice || entryPrice)),
+    updateTime: Number(p.updateTime || 0) || null // last change to the position, where the venue reports it
+  };
+}
+
+module.exports = { ExchangeAdapter, normalizeBalance, normalizePosition };
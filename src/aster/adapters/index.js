@@ -0,0 +1,17 @@
+'use strict';
+
+const { ExchangeAdapter } = require('./exchange_adapter');
+const { BinanceAdapter } = require('./binance_adapter');
+const { AsterAdapter } = require('./aster_adapter');
+const { MockAdapter } = require('./mock_adapter');
+const { PaperBroker } = require('./paper_broker');
+
+const ADAPTERS = { binance: BinanceAdapter, aster: AsterAdapter, mock: MockAdapter };
+
+function createAdapter(vendor, transport = null) {
+  const Adapter = ADAPTERS[String(vendor || 'aster').toLowerCase()];
+  if (!Adapter) throw new Error(`Unknown exchange vendor: ${vendor}`);
+  return new Adapter(transport);
+}
+
+module.exports = { createAdapter, ExchangeAdapter, BinanceAdapter, AsterAdapter, MockAdapter, PaperBroker };
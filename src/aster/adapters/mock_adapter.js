@@ -0,0 +1,160 @@
+'use strict';
+
+const { ExchangeAdapter, normalizeBalance, normalizePosition } = require('./exchange_adapter');
+const { MockExchange, MockExchangeError } = require('../mock/mock_exchange');
+const { toExchangeError } = require('../errors');
+
+let shared = null;
+
+// One ticking exchange per process so the REST client and the socket see the same venue
+function sharedMockExchange() {
+  if (!shared) {
+    shared = new MockExchange({
+      seed: Number(process.env.MOCK_SEED || 42),
+      balanceUsd: Number(process.env.MOCK_BALANCE_USD || 10000),
+      symbols: (process.env.MOCK_SYMBOLS || process.env.SYMBOLS || 'BTC-USD,ETH-USD').split(',').map((s) => s.trim())
+    });
+    shared.start(Number(process.env.MOCK_TICK_MS || 1000));
+  }
+  return shared;
+}
+
+// In-process venue backed by MockExchange: no network, no signing, deterministic fills.
+// Engine errors go through the same typed mapping as real HTTP failures.
+class MockAdapter extends ExchangeAdapter {
+  constructor(transport = null, exchange = null) {
+    super(transport);
+    this.name = 'mock';
+    this.userStream = 'in-process';
+    this.exchange = exchange || sharedMockExchange();
+  }
+
+  _call(method, url, fn) {
+    try {
+      return Promise.resolve(fn());
+    } catch (e) {
+      if (!(e instanceof MockExchangeError)) return Promise.reject(e);
+      return Promise.reject(toExchangeError({
+        message: e.message,
+        response: { status: e.status, data: { code: e.code, msg: e.message }, headers: {} },
+        config: { method, url }
+      }));
+    }
+  }
+
+  // Market data
+  getServerTime() {
+    return this._call('GET', '/time', () => this.exchange.now());
+  }
+
+  getTicker(symbol) {
+    return this._call('GET', '/ticker', () => this.exchange.ticker(symbol));
+  }
+
+  getOrderBook(symbol, depth = 50) {
+    return this._call('GET', '/depth', () => this.exchange.depth(symbol, depth));
+  }
+
+  getCandles(symbol, interval = '1m', limit = 200) {
+    return this._call('GET', '/klines', () => this.exchange.candles(symbol, interval, limit));
+  }
+
+  getExchangeInfo() {
+    return this._call('GET', '/exchangeInfo', () => this.exchange.exchangeInfo());
+  }
+
+  // Orders
+  placeOrder(order) {
+    return this._call('POST', '/order', () => this.exchange.placeOrder(order));
+  }
+
+  cancelOrder(orderId) {
+    return this._call('DELETE', '/order', () => this.exchange.cancelOrder({ orderId }));
+  }
+
+  getOrder(orderId) {
+    return this._call('GET', '/order', () => this.exchange.getOrder({ orderId }));
+  }
+
+  getOrderByClientId(clientOrderId) {
+    return this._call('GET', '/order', () => this.exchange.getOrder({ clientOrderId }));
+  }
+
+  getOrderTrades(symbol, orderId) {
+    return this._call('GET', '/userTrades', () => this.exchange.trades(orderId));
+  }
+
+  listOpenOrders(params = {}) {
+    return this._call('GET', '/openOrders', () => this.exchange.openOrders(params.symbol));
+  }
+
+  cancelAllOpenOrders(symbol) {
+    return this._call('DELETE', '/allOpenOrders', () => this.exchange.cancelAll(symbol));
+  }
+
+  // Account
+  getBalances() {
+    return this._call('GET', '/balance', () => {
+      const a = this.exchange.account();
+      return [normalizeBalance({ asset: 'USDT', balance: a.walletBalance, availableBalance: a.availableBalance, unrealizedPnl: a.unrealizedPnl })];
+    });
+  }
+
+  getPositions() {
+    return this._call('GET', '/positionRisk', () => this.exchange.positionList().map((p) => normalizePosition(p)));
+  }
+
+  getAccount() {
+    return this._call('GET', '/account', () => {
+      const a = this.exchange.account();
+      return {
+        equityUsd: a.marginBalance,
+        walletBalanceUsd: a.walletBalance,
+        availableUsd: a.availableBalance,
+        unrealizedPnl: a.unrealizedPnl,
+        maintMarginUsd: a.maintMargin,
+        initialMarginUsd: a.initialMargin,
+        balances: [normalizeBalance({ asset: 'USDT', balance: a.walletBalance, availableBalance: a.availableBalance, unrealizedPnl: a.unrealizedPnl })]
+      };
+    });
+  }
+
+  setLeverage(symbol, leverage) {
+    return this._call('POST', '/leverage', () => this.exchange.setLeverage(symbol, leverage));
+  }
+
+  async setMarginType(symbol, marginType) {
+    try {
+      return await this._call('POST', '/marginType', () => this.exchange.setMarginType(symbol, marginType));
+    } catch (e) {
+      if (e.code === -4046) return { code: 200, msg: 'unchanged' };
+      throw e;
+    }
+  }
+
+  // Streams: events are handed straight to the socket wrapper, filtered by its subscriptions
+  streamSubscription(channel, params = {}) {
+    const type = channel === 'orderbook' ? 'depth' : channel;
+    const key = [type, params.symbol, type === 'kline' ? params.interval || '1m' : null].filter(Boolean).join('|');
+    return { key, subscribe: () => null, unsubscribe: () => null };
+  }
+
+  attachStream(ws) {
+    const onMarket = (event) => {
+      const key = [event.type, event.symbol, event.type === 'kline' ? event.interval : null].filter(Boolean).join('|');
+      if (ws.hasSubscription(key)) ws.emit(event.type, event);
+    };
+    const onOrder = (data) => ws.pushUserEvent({ type: 'order', data });
+    const onAccount = (data) => ws.pushUserEvent({ type: 'account', data });
+    this.exchange.on('market', onMarket);
+    this.exchange.on('order', onOrder);
+    this.exchange.on('account', onAccount);
+    return () => {
+      this.exchange.off('market', onMarket);
+      this.exchange.off('order', onOrder);
+      this.exchange.off('account', onAccount);
+    };
+  }
+}
+
+module.exports = { MockAdapter, sharedMockExchange };
@@ -0,0 +1,495 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ExchangeAdapter, normalizeBalance, normalizePosition } = require('./exchange_adapter');
+const { toExchangeError } = require('../errors');
+const { applyFill } = require('../../execution/position_manager');
+
+const OPEN_STATES = new Set(['NEW', 'PARTIALLY_FILLED']);
+const MAX_CLOSED_ORDERS = 500;
+const EPSILON = 1e-9;
+
+const parseLevels = (arr) => (arr || [])
+  .map((l) => (Array.isArray(l) ? [Number(l[0]), Number(l[1])] : [Number(l.price), Number(l.quantity ?? l.qty ?? l.size)]))
+  .filter(([p, q]) => p > 0 && q > 0);
+
+function freshState(startingBalanceUsd) {
+  return {
+    startingBalanceUsd,
+    walletUsd: startingBalanceUsd,
+    realizedPnl: 0,
+    feesPaid: 0,
+    nextOrderId: 1,
+    nextTradeId: 1,
+    positions: {}, // `${symbol}|${positionSide}` -> { symbol, positionSide, quantity (signed), entryPrice }
+    orders: {}, // orderId -> order
+    trades: {}, // orderId -> [fill]
+    marks: {}, // symbol -> last seen price
+    leverage: {},
+    marginType: {},
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
+}
+
+// Simulated account on top of a live adapter: market data passes straight through, orders
+// fill against the live book (or ticker) with a maker/taker fee and slippage model.
+// Balances, positions and orders persist to a JSON file so paper runs survive restarts.
+class PaperBroker extends ExchangeAdapter {
+  constructor(transport, options = {}) {
+    super(transport);
+    this.name = 'paper';
+    this.userStream = 'none'; // fills are emitted as 'order' / 'account' events
+    this.live = options.live;
+    this.stateFile = options.stateFile ? path.resolve(options.stateFile) : null;
+    this.makerFeeBps = options.makerFeeBps ?? 2;
+    this.takerFeeBps = options.takerFeeBps ?? 4;
+    this.slippageModel = options.slippageModel || 'book';
+    this.slippageBps = options.slippageBps ?? 1;
+    this.defaultLeverage = options.leverage || 10;
+    this.books = null;
+    this.loadError = null;
+    this.state = this._load(options.startingBalanceUsd ?? 10000);
+  }
+
+  // Live prices drive resting limit fills and stop triggers
+  attachMarketData({ ws, books = null }) {
+    this.books = books;
+    ws.on('ticker', (t) => this.onPrice(t.symbol, t.last));
+    ws.on('markPrice', (m) => this.onPrice(m.symbol, m.markPrice));
+  }
+
+  onPrice(symbol, price) {
+    if (!(price > 0)) return;
+    this.state.marks[symbol] = price;
+    this._matchResting(symbol, price).catch((e) => this.emit('paper-error', e));
+  }
+
+  // Market data: straight from the exchange
+  getServerTime() {
+    return this.live.getServerTime();
+  }
+
+  getTicker(symbol) {
+    return this.live.getTicker(symbol);
+  }
+
+  getOrderBook(symbol, depth = 50) {
+    return this.live.getOrderBook(symbol, depth);
+  }
+
+  getCandles(symbol, interval = '1m', limit = 200) {
+    return this.live.getCandles(symbol, interval, limit);
+  }
+
+  getExchangeInfo() {
+    return this.live.getExchangeInfo();
+  }
+
+  // Orders
+  async placeOrder(input) {
+    const side = String(input.side || '').toUpperCase();
+    const type = String(input.type || 'MARKET').toUpperCase();
+    if (side !== 'BUY' && side !== 'SELL') throw this._error(-1117, 'Invalid side.');
+    if (!['MARKET', 'LIMIT', 'STOP_MARKET', 'TAKE_PROFIT_MARKET'].includes(type)) throw this._error(-1116, 'Invalid orderType.');
+    const clientOrderId = input.newClientOrderId || input.clientOrderId || `paper_${this.state.nextOrderId}`;
+    if (Object.values(this.state.orders).some((o) => o.clientOrderId === clientOrderId)) throw this._error(-4116, 'ClientOrderId is duplicated.');
+    const closePosition = String(input.closePosition) === 'true';
+    const quantity = closePosition ? 0 : Number(input.quantity);
+    if (!closePosition && !(quantity > 0)) throw this._error(-4003, 'Quantity less than or equal to zero.');
+    const price = input.price != null ? Number(input.price) : 0;
+    if (type === 'LIMIT' && !(price > 0)) throw this._error(-4001, 'Price less than 0.');
+    const stopPrice = input.stopPrice != null ? Number(input.stopPrice) : 0;
+    if (type.endsWith('_MARKET') && !(stopPrice > 0)) throw this._error(-1102, 'Mandatory parameter \'stopPrice\' was not sent.');
+
+    const now = Date.now();
+    const order = {
+      orderId: this.state.nextOrderId++,
+      clientOrderId,
+      symbol: input.symbol,
+      side,
+      type,
+      timeInForce: type === 'LIMIT' ? String(input.timeInForce || 'GTC').toUpperCase() : null,
+      price,
+      stopPrice,
+      origQty: quantity,
+      executedQty: 0,
+      cumQuote: 0,
+      avgPrice: 0,
+      status: 'NEW',
+      reduceOnly: String(input.reduceOnly) === 'true' || closePosition,
+      closePosition,
+      positionSide: String(input.positionSide || 'BOTH').toUpperCase(),
+      time: now,
+      updateTime: now
+    };
+
+    if (order.reduceOnly && !closePosition && !type.endsWith('_MARKET') && !(this._reducible(order) > 0)) {
+      throw this._error(-2022, 'ReduceOnly Order is rejected.');
+    }
+    if (!order.reduceOnly && !type.endsWith('_MARKET')) {
+      const mark = price || (await this._markPrice(order.symbol));
+      const required = (quantity * mark) / this._leverage(order.symbol);
+      if (required > this._available()) throw this._error(-2019, 'Margin is insufficient.');
+    }
+
+    this.state.orders[order.orderId] = order;
+    this._emitOrder(order, 'NEW');
+    if (type === 'MARKET') {
+      await this._takeLiquidity(order);
+    } else if (type === 'LIMIT') {
+      const book = await this._bookFor(order.symbol);
+      const touch = side === 'BUY' ? book.asks[0]?.[0] : book.bids[0]?.[0];
+      const marketable = touch > 0 && (side === 'BUY' ? price >= touch : price <= touch);
+      if (marketable && order.timeInForce === 'GTX') this._finish(order, 'EXPIRED'); // post-only would have taken liquidity
+      else if (marketable) await this._takeLiquidity(order, price, book);
+      if (order.timeInForce === 'IOC' && OPEN_STATES.has(order.status)) this._finish(order, 'EXPIRED');
+    }
+    this._save();
+    return { ...order };
+  }
+
+  async cancelOrder(orderId) {
+    const order = this.state.orders[orderId];
+    if (!order || !OPEN_STATES.has(order.status)) throw this._error(-2011, 'Unknown order sent.', 'DELETE');
+    this._finish(order, 'CANCELED');
+    this._save();
+    return { ...order };
+  }
+
+  async getOrder(orderId) {
+    const order = this.state.orders[orderId];
+    if (!order) throw this._error(-2013, 'Order does not exist.', 'GET');
+    return { ...order };
+  }
+
+  async getOrderByClientId(clientOrderId) {
+    const order = Object.values(this.state.orders).find((o) => o.clientOrderId === clientOrderId);
+    if (!order) throw this._error(-2013, 'Order does not exist.', 'GET');
+    return { ...order };
+  }
+
+  async getOrderTrades(symbol, orderId) {
+    return (this.state.trades[orderId] || []).map((t) => ({ ...t }));
+  }
+
+  async listOpenOrders(params = {}) {
+    return this._openOrders(params.symbol).map((o) => ({ ...o }));
+  }
+
+  async cancelAllOpenOrders(symbol) {
+    for (const order of this._openOrders(symbol)) this._finish(order, 'CANCELED');
+    this._save();
+    return { code: 200, msg: 'The operation of cancel all open order is done.' };
+  }
+
+  // Account
+  async getBalances() {
+    const a = this._summary();
+    return [normalizeBalance({ asset: 'USDT', balance: a.walletUsd, availableBalance: a.availableUsd, unrealizedPnl: a.unrealizedPnl })];
+  }
+
+  async getPositions() {
+    return this._positionList().map((p) => normalizePosition(p));
+  }
+
+  async getAccount() {
+    const a = this._summary();
+    return {
+      equityUsd: a.equityUsd,
+      walletBalanceUsd: a.walletUsd,
+      availableUsd: a.availableUsd,
+      unrealizedPnl: a.unrealizedPnl,
+      maintMarginUsd: a.initialMarginUsd * 0.4,
+      initialMarginUsd: a.initialMarginUsd,
+      balances: await this.getBalances()
+    };
+  }
+
+  async setLeverage(symbol, leverage) {
+    this.state.leverage[symbol] = Number(leverage);
+    this._save();
+    return { symbol, leverage: Number(leverage) };
+  }
+
+  async setMarginType(symbol, marginType) {
+    this.state.marginType[symbol] = marginType;
+    this._save();
+    return { code: 200, msg: 'success' };
+  }
+
+  status() {
+    const a = this._summary();
+    return {
+      mode: 'paper',
+      startingBalanceUsd: this.state.startingBalanceUsd,
+      walletUsd: a.walletUsd,
+      equityUsd: a.equityUsd,
+      availableUsd: a.availableUsd,
+      unrealizedPnl: a.unrealizedPnl,
+      realizedPnl: this.state.realizedPnl,
+      feesPaid: this.state.feesPaid,
+      returnPct: this.state.startingBalanceUsd ? ((a.equityUsd - this.state.startingBalanceUsd) / this.state.startingBalanceUsd) * 100 : 0,
+      openOrders: this._openOrders().length,
+      positions: this._positionList(),
+      fees: { makerBps: this.makerFeeBps, takerBps: this.takerFeeBps },
+      slippage: { model: this.slippageModel, bps: this.slippageBps },
+      stateFile: this.stateFile,
+      loadError: this.loadError,
+      updatedAt: this.state.updatedAt
+    };
+  }
+
+  // Matching
+  async _matchResting(symbol, price) {
+    for (const order of this._openOrders(symbol)) {
+      if (order.triggered) continue;
+      if (order.type === 'LIMIT') {
+        // Trading through the level fills the whole resting remainder at the limit price; a reduce-only
+        // limit only what is left of its position, and expires once that is gone
+        if ((order.side === 'BUY' && price <= order.price) || (order.side === 'SELL' && price >= order.price)) {
+          const qty = this._fillableQty(order);
+          if (qty > EPSILON) this._fill(order, qty, order.price, true);
+          else this._finish(order, 'EXPIRED');
+          this._save();
+        }
+        continue;
+      }
+      const stop = order.type === 'STOP_MARKET';
+      const hit = order.side === 'SELL' ? (stop ? price <= order.stopPrice : price >= order.stopPrice) : stop ? price >= order.stopPrice : price <= order.stopPrice;
+      if (!hit) continue;
+      order.triggered = true;
+      try {
+        await this._takeLiquidity(order);
+      } finally {
+        order.triggered = false;
+        this._save();
+      }
+    }
+  }
+
+  // Walk the visible book ('book' model) or fill at the touch ('fixed'), plus adverse slippage.
+  // limitPrice caps marketable limit orders; the remainder keeps resting.
+  async _takeLiquidity(order, limitPrice = null, book = null) {
+    let remaining = this._fillableQty(order);
+    if (order.closePosition) order.origQty = remaining;
+    if (!(remaining > EPSILON)) {
+      this._finish(order, 'EXPIRED');
+      return;
+    }
+    const levels = (book || (await this._bookFor(order.symbol)))[order.side === 'BUY' ? 'asks' : 'bids'];
+    const dir = order.side === 'BUY' ? 1 : -1;
+    const slip = (p) => {
+      const px = p * (1 + (dir * this.slippageBps) / 10000);
+      return limitPrice == null ? px : dir > 0 ? Math.min(px, limitPrice) : Math.max(px, limitPrice);
+    };
+    const fills = [];
+    if (this.slippageModel === 'fixed' || !levels.length) {
+      const ref = levels[0]?.[0] || (await this._markPrice(order.symbol));
+      fills.push([remaining, slip(ref)]);
+    } else {
+      for (const [p, q] of levels) {
+        if (!(remaining > EPSILON)) break;
+        if (limitPrice != null && dir * (p - limitPrice) > 0) break;
+        const take = Math.min(remaining, q);
+        fills.push([take, slip(p)]);
+        remaining -= take;
+      }
+      // Deeper than the visible book: a market order sweeps the rest at the last level seen
+      if (remaining > EPSILON && limitPrice == null) fills.push([remaining, slip(levels[levels.length - 1][0])]);
+    }
+    for (const [qty, price] of fills) this._fill(order, qty, price, false);
+  }
+
+  _fill(order, qty, price, maker) {
+    const now = Date.now();
+    const fee = qty * price * ((maker ? this.makerFeeBps : this.takerFeeBps) / 10000);
+    const key = this._positionKey(order);
+    const next = applyFill(this.state.positions[key], order.side, qty, price);
+    const quantity = Number(next.quantity.toFixed(10)); // shed float noise from repeated adds
+    if (Math.abs(quantity) < EPSILON) delete this.state.positions[key];
+    else this.state.positions[key] = { symbol: order.symbol, positionSide: order.positionSide, quantity, entryPrice: next.entryPrice, updateTime: now };
+    this.state.walletUsd += next.realizedPnl - fee;
+    this.state.realizedPnl += next.realizedPnl;
+    this.state.feesPaid += fee;
+
+    order.cumQuote += qty * price;
+    order.executedQty = Number((order.executedQty + qty).toFixed(10));
+    order.avgPrice = order.cumQuote / order.executedQty;
+    order.updateTime = now;
+    order.status = order.executedQty + EPSILON >= order.origQty ? 'FILLED' : 'PARTIALLY_FILLED';
+    const trade = {
+      id: this.state.nextTradeId++,
+      orderId: order.orderId,
+      symbol: order.symbol,
+      side: order.side,
+      price,
+      qty,
+      quoteQty: qty * price,
+      commission: fee,
+      commissionAsset: 'USDT',
+      realizedPnl: next.realizedPnl,
+      positionSide: order.positionSide,
+      maker,
+      time: now
+    };
+    if (!this.state.trades[order.orderId]) this.state.trades[order.orderId] = [];
+    this.state.trades[order.orderId].push(trade);
+    this._emitOrder(order, 'TRADE', trade);
+    this._emitAccount('ORDER');
+  }
+
+  _finish(order, status) {
+    order.status = status;
+    order.updateTime = Date.now();
+    this._emitOrder(order, status);
+  }
+
+  async _bookFor(symbol) {
+    const local = this.books?.get(symbol);
+    if (local?.isReady()) return local.topLevels(50);
+    const snap = await this.live.getOrderBook(symbol, 50).catch(() => null);
+    return {
+      bids: parseLevels(snap?.bids).sort((a, b) => b[0] - a[0]),
+      asks: parseLevels(snap?.asks).sort((a, b) => a[0] - b[0])
+    };
+  }
+
+  async _markPrice(symbol) {
+    if (this.state.marks[symbol] > 0) return this.state.marks[symbol];
+    const t = await this.live.getTicker(symbol);
+    const price = Number(t?.price ?? t?.last ?? t?.lastPrice);
+    if (!(price > 0)) throw this._error(-1000, `No market price for ${symbol}`, 'GET');
+    this.state.marks[symbol] = price;
+    return price;
+  }
+
+  // Positions
+  _positionKey(order) {
+    return `${order.symbol}|${order.positionSide === 'LONG' || order.positionSide === 'SHORT' ? order.positionSide : 'BOTH'}`;
+  }
+
+  // Size this order may still take off its position
+  _reducible(order) {
+    const q = this.state.positions[this._positionKey(order)]?.quantity || 0;
+    return order.side === 'SELL' ? Math.max(q, 0) : Math.max(-q, 0);
+  }
+
+  _fillableQty(order) {
+    const remaining = order.origQty - order.executedQty;
+    if (order.closePosition) return this._reducible(order);
+    return order.reduceOnly ? Math.min(remaining, this._reducible(order)) : remaining;
+  }
+
+  _leverage(symbol) {
+    return this.state.leverage[symbol] || this.defaultLeverage;
+  }
+
+  _openOrders(symbol) {
+    return Object.values(this.state.orders).filter((o) => OPEN_STATES.has(o.status) && (!symbol || o.symbol === symbol));
+  }
+
+  _positionList() {
+    return Object.values(this.state.positions).map((p) => {
+      const markPrice = this.state.marks[p.symbol] || p.entryPrice;
+      const leverage = this._leverage(p.symbol);
+      return {
+        symbol: p.symbol,
+        positionSide: p.positionSide,
+        quantity: p.quantity,
+        entryPrice: p.entryPrice,
+        markPrice,
+        unrealizedPnl: p.quantity * (markPrice - p.entryPrice),
+        leverage,
+        marginType: this.state.marginType[p.symbol] || 'CROSSED',
+        liquidationPrice: 0,
+        notional: p.quantity * markPrice,
+        updateTime: p.updateTime
+      };
+    });
+  }
+
+  _summary() {
+    const positions = this._positionList();
+    const unrealizedPnl = positions.reduce((sum, p) => sum + p.unrealizedPnl, 0);
+    const initialMarginUsd = positions.reduce((sum, p) => sum + Math.abs(p.notional) / p.leverage, 0);
+    const walletUsd = this.state.walletUsd;
+    return {
+      walletUsd,
+      unrealizedPnl,
+      equityUsd: walletUsd + unrealizedPnl,
+      initialMarginUsd,
+      availableUsd: Math.max(0, walletUsd + Math.min(0, unrealizedPnl) - initialMarginUsd)
+    };
+  }
+
+  _available() {
+    return this._summary().availableUsd;
+  }
+
+  // Same typed errors the live venue would produce
+  _error(code, msg, method = 'POST') {
+    return toExchangeError({ message: msg, response: { status: 400, data: { code, msg }, headers: {} }, config: { method, url: '/paper/order' } });
+  }
+
+  _emitOrder(order, executionType, trade = null) {
+    this.emit('order', {
+      symbol: order.symbol,
+      orderId: order.orderId,
+      clientOrderId: order.clientOrderId,
+      side: order.side,
+      type: order.type,
+      status: order.status,
+      executionType,
+      quantity: order.origQty,
+      price: order.price,
+      stopPrice: order.stopPrice,
+      executedQty: order.executedQty,
+      avgPrice: order.avgPrice,
+      lastFillQty: trade ? trade.qty : 0,
+      lastFillPrice: trade ? trade.price : 0,
+      commission: trade ? trade.commission : 0,
+      commissionAsset: trade ? trade.commissionAsset : null,
+      realizedPnl: trade ? trade.realizedPnl : 0,
+      positionSide: order.positionSide,
+      reduceOnly: order.reduceOnly,
+      updateTime: order.updateTime
+    });
+  }
+
+  _emitAccount(reason) {
+    this.emit('account', { reason, ...this.status() });
+  }
+
+  // Persistence
+  _load(startingBalanceUsd) {
+    if (!this.stateFile || !fs.existsSync(this.stateFile)) return freshState(startingBalanceUsd);
+    try {
+      const state = { ...freshState(startingBalanceUsd), ...JSON.parse(fs.readFileSync(this.stateFile, 'utf8')) };
+      for (const order of Object.values(state.orders)) delete order.triggered; // stop caught mid-execution by a restart
+      return state;
+    } catch (e) {
+      // Keep the unreadable file for inspection instead of overwriting it
+      this.loadError = e.message;
+      fs.renameSync(this.stateFile, `${this.stateFile}.corrupt-${Date.now()}`);
+      return freshState(startingBalanceUsd);
+    }
+  }
+
+  _save() {
+    if (!this.stateFile) return;
+    const closed = Object.values(this.state.orders).filter((o) => !OPEN_STATES.has(o.status)).sort((a, b) => a.updateTime - b.updateTime);
+    for (const order of closed.slice(0, Math.max(0, closed.length - MAX_CLOSED_ORDERS))) {
+      delete this.state.orders[order.orderId];
+      delete this.state.trades[order.orderId];
+    }
+    this.state.updatedAt = Date.now();
+    fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+    const tmp = `${this.stateFile}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.state));
+    fs.renameSync(tmp, this.stateFile); // atomic: a crash never leaves half a file
+  }
+}
+
+module.exports = { PaperBroker };
@@ -4,6 +4,11 @@ const axios = require('axios');
 const Bottleneck = require('bottleneck');
 const { aster, rateLimit } = require('../../config/trading_config');
 const crypto = require('crypto');
+const { RateLimiter, requestWeight, classify, PRIORITY } = require('./rate_limiter');
+const { createAdapter, PaperBroker } = require('./adapters');
+const { toExchangeError, TimestampError, UnknownOrderStateError, OrderNotFoundError } = require('./errors');
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
 class AsterApiClient {
   constructor(options = {}) {
@@ -12,182 +17,261 @@ class AsterApiClient {
     this.apiSecret = options.apiSecret || process.env.ASTER_API_SECRET || '';
     this.authHeader = options.authHeader || aster.authHeader;
     this.authScheme = options.authScheme || aster.authScheme;
-    this.vendor = options.vendor || process.env.ASTER_VENDOR || (this.baseUrl.includes('fapi.') ? 'binance' : 'aster');
+    this.vendor = options.vendor || options.adapter?.name || process.env.ASTER_VENDOR || (this.baseUrl.includes('fapi.') ? 'binance' : 'aster');
+    this.recvWindowMs = options.recvWindowMs || aster.recvWindowMs;
+    this.maxOrderResubmits = options.maxOrderResubmits ?? 1;
+    this.maxRetries = options.maxRetries || 3;
+    this.ambiguousCheckDelayMs = options.ambiguousCheckDelayMs ?? 1000;
+    // Endpoint paths, payload shapes and signing live in the vendor adapter; this class is the transport
+    this.adapter = options.adapter || createAdapter(this.vendor, this);
+    // Paper trading: orders and account are simulated, market data still comes from the venue
+    if (options.paper) this.adapter = new PaperBroker(this, { ...options.paper, live: this.adapter });
+    // serverTime - localTime, applied to every signed timestamp
+    this.timeSync = { offsetMs: 0, rttMs: null, syncedAt: null, error: null };
+    this._timeSyncTimer = null;
 
     this.http = axios.create({
       baseURL: this.baseUrl,
       timeout: options.timeoutMs || 10000
     });
 
+    // Bottleneck orders and paces the queue; RateLimiter enforces exchange weight/order budgets
     this.limiter = new Bottleneck({
       minTime: Math.ceil(1000 / (options.maxRequestsPerSecond || rateLimit.maxRequestsPerSecond)),
-      maxConcurrent: options.maxConcurrent || rateLimit.maxConcurrent,
-      reservoir: options.reservoir ?? rateLimit.reservoir,
-      reservoirRefreshAmount: options.reservoirRefreshAmount ?? rateLimit.reservoirRefreshAmount,
-      reservoirRefreshInterval: options.reservoirRefreshIntervalMs ?? rateLimit.reservoirRefreshIntervalMs
+      maxConcurrent: options.maxConcurrent || rateLimit.maxConcurrent
     });
+    this.rateLimiter = options.rateLimiter || new RateLimiter(options.rateLimit);
 
     this.http.interceptors.request.use((config) => {
-      if (this.vendor === 'binance') {
-        if (!config.headers) config.headers = {};
-        config.headers['X-MBX-APIKEY'] = this.apiKey;
-        return config;
-      } else {
-        if (this.apiKey) {
-          const headerName = this.authHeader || 'Authorization';
-          const scheme = this.authScheme ? `${this.authScheme} ` : '';
-          config.headers[headerName] = `${scheme}${this.apiKey}`;
-        }
-        return config;
-      }
+      config.headers = Object.assign(config.headers || {}, this.adapter.authHeaders());
+      return config;
     });
 
     this.http.interceptors.response.use(
-      (res) => res,
-      async (error) => {
+      (res) => {
+        this.rateLimiter.record(res.headers);
+        return res;
+      },
+      (error) => {
         const status = error.response?.status;
-        if (status >= 500 || status === 429) {
-          const config = error.config || {};
-          config._retryCount = (config._retryCount || 0) + 1;
-          if (config._retryCount <= (options.maxRetries || 3)) {
-            const waitMs = Math.min(2000 * config._retryCount, 8000);
-            await new Promise((r) => setTimeout(r, waitMs));
-            return this.http(config);
-          }
-        }
-        return Promise.reject(error);
+        if (error.response) this.rateLimiter.record(error.response.headers);
+        if (status === 429 || status === 418) this.rateLimiter.recordRejection(status, error.response.headers);
+        return Promise.reject(toExchangeError(error));
       }
     );
   }
 
+  // Every attempt, retries included, reserves its weight and order count with the RateLimiter and
+  // then takes its turn in the Bottleneck queue, so both budgets and priorities apply to resends too.
+  // 429 means the request was turned away unprocessed; anything else is only resent when idempotent.
+  // A ban (418) lasts minutes: fail now, the limiter holds every other request until it lifts.
   async request(config) {
-    return this.limiter.schedule(() => this.http.request(config)).then((r) => r.data);
+    const kind = classify(config.method, config.url);
+    const budget = { kind, weight: requestWeight(config.method, config.url, config.params) };
+    for (let attempt = 0; ; attempt++) {
+      await this.rateLimiter.acquire(budget);
+      try {
+        const res = await this.limiter.schedule({ priority: PRIORITY[kind] }, () => {
+          // The backoff can outlast recvWindow, so resent signed requests get a fresh timestamp
+          const url = attempt && config._signed ? this._signedUrl(config._signed.path, config._signed.params) : config.url;
+          return this.http.request({ ...config, url });
+        });
+        return res.data;
+      } catch (e) {
+        if (!e.retryable || e instanceof TimestampError || attempt >= this.maxRetries) throw e;
+        // After a 429 the RateLimiter pause is the backoff
+        if (e.status !== 429) await sleep(Math.min(2000 * (attempt + 1), 8000));
+      }
+    }
+  }
+
+  getRateLimitStatus() {
+    const counts = this.limiter.counts();
+    return { ...this.rateLimiter.status(), queued: counts.QUEUED, running: counts.RUNNING + counts.EXECUTING };
   }
 
   async requestSigned(method, path, params = {}) {
-    if (this.vendor !== 'binance') {
+    if (!this.adapter.signsRequests) {
       return this.request({ method, url: path, params });
     }
-    const timestamp = Date.now();
-    const payload = new URLSearchParams({ ...params, timestamp: String(timestamp), recvWindow: String(params.recvWindow || 5000) });
+    if (!this.timeSync.syncedAt) await this.syncTime().catch(() => null);
+    const signed = { path, params };
+    try {
+      return await this.request({ method, url: this._signedUrl(path, params), _signed: signed });
+    } catch (e) {
+      // Rejected before processing, so resending with a corrected timestamp is safe
+      if (!(e instanceof TimestampError)) throw e;
+      await this.syncTime();
+      return this.request({ method, url: this._signedUrl(path, params), _signed: signed });
+    }
+  }
+
+  _signedUrl(path, params) {
+    const payload = new URLSearchParams({ ...params, timestamp: String(this.now()), recvWindow: String(params.recvWindow || this.recvWindowMs) });
     const queryString = payload.toString();
     const signature = crypto.createHmac('sha256', this.apiSecret).update(queryString).digest('hex');
-    const url = `${path}?${queryString}&signature=${signature}`;
-    return this.request({ method, url });
+    return `${path}?${queryString}&signature=${signature}`;
   }
 
-  // Market data
-  getTicker(symbol) {
-    if (this.vendor === 'binance') {
-      const s = this._mapSymbol(symbol);
-      return this.request({ method: 'GET', url: `/fapi/v1/ticker/price`, params: { symbol: s } });
-    }
-    return this.request({ method: 'GET', url: `/v1/market/ticker`, params: { symbol } });
+  // Server clock
+  now() {
+    return Date.now() + this.timeSync.offsetMs;
   }
 
-  getOrderBook(symbol, depth = 50) {
-    if (this.vendor === 'binance') {
-      const s = this._mapSymbol(symbol);
-      return this.request({ method: 'GET', url: `/fapi/v1/depth`, params: { symbol: s, limit: depth } });
-    }
-    return this.request({ method: 'GET', url: `/v1/market/orderbook`, params: { symbol, depth } });
+  getServerTime() {
+    return this.adapter.getServerTime();
   }
 
-  async getCandles(symbol, interval = '1m', limit = 200) {
-    if (this.vendor === 'binance') {
-      const s = this._mapSymbol(symbol);
-      const data = await this.request({ method: 'GET', url: `/fapi/v1/klines`, params: { symbol: s, interval, limit } });
-      // Map to {open, high, low, close, volume}
-      return (data || []).map((k) => ({
-        openTime: k[0], open: Number(k[1]), high: Number(k[2]), low: Number(k[3]), close: Number(k[4]), volume: Number(k[5]), closeTime: k[6]
-      }));
+  // Offset is measured against the midpoint of the round trip
+  async syncTime() {
+    const sentAt = Date.now();
+    try {
+      const serverTime = await this.getServerTime();
+      const receivedAt = Date.now();
+      if (!Number.isFinite(serverTime)) throw new Error('Server time unavailable');
+      this.timeSync = {
+        offsetMs: Math.round(serverTime - (sentAt + receivedAt) / 2),
+        rttMs: receivedAt - sentAt,
+        syncedAt: receivedAt,
+        error: null
+      };
+    } catch (e) {
+      this.timeSync = { ...this.timeSync, error: e.message };
+      throw e;
     }
-    return this.request({ method: 'GET', url: `/v1/market/candles`, params: { symbol, interval, limit } });
+    return this.timeSync;
   }
 
-  async getExchangeInfo() {
-    if (this.vendor === 'binance') {
-      return this.request({ method: 'GET', url: `/fapi/v1/exchangeInfo` });
-    }
-    return {};
+  startTimeSync(intervalMs = aster.timeSyncIntervalMs) {
+    this.stopTimeSync();
+    this._timeSyncTimer = setInterval(() => this.syncTime().catch(() => null), intervalMs);
+    if (this._timeSyncTimer.unref) this._timeSyncTimer.unref();
+    return this.syncTime();
+  }
+
+  stopTimeSync() {
+    if (this._timeSyncTimer) clearInterval(this._timeSyncTimer);
+    this._timeSyncTimer = null;
+  }
+
+  getTimeSyncStatus() {
+    return { ...this.timeSync, recvWindowMs: this.recvWindowMs };
+  }
+
+  // Market data
+  getTicker(symbol) {
+    return this.adapter.getTicker(symbol);
   }
 
-  async getSymbolFilters(symbol) {
-    if (this.vendor !== 'binance') return {};
-    const info = await this.getExchangeInfo();
-    const s = this._mapSymbol(symbol);
-    const sym = (info.symbols || []).find((x) => x.symbol === s);
-    if (!sym) return {};
-    const map = {};
-    for (const f of sym.filters || []) map[f.filterType] = f;
-    return map;
+  getOrderBook(symbol, depth = 50) {
+    return this.adapter.getOrderBook(symbol, depth);
+  }
+
+  // Candles: [{ openTime, open, high, low, close, volume, closeTime }]
+  getCandles(symbol, interval = '1m', limit = 200) {
+    return this.adapter.getCandles(symbol, interval, limit);
+  }
+
+  getExchangeInfo() {
+    return this.adapter.getExchangeInfo();
   }
 
   // Orders
-  placeOrder(order) {
-    if (this.vendor === 'binance') {
-      // Expected order: { symbol:'BTC-USD', side:'BUY'|'SELL', type:'MARKET'|'LIMIT', quantity, price?, reduceOnly? }
-      const s = this._mapSymbol(order.symbol);
-      const side = order.side?.toUpperCase();
-      const type = (order.type || 'MARKET').toUpperCase();
-      const params = { symbol: s, side, type };
-      if (type === 'MARKET') {
-        params.quantity = order.quantity;
-      } else if (type === 'LIMIT') {
-        params.timeInForce = order.timeInForce || 'GTC';
-        params.price = order.price;
-        params.quantity = order.quantity;
+  // Never resent blindly: after an ambiguous failure the order is looked up by its client id
+  // and only resubmitted once the exchange confirms it does not exist.
+  async placeOrder(order) {
+    const clientOrderId = order.newClientOrderId || `qvt_${crypto.randomBytes(8).toString('hex')}`;
+    const withId = { ...order, newClientOrderId: clientOrderId };
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.adapter.placeOrder(withId);
+      } catch (e) {
+        if (!(e instanceof UnknownOrderStateError)) throw e;
+        e.clientOrderId = clientOrderId;
+        const existing = await this._findAfterAmbiguousFailure(order.symbol, clientOrderId);
+        if (existing) return existing;
+        if (existing === null && attempt < this.maxOrderResubmits) continue;
+        throw e;
       }
-      if (order.reduceOnly != null) params.reduceOnly = Boolean(order.reduceOnly);
-      if (order.positionSide) params.positionSide = String(order.positionSide).toUpperCase(); // LONG|SHORT|BOTH
-      if (order.newClientOrderId) params.newClientOrderId = order.newClientOrderId;
-      return this.requestSigned('POST', '/fapi/v1/order', params);
     }
-    return this.request({ method: 'POST', url: `/v1/orders`, data: order });
   }
 
-  cancelOrder(orderId) {
-    if (this.vendor === 'binance') {
-      return this.requestSigned('DELETE', '/fapi/v1/order', { orderId });
+  // Resolves the order, null when the exchange confirms it never arrived, undefined when still unknown
+  async _findAfterAmbiguousFailure(symbol, clientOrderId) {
+    let confirmedMissing = true;
+    for (let i = 1; i <= 3; i++) {
+      await sleep(this.ambiguousCheckDelayMs * i);
+      try {
+        const order = await this.getOrderByClientId(clientOrderId, symbol);
+        if (order) return order;
+      } catch (e) {
+        if (!(e instanceof OrderNotFoundError)) confirmedMissing = false;
+      }
     }
-    return this.request({ method: 'DELETE', url: `/v1/orders/${orderId}` });
+    return confirmedMissing ? null : undefined;
   }
 
-  getOrder(orderId) {
-    if (this.vendor === 'binance') {
-      return this.requestSigned('GET', '/fapi/v1/order', { orderId });
-    }
-    return this.request({ method: 'GET', url: `/v1/orders/${orderId}` });
+  cancelOrder(orderId, symbol) {
+    return this.adapter.cancelOrder(orderId, symbol);
+  }
+
+  getOrderByClientId(clientOrderId, symbol) {
+    return this.adapter.getOrderByClientId(clientOrderId, symbol);
+  }
+
+  getOrder(orderId, symbol) {
+    return this.adapter.getOrder(orderId, symbol);
+  }
+
+  // Individual fills (price, qty, commission, realizedPnl) for one order
+  getOrderTrades(symbol, orderId) {
+    return this.adapter.getOrderTrades(symbol, orderId);
   }
 
   listOpenOrders(params = {}) {
-    return this.request({ method: 'GET', url: `/v1/orders`, params });
+    return this.adapter.listOpenOrders(params);
+  }
+
+  cancelAllOpenOrders(symbol) {
+    return this.adapter.cancelAllOpenOrders(symbol);
+  }
+
+  // User data stream (listenKey venues)
+  createListenKey() {
+    return this.adapter.createListenKey();
+  }
+
+  keepAliveListenKey() {
+    return this.adapter.keepAliveListenKey();
+  }
+
+  closeListenKey() {
+    return this.adapter.closeListenKey();
   }
 
   // Portfolio
+  // Balances: [{ asset, balance, available, unrealizedPnl }]
   getBalances() {
-    if (this.vendor === 'binance') return {};
-    return this.request({ method: 'GET', url: `/v1/account/balances` });
+    return this.adapter.getBalances();
   }
 
+  // Positions: [{ symbol:'BTC-USD', quantity (signed), entryPrice, markPrice, unrealizedPnl, leverage, marginType, liquidationPrice, positionSide, notionalValue }]
   getPositions() {
-    if (this.vendor === 'binance') return {};
-    return this.request({ method: 'GET', url: `/v1/account/positions` });
+    return this.adapter.getPositions();
   }
 
+  // Account summary: { equityUsd, walletBalanceUsd, availableUsd, unrealizedPnl, maintMarginUsd, initialMarginUsd, balances }
   getAccount() {
-    return this.request({ method: 'GET', url: `/v1/account` });
+    return this.adapter.getAccount();
   }
 
-  _mapSymbol(symbol) {
-    if (!symbol) return symbol;
-    const s = String(symbol).toUpperCase();
-    if (s.includes('-')) {
-      const [base, quote] = s.split('-');
-      if (quote === 'USD') return `${base}USDT`;
-      return `${base}${quote}`;
-    }
-    return s;
+  setLeverage(symbol, leverage) {
+    return this.adapter.setLeverage(symbol, leverage);
+  }
+
+  // marginType: 'ISOLATED' | 'CROSSED'
+  setMarginType(symbol, marginType) {
+    return this.adapter.setMarginType(symbol, String(marginType).toUpperCase());
   }
 }
 
@@ -0,0 +1,236 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+function intervalMs(interval) {
+  const m = /^(\d+)([mhd])$/.exec(String(interval));
+  if (!m) throw new Error(`Unsupported interval: ${interval}`);
+  return Number(m[1]) * UNIT_MS[m[2]];
+}
+
+function toBar(c, ms) {
+  const openTime = Number(c.openTime ?? c.t ?? c.timestamp ?? c[0]);
+  return {
+    openTime,
+    open: Number(c.open ?? c.o ?? c[1]),
+    high: Number(c.high ?? c.h ?? c[2]),
+    low: Number(c.low ?? c.l ?? c[3]),
+    close: Number(c.close ?? c.c ?? c[4]),
+    volume: Number(c.volume ?? c.v ?? c[5] ?? 0),
+    closeTime: Number(c.closeTime ?? c.T ?? openTime + ms - 1)
+  };
+}
+
+// Aggregate finer bars into buckets of targetMs (epoch aligned, as the exchanges do for <= 1d)
+function rollup(bars, targetMs) {
+  const out = [];
+  for (const b of bars) {
+    const bucket = Math.floor(b.openTime / targetMs) * targetMs;
+    const last = out[out.length - 1];
+    if (last && last.openTime === bucket) {
+      last.high = Math.max(last.high, b.high);
+      last.low = Math.min(last.low, b.low);
+      last.close = b.close;
+      last.volume += b.volume;
+      last.closed = b.closed !== false && b.closeTime >= last.closeTime;
+    } else {
+      out.push({ ...b, openTime: bucket, closeTime: bucket + targetMs - 1, closed: b.closed !== false && b.closeTime >= bucket + targetMs - 1 });
+    }
+  }
+  return out;
+}
+
+// Per-symbol multi-timeframe bars: backfilled once over REST, then kept current from
+// 1m kline (or aggTrade) stream events rolled up into every tracked timeframe.
+// Gaps trigger a refetch of just the missing bars.
+class CandleStore extends EventEmitter {
+  constructor({ api, maxBars = 1000, staleMs = 90 * 1000, source = 'kline' }) {
+    super();
+    this.api = api;
+    this.maxBars = maxBars;
+    this.staleMs = staleMs;
+    this.source = source; // 'kline' | 'aggTrade': which stream builds the live 1m bar
+    this.series = new Map(); // `${symbol}|${interval}` -> { bars, current, ms, updatedAt }
+    this.minute = new Map(); // symbol -> live 1m bar
+    this._pending = new Map();
+  }
+
+  // Backfill once, then serve from memory. Refetches only the tail when no live update arrived lately.
+  async ensure(symbol, interval, limit = 200) {
+    const key = `${symbol}|${interval}`;
+    const s = this.series.get(key);
+    if (!s || s.bars.length + (s.current ? 1 : 0) < Math.min(limit, s.available ?? limit)) {
+      await this._fetch(symbol, interval, limit);
+    } else if (Date.now() - s.updatedAt > this.staleMs) {
+      const lastOpen = s.current?.openTime ?? s.bars[s.bars.length - 1]?.openTime ?? 0;
+      const missing = Math.ceil((Date.now() - lastOpen) / s.ms) + 1;
+      await this._fetch(symbol, interval, Math.min(limit, Math.max(2, missing)));
+    }
+    return this.getBars(symbol, interval, { limit });
+  }
+
+  getBars(symbol, interval, { limit, includePartial = true } = {}) {
+    const s = this.series.get(`${symbol}|${interval}`);
+    if (!s) return this._derive(symbol, interval, { limit, includePartial });
+    const bars = s.bars.map((b) => ({ ...b, closed: true }));
+    if (includePartial && s.current) bars.push({ ...s.current, closed: false });
+    return limit ? bars.slice(-limit) : bars;
+  }
+
+  // Untracked timeframe: roll up the finest tracked series that divides it
+  _derive(symbol, interval, { limit, includePartial }) {
+    const target = intervalMs(interval);
+    const sources = [...this.series.entries()]
+      .filter(([k, s]) => k.startsWith(`${symbol}|`) && target % s.ms === 0 && s.ms < target)
+      .sort((a, b) => a[1].ms - b[1].ms);
+    if (!sources.length) return [];
+    const base = this.getBars(symbol, sources[0][0].split('|')[1], { includePartial });
+    const bars = rollup(base, target).filter((b) => includePartial || b.closed);
+    return limit ? bars.slice(-limit) : bars;
+  }
+
+  onKline(event) {
+    if (this.source !== 'kline' || event.interval !== '1m') return;
+    this._onMinuteBar(event.symbol, toBar(event, UNIT_MS.m), event.closed);
+  }
+
+  onAggTrade(event) {
+    if (this.source !== 'aggTrade') return;
+    const minuteOpen = Math.floor(Number(event.time) / UNIT_MS.m) * UNIT_MS.m;
+    const cur = this.minute.get(event.symbol);
+    if (cur && cur.openTime === minuteOpen) {
+      this._onMinuteBar(event.symbol, {
+        ...cur,
+        high: Math.max(cur.high, event.price),
+        low: Math.min(cur.low, event.price),
+        close: event.price,
+        volume: cur.volume + event.quantity
+      }, false);
+      return;
+    }
+    if (cur && cur.openTime < minuteOpen) this._onMinuteBar(event.symbol, cur, true);
+    this._onMinuteBar(event.symbol, {
+      openTime: minuteOpen,
+      open: event.price,
+      high: event.price,
+      low: event.price,
+      close: event.price,
+      volume: event.quantity,
+      closeTime: minuteOpen + UNIT_MS.m - 1
+    }, false);
+  }
+
+  _onMinuteBar(symbol, bar, closed) {
+    const prevMinute = this.minute.get(symbol);
+    this.minute.set(symbol, closed ? null : bar);
+    for (const [key, s] of this.series) {
+      if (!key.startsWith(`${symbol}|`)) continue;
+      this._roll(symbol, key, s, bar, prevMinute);
+    }
+    this.emit('bar', { symbol, bar, closed });
+  }
+
+  _roll(symbol, key, s, bar, prevMinute) {
+    const bucket = Math.floor(bar.openTime / s.ms) * s.ms;
+    const cur = s.current;
+    if (cur && bucket < cur.openTime) return; // late event for an already closed bar
+    if (!cur || cur.openTime !== bucket) {
+      const lastOpen = cur?.openTime ?? s.bars[s.bars.length - 1]?.openTime;
+      if (cur) this._close(s, cur);
+      if (lastOpen != null && bucket - lastOpen > s.ms) {
+        this._fillGap(symbol, key.split('|')[1], Math.ceil((bucket - lastOpen) / s.ms) + 1);
+      }
+      s.current = { ...bar, openTime: bucket, closeTime: bucket + s.ms - 1, _closedVolume: 0, _minuteOpen: bar.openTime };
+    } else {
+      if (cur._minuteOpen == null) {
+        // Backfilled bar: REST volume already includes the minutes before this one
+        cur._closedVolume = Math.max(0, cur.volume - bar.volume);
+        cur._minuteOpen = bar.openTime;
+      } else if (cur._minuteOpen !== bar.openTime) {
+        // A new minute started inside this bar: bank the finished minute's volume
+        const finished = prevMinute && prevMinute.openTime === cur._minuteOpen ? prevMinute.volume : 0;
+        cur._closedVolume += finished;
+        cur._minuteOpen = bar.openTime;
+      }
+      cur.high = Math.max(cur.high, bar.high);
+      cur.low = Math.min(cur.low, bar.low);
+      cur.close = bar.close;
+      cur.volume = cur._closedVolume + bar.volume;
+    }
+    s.updatedAt = Date.now();
+  }
+
+  _close(s, bar) {
+    const { _closedVolume, _minuteOpen, ...clean } = bar;
+    s.bars.push(clean);
+    if (s.bars.length > this.maxBars) s.bars.splice(0, s.bars.length - this.maxBars);
+    s.current = null;
+  }
+
+  _fillGap(symbol, interval, count) {
+    this.emit('gap', { symbol, interval, missing: count });
+    this._fetch(symbol, interval, Math.min(this.maxBars, count + 1)).catch((e) => {
+      this.emit('fetch-error', Object.assign(e, { symbol, interval }));
+    });
+  }
+
+  async _fetch(symbol, interval, limit) {
+    const key = `${symbol}|${interval}`;
+    if (this._pending.has(key)) return this._pending.get(key);
+    const p = (async () => {
+      const ms = intervalMs(interval);
+      const raw = await this.api.getCandles(symbol, interval, limit);
+      const fetched = (raw || []).map((c) => toBar(c, ms));
+      const s = this.series.get(key) || { bars: [], current: null, ms, updatedAt: 0 };
+      this._merge(s, fetched);
+      s.available = s.bars.length + (s.current ? 1 : 0);
+      s.updatedAt = Date.now();
+      this.series.set(key, s);
+    })().finally(() => this._pending.delete(key));
+    this._pending.set(key, p);
+    return p;
+  }
+
+  _merge(s, fetched) {
+    const byOpen = new Map(s.bars.map((b) => [b.openTime, b]));
+    if (s.current) byOpen.set(s.current.openTime, s.current);
+    for (const b of fetched) {
+      const live = byOpen.get(b.openTime);
+      if (live && live === s.current) {
+        // The live in-progress bar only takes the REST close and volume when the snapshot saw more of
+        // the bar than the stream (volume only grows within a bar); high and low keep the wider range
+        const high = Math.max(live.high, b.high);
+        const low = Math.min(live.low, b.low);
+        if (b.volume >= live.volume) {
+          const _closedVolume = live._minuteOpen != null ? live._closedVolume + b.volume - live.volume : live._closedVolume;
+          Object.assign(live, { ...b, high, low, _closedVolume, _minuteOpen: live._minuteOpen });
+        } else {
+          Object.assign(live, { high, low });
+        }
+      } else {
+        byOpen.set(b.openTime, b);
+      }
+    }
+    const now = Date.now();
+    const all = [...byOpen.values()].sort((a, b) => a.openTime - b.openTime);
+    const last = all[all.length - 1];
+    if (last && last.closeTime >= now) {
+      s.current = last._minuteOpen != null ? last : { ...last, _closedVolume: 0, _minuteOpen: null };
+      all.pop();
+    } else {
+      s.current = null;
+    }
+    s.bars = all.map(({ _closedVolume, _minuteOpen, ...clean }) => clean).slice(-this.maxBars);
+  }
+}
+
+function attachCandleStore({ api, ws, options = {} }) {
+  const store = new CandleStore({ api, ...options });
+  ws.on('kline', (event) => store.onKline(event));
+  ws.on('aggTrade', (event) => store.onAggTrade(event));
+  return store;
+}
+
+module.exports = { CandleStore, attachCandleStore, rollup, intervalMs };
@@ -0,0 +1,142 @@
+'use strict';
+
+// Typed exchange errors. Every instance keeps the axios `response` so existing
+// `e.response?.data` logging keeps working; `retryable` says whether resending is safe.
+class ExchangeError extends Error {
+  constructor(message, { status = null, code = null, retryable = false, response = null, config = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.kind = 'exchange';
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+    this.response = response;
+    this.config = config;
+  }
+}
+
+class AuthError extends ExchangeError {
+  constructor(message, details) {
+    super(message, details);
+    this.kind = 'auth';
+  }
+}
+
+class InsufficientMarginError extends ExchangeError {
+  constructor(message, details) {
+    super(message, details);
+    this.kind = 'insufficient_margin';
+  }
+}
+
+class FilterViolationError extends ExchangeError {
+  constructor(message, details) {
+    super(message, details);
+    this.kind = 'filter_violation';
+  }
+}
+
+class RateLimitError extends ExchangeError {
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: !details.banned });
+    this.kind = 'rate_limited';
+    this.banned = Boolean(details.banned);
+    this.retryAfterMs = details.retryAfterMs ?? null;
+  }
+}
+
+class TimestampError extends ExchangeError {
+  constructor(message, details) {
+    super(message, { ...details, retryable: true });
+    this.kind = 'timestamp';
+  }
+}
+
+class OrderNotFoundError extends ExchangeError {
+  constructor(message, details) {
+    super(message, details);
+    this.kind = 'order_not_found';
+  }
+}
+
+// The request may or may not have been executed: look the order up before resending
+class UnknownOrderStateError extends ExchangeError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.kind = 'unknown_order_state';
+    this.clientOrderId = details.clientOrderId ?? null;
+  }
+}
+
+class NetworkError extends ExchangeError {
+  constructor(message, details) {
+    super(message, details);
+    this.kind = 'network';
+  }
+}
+
+// Binance-compatible error codes
+const AUTH_CODES = new Set([-1002, -1022, -2008, -2014, -2015]);
+const MARGIN_CODES = new Set([-2018, -2019, -2027, -2028, -4051]);
+const FILTER_CODES = new Set([-1013, -1111, -4003, -4004, -4005, -4013, -4014, -4016, -4023, -4024, -4131, -4164]);
+const RATE_CODES = new Set([-1003, -1015]);
+const NOT_FOUND_CODES = new Set([-2011, -2013]);
+const UNKNOWN_STATE_CODES = new Set([-1006, -1007]);
+
+// Calls that are safe to repeat blindly; order placement and cancels are not
+const IDEMPOTENT_POSTS = ['/fapi/v1/leverage', '/fapi/v1/marginType', '/fapi/v1/listenKey', '/v1/account/leverage', '/v1/account/margin-type'];
+
+function isIdempotent(config = {}) {
+  const method = String(config.method || 'GET').toUpperCase();
+  if (method === 'GET' || method === 'PUT') return true;
+  const path = String(config.url || '').split('?')[0];
+  return method === 'POST' && IDEMPOTENT_POSTS.includes(path);
+}
+
+function toExchangeError(error) {
+  if (error instanceof ExchangeError) return error;
+  const response = error?.response || null;
+  const config = error?.config || null;
+  const status = response?.status ?? null;
+  const data = response?.data || {};
+  const code = data.code ?? null;
+  const message = data.msg || data.message || data.error || error?.message || 'Exchange request failed';
+  const details = { status, code, response, config };
+  const idempotent = isIdempotent(config || {});
+
+  if (!response) {
+    // Timeout or dropped connection: a non-idempotent call may already have been executed
+    if (!idempotent) return new UnknownOrderStateError(`No response from exchange: ${message}`, details);
+    return new NetworkError(message, { ...details, retryable: true });
+  }
+  if (status === 418 || status === 429 || RATE_CODES.has(code)) {
+    const retryAfter = Number(response.headers?.['retry-after']);
+    return new RateLimitError(message, { ...details, banned: status === 418, retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : null });
+  }
+  if (code === -1021 || /timestamp for this request/i.test(message)) return new TimestampError(message, details);
+  if (AUTH_CODES.has(code) || status === 401) return new AuthError(message, details);
+  if (MARGIN_CODES.has(code) || /insufficient (margin|balance)/i.test(message)) return new InsufficientMarginError(message, details);
+  if (FILTER_CODES.has(code) || /filter failure|precision|min(imum)? notional|tick size|step size/i.test(message)) {
+    return new FilterViolationError(message, details);
+  }
+  if (NOT_FOUND_CODES.has(code) || (status === 404 && /\/orders?\b/.test(config?.url || ''))) return new OrderNotFoundError(message, details);
+  if (UNKNOWN_STATE_CODES.has(code) || status >= 500) {
+    if (!idempotent) return new UnknownOrderStateError(message, details);
+    return new ExchangeError(message, { ...details, retryable: true });
+  }
+  return new ExchangeError(message, details);
+}
+
+module.exports = {
+  ExchangeError,
+  AuthError,
+  InsufficientMarginError,
+  FilterViolationError,
+  RateLimitError,
+  TimestampError,
+  OrderNotFoundError,
+  UnknownOrderStateError,
+  NetworkError,
+  toExchangeError,
+  isIdempotent
+};
@@ -0,0 +1,563 @@
+'use strict';
+
+const EventEmitter = require('events');
+const { rollup, intervalMs } = require('../candle_store');
+const { applyFill } = require('../../execution/position_manager');
+
+const MINUTE = 60 * 1000;
+const DEFAULT_PRICES = { BTC: 60000, ETH: 3000, SOL: 150, BNB: 550, AVAX: 30, DOGE: 0.15 };
+
+// mulberry32: small seeded PRNG so every run with the same seed sees the same prices and fills
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hashSeed(str, seed) {
+  let h = seed >>> 0;
+  for (const ch of String(str)) h = Math.imul(h ^ ch.charCodeAt(0), 2654435761) >>> 0;
+  return h;
+}
+
+function gaussian(rand) {
+  const u = Math.max(rand(), 1e-12);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rand());
+}
+
+function decimalsOf(step) {
+  return Math.max(0, (String(step).split('.')[1] || '').replace(/0+$/, '').length);
+}
+
+function roundTo(value, step, mode = 'nearest') {
+  const n = value / step;
+  const r = mode === 'down' ? Math.floor(n + 1e-9) : mode === 'up' ? Math.ceil(n - 1e-9) : Math.round(n);
+  return Number((r * step).toFixed(decimalsOf(step)));
+}
+
+class MockExchangeError extends Error {
+  constructor(code, msg, status = 400) {
+    super(msg);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Deterministic in-memory futures venue: seeded random-walk prices, a synthetic book around
+// the mark, price-time matching for market/limit/stop orders, one-way or hedge positions,
+// fees and realized PnL. Emits canonical 'market', 'order' and 'account' events.
+class MockExchange extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.seed = options.seed ?? 42;
+    this.rand = seededRandom(this.seed);
+    this.now = options.now || (() => Date.now());
+    this.makerFee = options.makerFee ?? 0.0002;
+    this.takerFee = options.takerFee ?? 0.0004;
+    this.volatilityBps = options.volatilityBps ?? 1; // per tick
+    this.spreadTicks = options.spreadTicks ?? 2;
+    this.bookLevels = options.bookLevels ?? 20;
+    this.levelNotionalUsd = options.levelNotionalUsd ?? 25000;
+    this.defaultLeverage = options.leverage ?? 10;
+    this.wallet = options.balanceUsd ?? 10000;
+    this.markets = new Map();
+    this.orders = new Map(); // orderId -> order
+    this.byClientId = new Map();
+    this.fills = new Map(); // orderId -> [trade]
+    this.positions = new Map(); // `${symbol}|${positionSide}` -> { quantity (signed), entryPrice }
+    this.settings = new Map(); // symbol -> { leverage, marginType }
+    this.nextOrderId = 1;
+    this.nextTradeId = 1;
+    this._timer = null;
+    for (const symbol of options.symbols || ['BTC-USD', 'ETH-USD']) {
+      this.addMarket(symbol, options.prices?.[symbol]);
+    }
+  }
+
+  addMarket(symbol, price) {
+    const base = String(symbol).split('-')[0];
+    const start = Number(price) || DEFAULT_PRICES[base] || 100;
+    const tickSize = start >= 1000 ? 0.1 : start >= 10 ? 0.01 : 0.00001;
+    const stepSize = start >= 1000 ? 0.001 : start >= 10 ? 0.01 : 1;
+    const openTime = Math.floor(this.now() / MINUTE) * MINUTE;
+    const market = {
+      symbol,
+      price: roundTo(start, tickSize),
+      tickSize,
+      stepSize,
+      minQty: stepSize,
+      minNotional: 5,
+      startTime: openTime,
+      bars: [{ openTime, open: start, high: start, low: start, close: start, volume: 0, closeTime: openTime + MINUTE - 1 }],
+      depthSeq: 1,
+      lastBook: null,
+      aggId: 1
+    };
+    this.markets.set(symbol, market);
+    market.lastBook = this._book(market);
+    return market;
+  }
+
+  start(intervalMs = 1000) {
+    this.stop();
+    this._timer = setInterval(() => this.tick(), intervalMs);
+    if (this._timer.unref) this._timer.unref();
+  }
+
+  stop() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  // One step of the random walk for every market, then matching against the new prices
+  tick() {
+    for (const market of this.markets.values()) {
+      const move = gaussian(this.rand) * (this.volatilityBps / 10000);
+      this._movePrice(market, market.price * Math.exp(move), this.rand() * this.levelNotionalUsd / market.price / 10);
+    }
+  }
+
+  // Scripted price for deterministic scenarios (stop triggers, limit fills)
+  setPrice(symbol, price) {
+    this._movePrice(this._market(symbol), Number(price), 0);
+  }
+
+  _movePrice(market, price, tradeQty) {
+    market.price = Math.max(market.tickSize, roundTo(price, market.tickSize));
+    const now = this.now();
+    const bar = this._currentBar(market, now);
+    bar.high = Math.max(bar.high, market.price);
+    bar.low = Math.min(bar.low, market.price);
+    bar.close = market.price;
+    const qty = roundTo(tradeQty, market.stepSize, 'down');
+    if (qty > 0) {
+      bar.volume = roundTo(bar.volume + qty, market.stepSize);
+      this.emit('market', { type: 'aggTrade', symbol: market.symbol, id: market.aggId++, price: market.price, quantity: qty, time: now, buyerMaker: this.rand() < 0.5, eventTime: now });
+    }
+    this._publishBook(market, now);
+    this.emit('market', { type: 'ticker', symbol: market.symbol, last: market.price, open: market.bars[0].open, high: bar.high, low: bar.low, volume: bar.volume, quoteVolume: bar.volume * market.price, changePct: ((market.price - market.bars[0].open) / market.bars[0].open) * 100, eventTime: now });
+    this.emit('market', { type: 'markPrice', symbol: market.symbol, markPrice: market.price, indexPrice: market.price, fundingRate: 0.0001, nextFundingTime: now + 8 * 60 * MINUTE, eventTime: now });
+    this.emit('market', { type: 'kline', symbol: market.symbol, interval: '1m', ...bar, closed: false, eventTime: now });
+    this._matchResting(market);
+  }
+
+  _currentBar(market, now) {
+    let bar = market.bars[market.bars.length - 1];
+    const openTime = Math.floor(now / MINUTE) * MINUTE;
+    while (bar.openTime < openTime) {
+      this.emit('market', { type: 'kline', symbol: market.symbol, interval: '1m', ...bar, closed: true, eventTime: now });
+      const next = bar.openTime + MINUTE;
+      bar = { openTime: next, open: bar.close, high: bar.close, low: bar.close, close: bar.close, volume: 0, closeTime: next + MINUTE - 1 };
+      market.bars.push(bar);
+      if (market.bars.length > 5000) market.bars.shift();
+    }
+    return bar;
+  }
+
+  // Synthetic book: fixed notional per level, spreadTicks wide around the mark
+  _book(market, levels = this.bookLevels) {
+    const { price, tickSize, stepSize } = market;
+    const half = (this.spreadTicks / 2) * tickSize;
+    const bids = [];
+    const asks = [];
+    for (let i = 0; i < levels; i++) {
+      const bid = roundTo(price - half - i * tickSize, tickSize, 'down');
+      const ask = roundTo(price + half + i * tickSize, tickSize, 'up');
+      const qty = roundTo((this.levelNotionalUsd * (1 + i * 0.25)) / price, stepSize, 'down') || stepSize;
+      if (bid > 0) bids.push([bid, qty]);
+      asks.push([ask, qty]);
+    }
+    return { bids, asks };
+  }
+
+  _publishBook(market, now) {
+    const next = this._book(market);
+    const diff = (prev, cur) => {
+      const curMap = new Map(cur);
+      const out = cur.filter(([p, q]) => !prev.some(([pp, pq]) => pp === p && pq === q));
+      for (const [p] of prev) if (!curMap.has(p)) out.push([p, 0]);
+      return out;
+    };
+    const bids = diff(market.lastBook.bids, next.bids);
+    const asks = diff(market.lastBook.asks, next.asks);
+    market.lastBook = next;
+    if (!bids.length && !asks.length) return;
+    const prevFinalUpdateId = market.depthSeq;
+    market.depthSeq += 1;
+    this.emit('market', { type: 'depth', symbol: market.symbol, bids, asks, firstUpdateId: market.depthSeq, finalUpdateId: market.depthSeq, prevFinalUpdateId, eventTime: now });
+  }
+
+  _market(symbol) {
+    const market = this.markets.get(symbol);
+    if (!market) throw new MockExchangeError(-1121, 'Invalid symbol.');
+    return market;
+  }
+
+  // Market data
+  depth(symbol, limit = 50) {
+    const market = this._market(symbol);
+    const book = this._book(market, Math.min(limit, this.bookLevels));
+    return { lastUpdateId: market.depthSeq, bids: book.bids, asks: book.asks };
+  }
+
+  ticker(symbol) {
+    const market = this._market(symbol);
+    return { symbol, price: market.price, time: this.now() };
+  }
+
+  // Live 1m bars rolled up, preceded by a seeded backward walk for history older than the session
+  candles(symbol, interval = '1m', limit = 200) {
+    const market = this._market(symbol);
+    const ms = intervalMs(interval);
+    this._currentBar(market, this.now());
+    const live = rollup(market.bars.map((b) => ({ ...b })), ms).map(({ closed, ...b }) => b);
+    const needed = Math.max(0, limit - live.length);
+    const history = [];
+    if (needed > 0) {
+      const rand = seededRandom(hashSeed(`${symbol}|${interval}`, this.seed));
+      const vol = (this.volatilityBps / 10000) * Math.sqrt(ms / 1000);
+      let close = live[0].open;
+      let openTime = live[0].openTime;
+      for (let i = 0; i < needed; i++) {
+        openTime -= ms;
+        const open = close * Math.exp(-gaussian(rand) * vol);
+        const high = Math.max(open, close) * (1 + rand() * vol);
+        const low = Math.min(open, close) * (1 - rand() * vol);
+        const volume = roundTo((rand() * this.levelNotionalUsd * (ms / MINUTE)) / close, market.stepSize, 'down');
+        history.unshift({ openTime, open: roundTo(open, market.tickSize), high: roundTo(high, market.tickSize), low: roundTo(low, market.tickSize), close: roundTo(close, market.tickSize), volume, closeTime: openTime + ms - 1 });
+        close = open;
+      }
+    }
+    return [...history, ...live].slice(-limit);
+  }
+
+  exchangeInfo() {
+    return {
+      serverTime: this.now(),
+      symbols: [...this.markets.values()].map((m) => ({
+        symbol: m.symbol,
+        status: 'TRADING',
+        pricePrecision: decimalsOf(m.tickSize),
+        quantityPrecision: decimalsOf(m.stepSize),
+        filters: [
+          { filterType: 'PRICE_FILTER', tickSize: String(m.tickSize), minPrice: String(m.tickSize), maxPrice: '10000000' },
+          { filterType: 'LOT_SIZE', stepSize: String(m.stepSize), minQty: String(m.minQty), maxQty: '100000' },
+          { filterType: 'MARKET_LOT_SIZE', stepSize: String(m.stepSize), minQty: String(m.minQty), maxQty: '10000' },
+          { filterType: 'MIN_NOTIONAL', notional: String(m.minNotional) },
+          { filterType: 'PERCENT_PRICE', multiplierUp: '1.05', multiplierDown: '0.95', multiplierDecimal: '4' }
+        ]
+      }))
+    };
+  }
+
+  // Orders
+  placeOrder(input) {
+    const market = this._market(input.symbol);
+    const side = String(input.side || '').toUpperCase();
+    const type = String(input.type || 'MARKET').toUpperCase();
+    if (side !== 'BUY' && side !== 'SELL') throw new MockExchangeError(-1117, 'Invalid side.');
+    if (!['MARKET', 'LIMIT', 'STOP_MARKET', 'TAKE_PROFIT_MARKET'].includes(type)) throw new MockExchangeError(-1116, 'Invalid orderType.');
+    const clientOrderId = input.newClientOrderId || input.clientOrderId || `mock_${this.nextOrderId}`;
+    if (this.byClientId.has(clientOrderId)) throw new MockExchangeError(-4116, 'ClientOrderId is duplicated.');
+    const closePosition = String(input.closePosition) === 'true';
+    const quantity = closePosition ? 0 : Number(input.quantity);
+    if (!closePosition && !(quantity > 0)) throw new MockExchangeError(-4003, 'Quantity less than or equal to zero.');
+    if (!closePosition && Math.abs(roundTo(quantity, market.stepSize) - quantity) > 1e-9) throw new MockExchangeError(-1111, 'Precision is over the maximum defined for this asset.');
+    const price = input.price != null ? Number(input.price) : null;
+    if (type === 'LIMIT' && !(price > 0)) throw new MockExchangeError(-4001, 'Price less than 0.');
+    if (price != null && Math.abs(roundTo(price, market.tickSize) - price) > 1e-9) throw new MockExchangeError(-4014, 'Price not increased by tick size.');
+    const stopPrice = input.stopPrice != null ? Number(input.stopPrice) : null;
+    if ((type === 'STOP_MARKET' || type === 'TAKE_PROFIT_MARKET') && !(stopPrice > 0)) throw new MockExchangeError(-1102, 'Mandatory parameter \'stopPrice\' was not sent.');
+
+    const now = this.now();
+    const order = {
+      orderId: this.nextOrderId++,
+      clientOrderId,
+      symbol: market.symbol,
+      side,
+      type,
+      timeInForce: type === 'LIMIT' ? String(input.timeInForce || 'GTC').toUpperCase() : null,
+      price: price || 0,
+      stopPrice: stopPrice || 0,
+      origQty: quantity,
+      executedQty: 0,
+      cumQuote: 0,
+      avgPrice: 0,
+      status: 'NEW',
+      reduceOnly: String(input.reduceOnly) === 'true' || closePosition,
+      closePosition,
+      positionSide: String(input.positionSide || 'BOTH').toUpperCase(),
+      workingType: input.workingType || 'MARK_PRICE',
+      time: now,
+      updateTime: now
+    };
+
+    if (order.reduceOnly && !closePosition && (type === 'MARKET' || type === 'LIMIT') && this._reducible(order) <= 0) {
+      throw new MockExchangeError(-2022, 'ReduceOnly Order is rejected.');
+    }
+    if (!order.reduceOnly && type !== 'STOP_MARKET' && type !== 'TAKE_PROFIT_MARKET') {
+      const notional = quantity * (price || market.price);
+      if (notional < market.minNotional) throw new MockExchangeError(-4164, `Order's notional must be no smaller than ${market.minNotional}.`);
+      const required = notional / this._settings(market.symbol).leverage;
+      if (required > this._available()) throw new MockExchangeError(-2019, 'Margin is insufficient.');
+    }
+
+    this.orders.set(order.orderId, order);
+    this.byClientId.set(clientOrderId, order.orderId);
+    this._emitOrder(order, 'NEW');
+
+    if (type === 'MARKET') {
+      this._executeMarket(order);
+    } else if (type === 'LIMIT') {
+      const book = this._book(market);
+      const marketable = side === 'BUY' ? price >= book.asks[0][0] : price <= book.bids[0][0];
+      if (marketable && order.timeInForce === 'GTX') {
+        this._finish(order, 'EXPIRED'); // post-only would have taken liquidity
+      } else if (marketable) {
+        this._executeMarket(order, price);
+      }
+    }
+    return this._view(order);
+  }
+
+  cancelOrder({ orderId, clientOrderId }) {
+    const order = this._find({ orderId, clientOrderId });
+    if (!order || !['NEW', 'PARTIALLY_FILLED'].includes(order.status)) throw new MockExchangeError(-2011, 'Unknown order sent.');
+    this._finish(order, 'CANCELED');
+    return this._view(order);
+  }
+
+  cancelAll(symbol) {
+    for (const order of this.openOrders(symbol)) this.cancelOrder({ orderId: order.orderId });
+    return { code: 200, msg: 'The operation of cancel all open order is done.' };
+  }
+
+  getOrder({ orderId, clientOrderId }) {
+    const order = this._find({ orderId, clientOrderId });
+    if (!order) throw new MockExchangeError(-2013, 'Order does not exist.');
+    return this._view(order);
+  }
+
+  openOrders(symbol) {
+    return [...this.orders.values()]
+      .filter((o) => ['NEW', 'PARTIALLY_FILLED'].includes(o.status) && (!symbol || o.symbol === symbol))
+      .map((o) => this._view(o));
+  }
+
+  trades(orderId) {
+    return (this.fills.get(Number(orderId)) || []).map((t) => ({ ...t }));
+  }
+
+  _find({ orderId, clientOrderId }) {
+    if (orderId != null) return this.orders.get(Number(orderId)) || null;
+    const id = this.byClientId.get(clientOrderId);
+    return id != null ? this.orders.get(id) : null;
+  }
+
+  _view(order) {
+    return { ...order };
+  }
+
+  // Stops trigger on the mark; resting limits fill once the mark trades through them
+  _matchResting(market) {
+    for (const order of [...this.orders.values()]) {
+      if (order.symbol !== market.symbol || !['NEW', 'PARTIALLY_FILLED'].includes(order.status)) continue;
+      const p = market.price;
+      if (order.type === 'LIMIT') {
+        if ((order.side === 'BUY' && p <= order.price) || (order.side === 'SELL' && p >= order.price)) {
+          this._fill(order, order.origQty - order.executedQty, order.price, true);
+        }
+      } else if (order.type === 'STOP_MARKET' || order.type === 'TAKE_PROFIT_MARKET') {
+        const stop = order.type === 'STOP_MARKET';
+        const hit = order.side === 'SELL' ? (stop ? p <= order.stopPrice : p >= order.stopPrice) : stop ? p >= order.stopPrice : p <= order.stopPrice;
+        if (hit) this._executeMarket(order);
+      }
+    }
+  }
+
+  // Walk the synthetic book; limitPrice caps how far a marketable limit may go
+  _executeMarket(order, limitPrice = null) {
+    const market = this._market(order.symbol);
+    let remaining = order.closePosition || order.reduceOnly ? this._reducible(order) : order.origQty - order.executedQty;
+    if (order.closePosition) order.origQty = remaining;
+    else if (order.reduceOnly) remaining = Math.min(remaining, order.origQty - order.executedQty);
+    if (!(remaining > 0)) {
+      this._finish(order, 'EXPIRED');
+      return;
+    }
+    const levels = this._book(market)[order.side === 'BUY' ? 'asks' : 'bids'];
+    for (const [price, qty] of levels) {
+      if (!(remaining > 0)) break;
+      if (limitPrice != null && (order.side === 'BUY' ? price > limitPrice : price < limitPrice)) break;
+      const take = roundTo(Math.min(remaining, qty), market.stepSize, 'down');
+      if (!(take > 0)) break;
+      this._fill(order, take, price, false);
+      remaining = roundTo(remaining - take, market.stepSize);
+    }
+    if (order.status === 'PARTIALLY_FILLED' && order.type !== 'LIMIT') this._finish(order, 'EXPIRED');
+  }
+
+  _fill(order, qty, price, maker) {
+    const market = this._market(order.symbol);
+    const now = this.now();
+    const fee = qty * price * (maker ? this.makerFee : this.takerFee);
+    const realizedPnl = this._applyPosition(order, qty, price);
+    this.wallet += realizedPnl - fee;
+    order.cumQuote += qty * price;
+    order.executedQty = roundTo(order.executedQty + qty, market.stepSize);
+    order.avgPrice = order.cumQuote / order.executedQty;
+    order.updateTime = now;
+    const trade = {
+      id: this.nextTradeId++,
+      orderId: order.orderId,
+      symbol: order.symbol,
+      side: order.side,
+      price,
+      qty,
+      quoteQty: qty * price,
+      commission: fee,
+      commissionAsset: 'USDT',
+      realizedPnl,
+      positionSide: order.positionSide,
+      maker,
+      time: now
+    };
+    if (!this.fills.has(order.orderId)) this.fills.set(order.orderId, []);
+    this.fills.get(order.orderId).push(trade);
+    order.status = order.executedQty + 1e-12 >= order.origQty ? 'FILLED' : 'PARTIALLY_FILLED';
+    this._emitOrder(order, 'TRADE', trade);
+    this._emitAccount('ORDER');
+  }
+
+  _finish(order, status) {
+    order.status = status;
+    order.updateTime = this.now();
+    this._emitOrder(order, status === 'CANCELED' ? 'CANCELED' : 'EXPIRED');
+  }
+
+  // Positions
+  _positionKey(order) {
+    if (order.positionSide === 'LONG' || order.positionSide === 'SHORT') return `${order.symbol}|${order.positionSide}`;
+    return `${order.symbol}|BOTH`;
+  }
+
+  // Size this order may still take off its position
+  _reducible(order) {
+    const pos = this.positions.get(this._positionKey(order));
+    const q = pos ? pos.quantity : 0;
+    if (order.side === 'SELL') return q > 0 ? q : 0;
+    return q < 0 ? -q : 0;
+  }
+
+  _applyPosition(order, qty, price) {
+    const key = this._positionKey(order);
+    const next = applyFill(this.positions.get(key), order.side, qty, price);
+    const quantity = roundTo(next.quantity, this._market(order.symbol).stepSize);
+    if (quantity === 0) this.positions.delete(key);
+    else this.positions.set(key, { quantity, entryPrice: next.entryPrice });
+    return next.realizedPnl;
+  }
+
+  // Account
+  _settings(symbol) {
+    if (!this.settings.has(symbol)) this.settings.set(symbol, { leverage: this.defaultLeverage, marginType: 'CROSSED' });
+    return this.settings.get(symbol);
+  }
+
+  setLeverage(symbol, leverage) {
+    this._market(symbol);
+    const n = Number(leverage);
+    if (!(n >= 1 && n <= 125)) throw new MockExchangeError(-4028, 'Leverage is not valid.');
+    this._settings(symbol).leverage = n;
+    return { symbol, leverage: n, maxNotionalValue: '1000000' };
+  }
+
+  setMarginType(symbol, marginType) {
+    this._market(symbol);
+    const s = this._settings(symbol);
+    if (s.marginType === marginType) throw new MockExchangeError(-4046, 'No need to change margin type.');
+    s.marginType = marginType;
+    return { code: 200, msg: 'success' };
+  }
+
+  positionList() {
+    return [...this.positions.entries()].map(([key, pos]) => {
+      const [symbol, positionSide] = key.split('|');
+      const mark = this._market(symbol).price;
+      const { leverage, marginType } = this._settings(symbol);
+      const notional = pos.quantity * mark;
+      const unrealizedPnl = pos.quantity * (mark - pos.entryPrice);
+      // Isolated-style estimate: price where the position's margin is gone
+      const liquidationPrice = Math.max(0, pos.entryPrice * (1 - Math.sign(pos.quantity) / leverage));
+      return { symbol, positionSide, quantity: pos.quantity, entryPrice: pos.entryPrice, markPrice: mark, unrealizedPnl, leverage, marginType, liquidationPrice, notional };
+    });
+  }
+
+  _unrealized() {
+    return this.positionList().reduce((sum, p) => sum + p.unrealizedPnl, 0);
+  }
+
+  _initialMargin() {
+    return this.positionList().reduce((sum, p) => sum + Math.abs(p.notional) / p.leverage, 0);
+  }
+
+  _available() {
+    return this.wallet + Math.min(0, this._unrealized()) - this._initialMargin();
+  }
+
+  account() {
+    const unrealizedPnl = this._unrealized();
+    const initialMargin = this._initialMargin();
+    return {
+      walletBalance: this.wallet,
+      unrealizedPnl,
+      marginBalance: this.wallet + unrealizedPnl,
+      availableBalance: Math.max(0, this._available()),
+      initialMargin,
+      maintMargin: initialMargin * 0.4,
+      positions: this.positionList()
+    };
+  }
+
+  _emitOrder(order, executionType, trade = null) {
+    this.emit('order', {
+      symbol: order.symbol,
+      orderId: order.orderId,
+      clientOrderId: order.clientOrderId,
+      side: order.side,
+      type: order.type,
+      status: order.status,
+      executionType,
+      quantity: order.origQty,
+      price: order.price,
+      stopPrice: order.stopPrice,
+      executedQty: order.executedQty,
+      avgPrice: order.avgPrice,
+      lastFillQty: trade ? trade.qty : 0,
+      lastFillPrice: trade ? trade.price : 0,
+      commission: trade ? trade.commission : 0,
+      commissionAsset: trade ? trade.commissionAsset : null,
+      realizedPnl: trade ? trade.realizedPnl : 0,
+      positionSide: order.positionSide,
+      reduceOnly: order.reduceOnly,
+      updateTime: order.updateTime
+    });
+  }
+
+  _emitAccount(reason) {
+    const a = this.account();
+    this.emit('account', {
+      reason,
+      balances: [{ asset: 'USDT', balance: a.walletBalance, crossWalletBalance: a.walletBalance }],
+      positions: a.positions.map((p) => ({ symbol: p.symbol, quantity: p.quantity, entryPrice: p.entryPrice, unrealizedPnl: p.unrealizedPnl, marginType: p.marginType, positionSide: p.positionSide })),
+      eventTime: this.now()
+    });
+  }
+}
+
+module.exports = { MockExchange, MockExchangeError, seededRandom };
@@ -0,0 +1,281 @@
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const { MockExchange, MockExchangeError } = require('./mock_exchange');
+const { mapSymbol } = require('../adapters/binance_adapter');
+const { toCanonicalSymbol, binanceStreamName } = require('../stream_normalizer');
+const { requestWeight } = require('../rate_limiter');
+
+const str = (n) => String(Number(n ?? 0));
+
+// Canonical engine shapes -> Binance futures wire format
+function wireOrder(o) {
+  return {
+    orderId: o.orderId,
+    clientOrderId: o.clientOrderId,
+    symbol: mapSymbol(o.symbol),
+    status: o.status,
+    side: o.side,
+    type: o.type,
+    origType: o.type,
+    timeInForce: o.timeInForce || 'GTC',
+    price: str(o.price),
+    stopPrice: str(o.stopPrice),
+    origQty: str(o.origQty),
+    executedQty: str(o.executedQty),
+    cumQuote: str(o.cumQuote),
+    avgPrice: str(o.avgPrice),
+    reduceOnly: o.reduceOnly,
+    closePosition: o.closePosition,
+    positionSide: o.positionSide,
+    workingType: o.workingType,
+    time: o.time,
+    updateTime: o.updateTime
+  };
+}
+
+function wirePosition(p) {
+  return {
+    symbol: mapSymbol(p.symbol),
+    positionAmt: str(p.quantity),
+    entryPrice: str(p.entryPrice),
+    markPrice: str(p.markPrice),
+    unRealizedProfit: str(p.unrealizedPnl),
+    liquidationPrice: str(p.liquidationPrice),
+    leverage: str(p.leverage),
+    marginType: p.marginType === 'ISOLATED' ? 'isolated' : 'cross',
+    positionSide: p.positionSide,
+    notional: str(p.notional)
+  };
+}
+
+function wireMarket(event) {
+  const s = mapSymbol(event.symbol);
+  const E = event.eventTime;
+  switch (event.type) {
+    case 'ticker':
+      return { e: '24hrTicker', E, s, c: str(event.last), o: str(event.open), h: str(event.high), l: str(event.low), v: str(event.volume), q: str(event.quoteVolume), P: str(event.changePct) };
+    case 'depth':
+      return { e: 'depthUpdate', E, T: E, s, U: event.firstUpdateId, u: event.finalUpdateId, pu: event.prevFinalUpdateId, b: event.bids.map(([p, q]) => [str(p), str(q)]), a: event.asks.map(([p, q]) => [str(p), str(q)]) };
+    case 'kline':
+      return { e: 'kline', E, s, k: { t: event.openTime, T: event.closeTime, s, i: event.interval, o: str(event.open), c: str(event.close), h: str(event.high), l: str(event.low), v: str(event.volume), x: event.closed } };
+    case 'aggTrade':
+      return { e: 'aggTrade', E, s, a: event.id, p: str(event.price), q: str(event.quantity), T: event.time, m: event.buyerMaker };
+    case 'markPrice':
+      return { e: 'markPriceUpdate', E, s, p: str(event.markPrice), i: str(event.indexPrice), r: str(event.fundingRate), T: event.nextFundingTime };
+    default:
+      return null;
+  }
+}
+
+function wireOrderUpdate(o, E) {
+  return {
+    e: 'ORDER_TRADE_UPDATE',
+    E,
+    T: E,
+    o: {
+      s: mapSymbol(o.symbol), c: o.clientOrderId, S: o.side, o: o.type, q: str(o.quantity), p: str(o.price), ap: str(o.avgPrice), sp: str(o.stopPrice),
+      x: o.executionType, X: o.status, i: o.orderId, l: str(o.lastFillQty), z: str(o.executedQty), L: str(o.lastFillPrice),
+      n: str(o.commission), N: o.commissionAsset, T: o.updateTime, rp: str(o.realizedPnl), ps: o.positionSide, R: o.reduceOnly
+    }
+  };
+}
+
+function wireAccountUpdate(a) {
+  return {
+    e: 'ACCOUNT_UPDATE',
+    E: a.eventTime,
+    T: a.eventTime,
+    a: {
+      m: a.reason,
+      B: a.balances.map((b) => ({ a: b.asset, wb: str(b.balance), cw: str(b.crossWalletBalance) })),
+      P: a.positions.map((p) => ({ s: mapSymbol(p.symbol), pa: str(p.quantity), ep: str(p.entryPrice), up: str(p.unrealizedPnl), mt: p.marginType === 'ISOLATED' ? 'isolated' : 'cross', ps: p.positionSide }))
+    }
+  };
+}
+
+// Binance-compatible REST + WebSocket front for MockExchange, for integration runs of the
+// unmodified bot (ASTER_VENDOR=binance pointed at this server). Signatures are not checked;
+// timestamps are, against recvWindow, so clock-drift handling is exercised too.
+function startMockServer({ exchange = new MockExchange(), port = 0, host = '127.0.0.1', tickMs = 1000 } = {}) {
+  const listenKeys = new Set();
+  const usedWeight = { minute: 0, weight: 0 };
+
+  const routes = {
+    'GET /fapi/v1/time': () => ({ serverTime: exchange.now() }),
+    'GET /fapi/v1/exchangeInfo': () => {
+      const info = exchange.exchangeInfo();
+      return { ...info, symbols: info.symbols.map((s) => ({ ...s, symbol: mapSymbol(s.symbol) })) };
+    },
+    'GET /fapi/v1/ticker/price': (p) => {
+      const t = exchange.ticker(toCanonicalSymbol(p.symbol));
+      return { symbol: p.symbol, price: str(t.price), time: t.time };
+    },
+    'GET /fapi/v1/depth': (p) => {
+      const book = exchange.depth(toCanonicalSymbol(p.symbol), Number(p.limit || 50));
+      const side = (levels) => levels.map(([price, qty]) => [str(price), str(qty)]);
+      return { lastUpdateId: book.lastUpdateId, E: exchange.now(), T: exchange.now(), bids: side(book.bids), asks: side(book.asks) };
+    },
+    'GET /fapi/v1/klines': (p) => exchange.candles(toCanonicalSymbol(p.symbol), p.interval, Number(p.limit || 500))
+      .map((c) => [c.openTime, str(c.open), str(c.high), str(c.low), str(c.close), str(c.volume), c.closeTime]),
+    'POST /fapi/v1/order': (p) => wireOrder(exchange.placeOrder({ ...p, symbol: toCanonicalSymbol(p.symbol) })),
+    'GET /fapi/v1/order': (p) => wireOrder(exchange.getOrder({ orderId: p.orderId, clientOrderId: p.origClientOrderId })),
+    'DELETE /fapi/v1/order': (p) => wireOrder(exchange.cancelOrder({ orderId: p.orderId, clientOrderId: p.origClientOrderId })),
+    'GET /fapi/v1/openOrders': (p) => exchange.openOrders(p.symbol ? toCanonicalSymbol(p.symbol) : null).map(wireOrder),
+    'DELETE /fapi/v1/allOpenOrders': (p) => exchange.cancelAll(toCanonicalSymbol(p.symbol)),
+    'GET /fapi/v1/userTrades': (p) => exchange.trades(p.orderId).map((t) => ({
+      symbol: mapSymbol(t.symbol), id: t.id, orderId: t.orderId, side: t.side, price: str(t.price), qty: str(t.qty), quoteQty: str(t.quoteQty),
+      commission: str(t.commission), commissionAsset: t.commissionAsset, realizedPnl: str(t.realizedPnl), positionSide: t.positionSide,
+      buyer: t.side === 'BUY', maker: t.maker, time: t.time
+    })),
+    'GET /fapi/v2/positionRisk': () => exchange.positionList().map(wirePosition),
+    'GET /fapi/v2/balance': () => {
+      const a = exchange.account();
+      return [{ asset: 'USDT', balance: str(a.walletBalance), availableBalance: str(a.availableBalance), crossUnPnl: str(a.unrealizedPnl) }];
+    },
+    'GET /fapi/v2/account': () => {
+      const a = exchange.account();
+      return {
+        totalWalletBalance: str(a.walletBalance),
+        totalUnrealizedProfit: str(a.unrealizedPnl),
+        totalMarginBalance: str(a.marginBalance),
+        availableBalance: str(a.availableBalance),
+        totalInitialMargin: str(a.initialMargin),
+        totalMaintMargin: str(a.maintMargin),
+        assets: [{ asset: 'USDT', walletBalance: str(a.walletBalance), availableBalance: str(a.availableBalance), unrealizedProfit: str(a.unrealizedPnl) }],
+        positions: a.positions.map(wirePosition)
+      };
+    },
+    'POST /fapi/v1/leverage': (p) => ({ ...exchange.setLeverage(toCanonicalSymbol(p.symbol), p.leverage), symbol: p.symbol }),
+    'POST /fapi/v1/marginType': (p) => exchange.setMarginType(toCanonicalSymbol(p.symbol), p.marginType),
+    'POST /fapi/v1/listenKey': () => {
+      const listenKey = listenKeys.values().next().value || crypto.randomBytes(24).toString('hex');
+      listenKeys.add(listenKey);
+      return { listenKey };
+    },
+    'PUT /fapi/v1/listenKey': () => ({}),
+    'DELETE /fapi/v1/listenKey': () => {
+      listenKeys.clear();
+      return {};
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://mock');
+      const params = Object.fromEntries(new URLSearchParams(url.search));
+      if (body && !String(req.headers['content-type'] || '').includes('json')) Object.assign(params, Object.fromEntries(new URLSearchParams(body)));
+
+      const minute = Math.floor(exchange.now() / 60000);
+      if (usedWeight.minute !== minute) Object.assign(usedWeight, { minute, weight: 0 });
+      usedWeight.weight += requestWeight(req.method, url.pathname, params);
+
+      let status = 200;
+      let payload;
+      try {
+        const route = routes[`${req.method} ${url.pathname}`];
+        if (!route) throw new MockExchangeError(-1000, `Unknown route ${req.method} ${url.pathname}`, 404);
+        const recvWindow = Number(params.recvWindow || 5000);
+        if (params.timestamp && Math.abs(exchange.now() - Number(params.timestamp)) > recvWindow) {
+          throw new MockExchangeError(-1021, 'Timestamp for this request is outside of the recvWindow.');
+        }
+        payload = route(params);
+      } catch (e) {
+        status = e instanceof MockExchangeError ? e.status : 500;
+        payload = { code: e.code ?? -1000, msg: e.message };
+      }
+      res.writeHead(status, { 'content-type': 'application/json', 'x-mbx-used-weight-1m': String(usedWeight.weight) });
+      res.end(JSON.stringify(payload));
+    });
+  });
+
+  // /stream: combined payloads + SUBSCRIBE; /ws/<listenKey>: user data
+  const wss = new WebSocketServer({ server });
+  const marketClients = new Set();
+  const userClients = new Set();
+  wss.on('connection', (socket, req) => {
+    const path = new URL(req.url, 'http://mock').pathname;
+    const userKey = path.startsWith('/ws/') ? path.slice(4) : null;
+    if (userKey) {
+      if (!listenKeys.has(userKey)) return socket.close(4001, 'Invalid listenKey');
+      userClients.add(socket);
+      socket.on('close', () => userClients.delete(socket));
+      return;
+    }
+    const client = { socket, combined: path.startsWith('/stream'), streams: new Set() };
+    marketClients.add(client);
+    socket.on('message', (raw) => {
+      let msg;
+      try {
+        msg = JSON.parse(raw.toString());
+      } catch (_) {
+        return;
+      }
+      if (msg.method === 'SUBSCRIBE') (msg.params || []).forEach((s) => client.streams.add(s));
+      else if (msg.method === 'UNSUBSCRIBE') (msg.params || []).forEach((s) => client.streams.delete(s));
+      else return;
+      socket.send(JSON.stringify({ result: null, id: msg.id }));
+    });
+    socket.on('close', () => marketClients.delete(client));
+  });
+
+  const onMarket = (event) => {
+    const stream = binanceStreamName(event.type, { symbol: event.symbol, interval: event.interval });
+    if (!stream || !marketClients.size) return;
+    const data = wireMarket(event);
+    for (const { socket, combined, streams } of marketClients) {
+      if (streams.has(stream) && socket.readyState === socket.OPEN) socket.send(JSON.stringify(combined ? { stream, data } : data));
+    }
+  };
+  const toUsers = (msg) => {
+    for (const socket of userClients) if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(msg));
+  };
+  const onOrder = (o) => toUsers(wireOrderUpdate(o, exchange.now()));
+  const onAccount = (a) => toUsers(wireAccountUpdate(a));
+  exchange.on('market', onMarket);
+  exchange.on('order', onOrder);
+  exchange.on('account', onAccount);
+  if (tickMs > 0) exchange.start(tickMs);
+
+  return new Promise((resolve) => {
+    server.listen(port, host, () => {
+      const address = server.address();
+      const base = `${host}:${address.port}`;
+      resolve({
+        exchange,
+        port: address.port,
+        url: `http://${base}`,
+        wsUrl: `ws://${base}`,
+        close: () => new Promise((done) => {
+          exchange.stop();
+          exchange.off('market', onMarket);
+          exchange.off('order', onOrder);
+          exchange.off('account', onAccount);
+          for (const socket of wss.clients) socket.terminate();
+          wss.close();
+          server.close(() => done());
+        })
+      });
+    });
+  });
+}
+
+module.exports = { startMockServer };
+
+if (require.main === module) {
+  const exchange = new MockExchange({
+    seed: Number(process.env.MOCK_SEED || 42),
+    balanceUsd: Number(process.env.MOCK_BALANCE_USD || 10000),
+    symbols: (process.env.MOCK_SYMBOLS || process.env.SYMBOLS || 'BTC-USD,ETH-USD').split(',').map((s) => s.trim())
+  });
+  startMockServer({ exchange, port: Number(process.env.MOCK_PORT || 4010), tickMs: Number(process.env.MOCK_TICK_MS || 1000) }).then(({ url, wsUrl }) => {
+    // eslint-disable-next-line no-console
+    console.log(`Mock exchange listening on ${url}`);
+    // eslint-disable-next-line no-console
+    console.log(`Run the bot against it: ASTER_VENDOR=binance ASTER_BASE_URL=${url} ASTER_WS_URL=${wsUrl}/stream npm run trade`);
+  });
+}
@@ -0,0 +1,223 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+const levels = (arr) => (arr || []).map((l) => (Array.isArray(l) ? [Number(l[0]), Number(l[1])] : [Number(l.price), Number(l.quantity ?? l.qty ?? l.size)]));
+
+// Local L2 book for one symbol: REST snapshot + WebSocket diff-depth updates
+// (normalized 'depth' events) with sequence-gap detection and automatic resync.
+class OrderBook extends EventEmitter {
+  constructor({ api, symbol, snapshotDepth = 1000, maxBuffer = 1000, minResyncMs = 2000 }) {
+    super();
+    this.api = api;
+    this.symbol = symbol;
+    this.snapshotDepth = snapshotDepth;
+    this.maxBuffer = maxBuffer;
+    this.minResyncMs = minResyncMs;
+    this.bids = new Map(); // price -> qty
+    this.asks = new Map();
+    this.lastUpdateId = null;
+    this.lastEventAt = 0;
+    this._ready = false;
+    this._syncing = null;
+    this._buffer = [];
+    this._needFirst = false;
+    this._lastSyncAt = 0;
+  }
+
+  isReady() {
+    return this._ready;
+  }
+
+  start() {
+    return this.resync('start');
+  }
+
+  resync(reason = 'gap') {
+    if (this._syncing) return this._syncing;
+    this._ready = false;
+    this._lastSyncAt = Date.now();
+    this.emit('resync', { symbol: this.symbol, reason });
+    this._syncing = this._loadSnapshot()
+      .catch((e) => {
+        this.emit('sync-error', Object.assign(e, { symbol: this.symbol }));
+      })
+      .finally(() => {
+        this._syncing = null;
+      });
+    return this._syncing;
+  }
+
+  async _loadSnapshot() {
+    const snap = await this.api.getOrderBook(this.symbol, this.snapshotDepth);
+    this.bids = new Map(levels(snap?.bids).filter(([, q]) => q > 0));
+    this.asks = new Map(levels(snap?.asks).filter(([, q]) => q > 0));
+    this.lastUpdateId = snap?.lastUpdateId ?? snap?.seq ?? null;
+    this._needFirst = this.lastUpdateId != null;
+    this._ready = true;
+    this.lastEventAt = Date.now(); // the snapshot is as fresh as a stream update
+    const buffered = this._buffer;
+    this._buffer = [];
+    for (const event of buffered) {
+      if (!this._ready) break;
+      this._apply(event);
+    }
+    if (this._ready) this.emit('ready', { symbol: this.symbol });
+  }
+
+  applyDepth(event) {
+    if (!event || event.symbol !== this.symbol) return;
+    this.lastEventAt = Date.now();
+    if (event.snapshot) {
+      // Vendor pushed a full book: take it as-is
+      this.bids = new Map(levels(event.bids).filter(([, q]) => q > 0));
+      this.asks = new Map(levels(event.asks).filter(([, q]) => q > 0));
+      this.lastUpdateId = event.finalUpdateId ?? null;
+      this._needFirst = false;
+      this._ready = true;
+      this.emit('update', { symbol: this.symbol });
+      return;
+    }
+    if (!this._ready) {
+      this._buffer.push(event);
+      if (this._buffer.length > this.maxBuffer) this._buffer.shift();
+      if (!this._syncing && Date.now() - this._lastSyncAt >= this.minResyncMs) this.resync('not_synced');
+      return;
+    }
+    this._apply(event);
+  }
+
+  _apply(event) {
+    const { firstUpdateId: U, finalUpdateId: u, prevFinalUpdateId: pu } = event;
+    if (this.lastUpdateId != null && u != null) {
+      if (u < this.lastUpdateId) return; // older than our snapshot
+      if (this._needFirst) {
+        if (U != null && U > this.lastUpdateId + 1) {
+          this._gap(event);
+          return;
+        }
+        this._needFirst = false;
+      } else if (pu != null ? pu !== this.lastUpdateId : U != null && U !== this.lastUpdateId + 1) {
+        this._gap(event);
+        return;
+      }
+    }
+    for (const [p, q] of levels(event.bids)) {
+      if (q > 0) this.bids.set(p, q);
+      else this.bids.delete(p);
+    }
+    for (const [p, q] of levels(event.asks)) {
+      if (q > 0) this.asks.set(p, q);
+      else this.asks.delete(p);
+    }
+    if (u != null) this.lastUpdateId = u;
+    this.emit('update', { symbol: this.symbol });
+  }
+
+  _gap(event) {
+    this._ready = false;
+    this._buffer = [event];
+    if (Date.now() - this._lastSyncAt >= this.minResyncMs) this.resync('sequence_gap');
+  }
+
+  bestBid() {
+    let best = null;
+    for (const [p, q] of this.bids) if (!best || p > best[0]) best = [p, q];
+    return best ? { price: best[0], quantity: best[1] } : null;
+  }
+
+  bestAsk() {
+    let best = null;
+    for (const [p, q] of this.asks) if (!best || p < best[0]) best = [p, q];
+    return best ? { price: best[0], quantity: best[1] } : null;
+  }
+
+  mid() {
+    const bid = this.bestBid();
+    const ask = this.bestAsk();
+    if (!bid || !ask) return bid?.price || ask?.price || 0;
+    return (bid.price + ask.price) / 2;
+  }
+
+  spread() {
+    const bid = this.bestBid();
+    const ask = this.bestAsk();
+    if (!bid || !ask) return { abs: 0, bps: 0 };
+    const abs = ask.price - bid.price;
+    return { abs, bps: (abs / ((bid.price + ask.price) / 2)) * 10000 };
+  }
+
+  // Resting size and notional within N bps of mid on each side
+  depthWithinBps(bps = 50) {
+    const mid = this.mid();
+    const out = { bidQty: 0, askQty: 0, bidNotional: 0, askNotional: 0 };
+    if (!mid) return out;
+    const lo = mid * (1 - bps / 10000);
+    const hi = mid * (1 + bps / 10000);
+    for (const [p, q] of this.bids) {
+      if (p >= lo) {
+        out.bidQty += q;
+        out.bidNotional += p * q;
+      }
+    }
+    for (const [p, q] of this.asks) {
+      if (p <= hi) {
+        out.askQty += q;
+        out.askNotional += p * q;
+      }
+    }
+    return out;
+  }
+
+  // -1 (all asks) .. +1 (all bids)
+  imbalance(bps = 50) {
+    const d = this.depthWithinBps(bps);
+    const total = d.bidNotional + d.askNotional;
+    return total ? (d.bidNotional - d.askNotional) / total : 0;
+  }
+
+  // Size-weighted mid: leans toward the side with less resting size
+  microprice() {
+    const bid = this.bestBid();
+    const ask = this.bestAsk();
+    if (!bid || !ask) return this.mid();
+    const total = bid.quantity + ask.quantity;
+    return total ? (bid.price * ask.quantity + ask.price * bid.quantity) / total : this.mid();
+  }
+
+  topLevels(n = 10) {
+    const bids = [...this.bids].sort((a, b) => b[0] - a[0]).slice(0, n);
+    const asks = [...this.asks].sort((a, b) => a[0] - b[0]).slice(0, n);
+    return { bids, asks };
+  }
+
+  summary(bps = 50) {
+    const bid = this.bestBid();
+    const ask = this.bestAsk();
+    const depth = this.depthWithinBps(bps);
+    return {
+      symbol: this.symbol,
+      ready: this._ready,
+      bestBid: bid?.price || 0,
+      bestAsk: ask?.price || 0,
+      mid: this.mid(),
+      spreadBps: this.spread().bps,
+      microprice: this.microprice(),
+      bidDepth: depth.bidNotional,
+      askDepth: depth.askNotional,
+      imbalance: this.imbalance(bps),
+      lastUpdateId: this.lastUpdateId,
+      lastEventAt: this.lastEventAt
+    };
+  }
+}
+
+// One book per symbol, fed from a normalized AsterWebSocket 'depth' stream
+function attachOrderBooks({ api, ws, symbols, options = {} }) {
+  const books = new Map();
+  for (const symbol of symbols) books.set(symbol, new OrderBook({ api, symbol, ...options }));
+  ws.on('depth', (event) => books.get(event.symbol)?.applyDepth(event));
+  return books;
+}
+
+module.exports = { OrderBook, attachOrderBooks };
@@ -0,0 +1,226 @@
+'use strict';
+
+const EventEmitter = require('events');
+const { rateLimit } = require('../../config/trading_config');
+
+const MINUTE = 60 * 1000;
+const TEN_SECONDS = 10 * 1000;
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Bottleneck priorities (0 = first): placement beats account reads beats market data
+const PRIORITY = { order: 1, account: 4, market: 6 };
+const YIELD_MS = 20; // re-check interval while a higher-priority waiter goes first
+
+const ORDER_PATHS = ['/fapi/v1/order', '/fapi/v1/batchOrders', '/fapi/v1/allOpenOrders', '/v1/orders'];
+
+function parseRequest(method, url, params = {}) {
+  const [path, query] = String(url).split('?');
+  const all = { ...Object.fromEntries(new URLSearchParams(query || '')), ...params };
+  return { method: String(method || 'GET').toUpperCase(), path, params: all };
+}
+
+function depthWeight(limit) {
+  const n = Number(limit) || 500;
+  if (n <= 50) return 2;
+  if (n <= 100) return 5;
+  if (n <= 500) return 10;
+  return 20;
+}
+
+function klinesWeight(limit) {
+  const n = Number(limit) || 500;
+  if (n < 100) return 1;
+  if (n < 500) return 2;
+  if (n <= 1000) return 5;
+  return 10;
+}
+
+// Binance futures request weights; unknown endpoints count as 1
+function requestWeight(method, url, params) {
+  const { path, params: p } = parseRequest(method, url, params);
+  switch (path) {
+    case '/fapi/v1/depth':
+    case '/v1/market/orderbook':
+      return depthWeight(p.limit ?? p.depth);
+    case '/fapi/v1/klines':
+    case '/v1/market/candles':
+      return klinesWeight(p.limit);
+    case '/fapi/v1/ticker/price':
+      return p.symbol ? 1 : 2;
+    case '/fapi/v1/openOrders':
+      return p.symbol ? 1 : 40;
+    case '/fapi/v2/account':
+    case '/fapi/v2/balance':
+    case '/fapi/v2/positionRisk':
+    case '/fapi/v1/userTrades':
+      return 5;
+    default:
+      return 1;
+  }
+}
+
+function classify(method, url) {
+  const { method: m, path } = parseRequest(method, url);
+  const orderPath = ORDER_PATHS.some((x) => path === x || path.startsWith(`${x}/`));
+  if (orderPath && m !== 'GET') return 'order';
+  if (path.includes('/market/') || /^\/fapi\/v1\/(depth|klines|ticker|exchangeInfo|time)/.test(path)) return 'market';
+  return 'account';
+}
+
+// Tracks request weight and order counts per exchange window, synced from response headers,
+// and holds requests back before the exchange would reject them. 429/418 pause everything.
+class RateLimiter extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.weightLimit = options.weightPerMinute ?? rateLimit.weightPerMinute;
+    this.ordersPer10s = options.ordersPer10s ?? rateLimit.ordersPer10s;
+    this.ordersPerMinute = options.ordersPerMinute ?? rateLimit.ordersPerMinute;
+    this.headroom = options.headroom ?? rateLimit.headroom; // fraction of the limit we allow ourselves
+    this.marketDataShare = options.marketDataShare ?? rateLimit.marketDataShare; // market data stops earlier, leaving room for orders
+    this.usedWeight = 0;
+    this.orders10s = 0;
+    this.orders1m = 0;
+    this.weightWindow = 0;
+    this.orderWindow10s = 0;
+    this.orderWindow1m = 0;
+    this.pausedUntil = 0;
+    this.bannedUntil = 0;
+    this.waiting = 0;
+    this.throttled = 0;
+    this._waiters = new Set(); // tickets of requests held back, for priority order on release
+    this._seq = 0;
+    this.rejections = { 429: 0, 418: 0 };
+  }
+
+  _roll(now = Date.now()) {
+    const minute = Math.floor(now / MINUTE);
+    if (minute !== this.weightWindow) {
+      this.weightWindow = minute;
+      this.usedWeight = 0;
+    }
+    if (minute !== this.orderWindow1m) {
+      this.orderWindow1m = minute;
+      this.orders1m = 0;
+    }
+    const tenSec = Math.floor(now / TEN_SECONDS);
+    if (tenSec !== this.orderWindow10s) {
+      this.orderWindow10s = tenSec;
+      this.orders10s = 0;
+    }
+  }
+
+  // How long this request has to wait, 0 when it may go now
+  _delayFor(kind, weight, now) {
+    const blockedUntil = Math.max(this.pausedUntil, this.bannedUntil);
+    if (blockedUntil > now) return blockedUntil - now;
+    const share = kind === 'market' ? this.marketDataShare : 1;
+    const nextMinute = (Math.floor(now / MINUTE) + 1) * MINUTE - now;
+    if (this.weightLimit && this.usedWeight + weight > this.weightLimit * this.headroom * share) return nextMinute;
+    if (kind === 'order') {
+      if (this.ordersPer10s && this.orders10s + 1 > this.ordersPer10s * this.headroom) {
+        return (Math.floor(now / TEN_SECONDS) + 1) * TEN_SECONDS - now;
+      }
+      if (this.ordersPerMinute && this.orders1m + 1 > this.ordersPerMinute * this.headroom) return nextMinute;
+    }
+    return 0;
+  }
+
+  // Waiting requests leave in priority order: a request does not take budget that a waiter of higher
+  // priority (or an earlier one of the same priority) could use right now, so when a pause lifts order
+  // placement goes before account reads and market data. Waiters held only by their own limits (the
+  // order counts, the market data share) do not hold back the others.
+  async acquire({ kind = 'account', weight = 1 } = {}) {
+    const ticket = { kind, weight, priority: PRIORITY[kind] ?? PRIORITY.account, seq: this._seq++ };
+    let throttled = false;
+    try {
+      for (;;) {
+        const now = Date.now();
+        this._roll(now);
+        const delay = this._delayFor(kind, weight, now) || (this._yieldsTo(ticket, now) ? YIELD_MS : 0);
+        if (!delay) break;
+        if (!throttled) {
+          throttled = true;
+          this.throttled += 1;
+          this._waiters.add(ticket);
+          this.emit('throttle', { kind, weight, delayMs: delay, usedWeight: this.usedWeight });
+        }
+        this.waiting += 1;
+        try {
+          await sleep(Math.min(delay + 5, 5000));
+        } finally {
+          this.waiting -= 1;
+        }
+      }
+    } finally {
+      this._waiters.delete(ticket);
+    }
+    this.usedWeight += weight;
+    if (kind === 'order') {
+      this.orders10s += 1;
+      this.orders1m += 1;
+    }
+  }
+
+  _yieldsTo(ticket, now) {
+    for (const w of this._waiters) {
+      if (w === ticket) continue;
+      const ahead = w.priority < ticket.priority || (w.priority === ticket.priority && w.seq < ticket.seq);
+      if (ahead && !this._delayFor(w.kind, w.weight, now)) return true;
+    }
+    return false;
+  }
+
+  // Exchange counters are authoritative: they include other processes sharing our IP/key
+  record(headers = {}) {
+    this._roll();
+    const h = (name) => {
+      const v = headers[name] ?? (typeof headers.get === 'function' ? headers.get(name) : undefined);
+      return v == null || v === '' ? null : Number(v);
+    };
+    const used = h('x-mbx-used-weight-1m') ?? h('x-mbx-used-weight');
+    if (used != null) this.usedWeight = Math.max(this.usedWeight, used);
+    const limit = h('x-ratelimit-limit');
+    const remaining = h('x-ratelimit-remaining');
+    if (used == null && limit != null && remaining != null) this.usedWeight = Math.max(this.usedWeight, limit - remaining);
+    const o10 = h('x-mbx-order-count-10s');
+    if (o10 != null) this.orders10s = Math.max(this.orders10s, o10);
+    const o1m = h('x-mbx-order-count-1m');
+    if (o1m != null) this.orders1m = Math.max(this.orders1m, o1m);
+  }
+
+  // 429: pause until Retry-After (or the next window); 418: IP ban, pause for Retry-After (default 2 min)
+  recordRejection(status, headers = {}) {
+    const now = Date.now();
+    const retryAfter = Number(headers['retry-after'] ?? (typeof headers.get === 'function' ? headers.get('retry-after') : undefined));
+    this.rejections[status] = (this.rejections[status] || 0) + 1;
+    if (status === 418) {
+      const ms = retryAfter > 0 ? retryAfter * 1000 : 2 * MINUTE;
+      this.bannedUntil = Math.max(this.bannedUntil, now + ms);
+      this.emit('ban', { until: this.bannedUntil, retryAfterMs: ms });
+    } else {
+      const ms = retryAfter > 0 ? retryAfter * 1000 : (Math.floor(now / MINUTE) + 1) * MINUTE - now;
+      this.pausedUntil = Math.max(this.pausedUntil, now + ms);
+      this.emit('backoff', { status, until: this.pausedUntil, retryAfterMs: ms });
+    }
+  }
+
+  status() {
+    this._roll();
+    const now = Date.now();
+    return {
+      usedWeight: this.usedWeight,
+      weightLimit: this.weightLimit,
+      orders10s: this.orders10s,
+      ordersPer10s: this.ordersPer10s,
+      orders1m: this.orders1m,
+      ordersPerMinute: this.ordersPerMinute,
+      pausedUntil: this.pausedUntil > now ? this.pausedUntil : null,
+      bannedUntil: this.bannedUntil > now ? this.bannedUntil : null,
+      waiting: this.waiting,
+      throttled: this.throttled,
+      rejections: { ...this.rejections }
+    };
+  }
+}
+
+module.exports = { RateLimiter, requestWeight, classify, PRIORITY };
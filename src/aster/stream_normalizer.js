@@ -0,0 +1,224 @@
+'use strict';
+
+// Turns vendor-specific WebSocket payloads into one event model:
+// ticker | depth | kline | aggTrade | markPrice | forceOrder, all keyed by canonical BTC-USD symbols.
+
+function toCanonicalSymbol(symbol) {
+  const s = String(symbol || '').toUpperCase();
+  if (s.includes('-')) return s;
+  if (s.endsWith('USDT')) return `${s.slice(0, -4)}-USD`;
+  return s;
+}
+
+// BTC-USD -> btcusdt (binance stream naming)
+function toStreamSymbol(symbol) {
+  const s = String(symbol || '').toUpperCase();
+  if (!s.includes('-')) return s.toLowerCase();
+  const [base, quote] = s.split('-');
+  return `${base}${quote === 'USD' ? 'USDT' : quote}`.toLowerCase();
+}
+
+function binanceStreamName(channel, params = {}) {
+  const sym = toStreamSymbol(params.symbol);
+  switch (channel) {
+    case 'ticker': return `${sym}@ticker`;
+    case 'orderbook': return `${sym}@depth${params.depth || 10}@100ms`;
+    case 'depth': return `${sym}@depth@100ms`;
+    case 'kline': return `${sym}@kline_${params.interval || '1m'}`;
+    case 'aggTrade': return `${sym}@aggTrade`;
+    case 'markPrice': return `${sym}@markPrice@1s`;
+    case 'forceOrder': return `${sym}@forceOrder`;
+    default: return '';
+  }
+}
+
+const levels = (arr) => (arr || []).map((l) => (Array.isArray(l) ? [Number(l[0]), Number(l[1])] : [Number(l.price), Number(l.quantity ?? l.qty ?? l.size)]));
+
+function fromBinance(d) {
+  switch (d.e) {
+    case '24hrTicker':
+      return {
+        type: 'ticker',
+        symbol: toCanonicalSymbol(d.s),
+        last: Number(d.c),
+        open: Number(d.o),
+        high: Number(d.h),
+        low: Number(d.l),
+        volume: Number(d.v),
+        quoteVolume: Number(d.q),
+        changePct: Number(d.P),
+        eventTime: d.E
+      };
+    case 'depthUpdate':
+      return {
+        type: 'depth',
+        symbol: toCanonicalSymbol(d.s),
+        bids: levels(d.b),
+        asks: levels(d.a),
+        firstUpdateId: d.U,
+        finalUpdateId: d.u,
+        prevFinalUpdateId: d.pu,
+        eventTime: d.E
+      };
+    case 'kline':
+      return {
+        type: 'kline',
+        symbol: toCanonicalSymbol(d.s),
+        interval: d.k.i,
+        openTime: d.k.t,
+        closeTime: d.k.T,
+        open: Number(d.k.o),
+        high: Number(d.k.h),
+        low: Number(d.k.l),
+        close: Number(d.k.c),
+        volume: Number(d.k.v),
+        closed: Boolean(d.k.x),
+        eventTime: d.E
+      };
+    case 'aggTrade':
+      return {
+        type: 'aggTrade',
+        symbol: toCanonicalSymbol(d.s),
+        id: d.a,
+        price: Number(d.p),
+        quantity: Number(d.q),
+        time: d.T,
+        buyerMaker: Boolean(d.m),
+        eventTime: d.E
+      };
+    case 'markPriceUpdate':
+      return {
+        type: 'markPrice',
+        symbol: toCanonicalSymbol(d.s),
+        markPrice: Number(d.p),
+        indexPrice: Number(d.i),
+        fundingRate: Number(d.r),
+        nextFundingTime: d.T,
+        eventTime: d.E
+      };
+    case 'forceOrder':
+      return {
+        type: 'forceOrder',
+        symbol: toCanonicalSymbol(d.o.s),
+        side: d.o.S,
+        price: Number(d.o.p),
+        avgPrice: Number(d.o.ap),
+        quantity: Number(d.o.q),
+        status: d.o.X,
+        time: d.o.T,
+        eventTime: d.E
+      };
+    default:
+      return null;
+  }
+}
+
+const ASTER_CHANNELS = {
+  ticker: 'ticker',
+  orderbook: 'depth',
+  depth: 'depth',
+  kline: 'kline',
+  candles: 'kline',
+  trades: 'aggTrade',
+  aggTrade: 'aggTrade',
+  markPrice: 'markPrice',
+  mark_price: 'markPrice',
+  liquidations: 'forceOrder',
+  forceOrder: 'forceOrder'
+};
+
+function fromAster(msg) {
+  const type = ASTER_CHANNELS[msg.channel || msg.type];
+  if (!type) return null;
+  const d = msg.data || {};
+  const symbol = toCanonicalSymbol(d.symbol || msg.params?.symbol);
+  const eventTime = d.ts ?? d.timestamp ?? msg.ts ?? Date.now();
+  switch (type) {
+    case 'ticker':
+      return {
+        type,
+        symbol,
+        last: Number(d.last ?? d.price ?? d.close),
+        open: Number(d.open ?? 0),
+        high: Number(d.high ?? 0),
+        low: Number(d.low ?? 0),
+        volume: Number(d.volume ?? 0),
+        quoteVolume: Number(d.quoteVolume ?? 0),
+        changePct: Number(d.changePct ?? d.change ?? 0),
+        eventTime
+      };
+    case 'depth':
+      return {
+        type,
+        symbol,
+        bids: levels(d.bids),
+        asks: levels(d.asks),
+        firstUpdateId: d.firstUpdateId ?? d.seq,
+        finalUpdateId: d.finalUpdateId ?? d.seq,
+        prevFinalUpdateId: d.prevFinalUpdateId ?? d.prevSeq,
+        snapshot: Boolean(d.snapshot),
+        eventTime
+      };
+    case 'kline':
+      return {
+        type,
+        symbol,
+        interval: d.interval,
+        openTime: d.openTime,
+        closeTime: d.closeTime,
+        open: Number(d.open),
+        high: Number(d.high),
+        low: Number(d.low),
+        close: Number(d.close),
+        volume: Number(d.volume ?? 0),
+        closed: Boolean(d.closed ?? d.final),
+        eventTime
+      };
+    case 'aggTrade':
+      return {
+        type,
+        symbol,
+        id: d.id,
+        price: Number(d.price),
+        quantity: Number(d.quantity ?? d.size),
+        time: d.time ?? eventTime,
+        buyerMaker: String(d.side || '').toLowerCase() === 'sell',
+        eventTime
+      };
+    case 'markPrice':
+      return {
+        type,
+        symbol,
+        markPrice: Number(d.markPrice ?? d.price),
+        indexPrice: Number(d.indexPrice ?? 0),
+        fundingRate: Number(d.fundingRate ?? 0),
+        nextFundingTime: d.nextFundingTime,
+        eventTime
+      };
+    case 'forceOrder':
+      return {
+        type,
+        symbol,
+        side: String(d.side || '').toUpperCase(),
+        price: Number(d.price),
+        avgPrice: Number(d.avgPrice ?? d.price),
+        quantity: Number(d.quantity ?? d.size),
+        status: d.status,
+        time: d.time ?? eventTime,
+        eventTime
+      };
+    default:
+      return null;
+  }
+}
+
+function normalizeMarketEvent(msg, vendor) {
+  if (!msg || typeof msg !== 'object') return null;
+  // Binance combined streams wrap payloads as { stream, data }
+  const payload = msg.stream && msg.data ? msg.data : msg;
+  if (payload.e) return fromBinance(payload);
+  if (vendor === 'binance') return null;
+  return fromAster(msg);
+}
+
+module.exports = { normalizeMarketEvent, toCanonicalSymbol, toStreamSymbol, binanceStreamName };
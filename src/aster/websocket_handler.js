@@ -3,6 +3,69 @@
 const WebSocket = require('ws');
 const EventEmitter = require('events');
 const { aster } = require('../../config/trading_config');
+const { toCanonicalSymbol } = require('./stream_normalizer');
+const { createAdapter } = require('./adapters');
+
+function normalizeOrderEvent(o = {}, eventTime) {
+  return {
+    symbol: toCanonicalSymbol(o.s ?? o.symbol),
+    orderId: o.i ?? o.orderId ?? o.id,
+    clientOrderId: o.c ?? o.clientOrderId,
+    side: o.S ?? o.side,
+    type: o.o ?? o.type,
+    status: o.X ?? o.status,
+    executionType: o.x ?? o.executionType,
+    quantity: Number(o.q ?? o.quantity ?? 0),
+    price: Number(o.p ?? o.price ?? 0),
+    stopPrice: Number(o.sp ?? o.stopPrice ?? 0),
+    executedQty: Number(o.z ?? o.executedQty ?? o.filledQty ?? 0),
+    avgPrice: Number(o.ap ?? o.avgPrice ?? 0),
+    lastFillQty: Number(o.l ?? o.lastFillQty ?? 0),
+    lastFillPrice: Number(o.L ?? o.lastFillPrice ?? 0),
+    commission: Number(o.n ?? o.commission ?? 0),
+    commissionAsset: o.N ?? o.commissionAsset ?? null,
+    realizedPnl: Number(o.rp ?? o.realizedPnl ?? 0),
+    positionSide: o.ps ?? o.positionSide ?? 'BOTH',
+    reduceOnly: Boolean(o.R ?? o.reduceOnly),
+    updateTime: Number(o.T ?? o.updateTime ?? eventTime ?? Date.now())
+  };
+}
+
+function normalizeAccountEvent(a = {}, eventTime) {
+  return {
+    reason: a.m ?? a.reason ?? null,
+    balances: (a.B ?? a.balances ?? []).map((b) => ({
+      asset: b.a ?? b.asset,
+      balance: Number(b.wb ?? b.balance ?? 0),
+      crossWalletBalance: Number(b.cw ?? b.crossWalletBalance ?? 0)
+    })),
+    positions: (a.P ?? a.positions ?? []).map((p) => ({
+      symbol: toCanonicalSymbol(p.s ?? p.symbol),
+      quantity: Number(p.pa ?? p.quantity ?? 0),
+      entryPrice: Number(p.ep ?? p.entryPrice ?? 0),
+      unrealizedPnl: Number(p.up ?? p.unrealizedPnl ?? 0),
+      marginType: p.mt ?? p.marginType ?? null,
+      positionSide: p.ps ?? p.positionSide ?? 'BOTH'
+    })),
+    eventTime: Number(eventTime ?? Date.now())
+  };
+}
+
+function normalizeMarginCall(msg = {}) {
+  return {
+    crossWalletBalance: Number(msg.cw ?? msg.crossWalletBalance ?? 0),
+    positions: (msg.p ?? msg.positions ?? []).map((p) => ({
+      symbol: toCanonicalSymbol(p.s ?? p.symbol),
+      positionSide: p.ps ?? p.positionSide ?? 'BOTH',
+      quantity: Number(p.pa ?? p.quantity ?? 0),
+      marginType: p.mt ?? p.marginType ?? null,
+      markPrice: Number(p.mp ?? p.markPrice ?? 0),
+      unrealizedPnl: Number(p.up ?? p.unrealizedPnl ?? 0),
+      maintMargin: Number(p.mm ?? p.maintMargin ?? 0)
+    })),
+    eventTime: Number(msg.E ?? msg.eventTime ?? Date.now())
+  };
+}
 
 class AsterWebSocket extends EventEmitter {
   constructor(options = {}) {
@@ -11,7 +74,9 @@ class AsterWebSocket extends EventEmitter {
     this.apiKey = options.apiKey || aster.apiKey;
     this.authHeader = options.authHeader || aster.authHeader;
     this.authScheme = options.authScheme || aster.authScheme;
-    this.vendor = options.vendor || process.env.ASTER_VENDOR || (this.url.includes('fstream.') ? 'binance' : 'aster');
+    this.vendor = options.vendor || options.adapter?.name || process.env.ASTER_VENDOR || (this.url.includes('fstream.') ? 'binance' : 'aster');
+    // Stream paths, subscription messages and payload normalization come from the vendor adapter
+    this.adapter = options.adapter || createAdapter(this.vendor, this);
     this.heartbeatIntervalMs = options.heartbeatIntervalMs || 15000;
     this.reconnectBaseMs = options.reconnectBaseMs || 1000;
     this.reconnectMaxMs = options.reconnectMaxMs || 15000;
@@ -19,7 +84,15 @@ class AsterWebSocket extends EventEmitter {
     this._heartbeat = null;
     this._shouldReconnect = true;
     this._backoff = this.reconnectBaseMs;
-    this._subscriptions = new Set();
+    this._subscriptions = new Map(); // key -> adapter subscription
+    this._detach = null;
+    this.listenKeyKeepAliveMs = options.listenKeyKeepAliveMs || 30 * 60 * 1000;
+    this._userApi = null;
+    this._userSocket = null;
+    this._listenKey = null;
+    this._keepAlive = null;
+    this._userStreamActive = false;
+    this._userBackoff = this.reconnectBaseMs;
   }
 
   connect() {
@@ -27,11 +100,16 @@ class AsterWebSocket extends EventEmitter {
       this.emit('close');
       return;
     }
-    const headers = {};
-    if (this.apiKey) {
-      headers[this.authHeader] = `${this.authScheme} ${this.apiKey}`;
+    if (this.adapter.attachStream) {
+      // In-process venue: no socket, events are pushed straight in
+      this._detach?.();
+      this._detach = this.adapter.attachStream(this);
+      this.emit('open');
+      if (this._sharesMarketSocket()) this.emit('user-stream-open');
+      return;
     }
-    const socket = new WebSocket(this.url, { headers });
+    const headers = this.apiKey ? this.adapter.authHeaders() : {};
+    const socket = new WebSocket(this.adapter.marketStreamUrl(this.url), { headers });
     this._socket = socket;
 
     socket.on('open', () => {
@@ -39,6 +117,7 @@ class AsterWebSocket extends EventEmitter {
       this._startHeartbeat();
       this._resubscribe();
       this.emit('open');
+      if (this._sharesMarketSocket()) this.emit('user-stream-open');
     });
 
     socket.on('message', (raw) => {
@@ -49,8 +128,12 @@ class AsterWebSocket extends EventEmitter {
           // Heartbeat acknowledgement
         } else if (msg.type === 'error') {
           this.emit('error', new Error(msg.error || 'WebSocket error'));
-        } else if (msg.type) {
-          this.emit(msg.type, msg);
+        } else if (this._userStreamActive && this._handleUserEvent(msg)) {
+          // Private channel update, already re-emitted in normalized form
+        } else {
+          const event = this.adapter.normalizeMarketEvent(msg);
+          if (event) this.emit(event.type, event);
+          else if (msg.type) this.emit(msg.type, msg);
         }
       } catch (e) {
         this.emit('error', e);
@@ -60,6 +143,7 @@ class AsterWebSocket extends EventEmitter {
     socket.on('close', () => {
       this._stopHeartbeat();
       this.emit('close');
+      if (this._sharesMarketSocket()) this.emit('user-stream-close');
       if (this._shouldReconnect) {
         setTimeout(() => this.connect(), this._backoff);
         this._backoff = Math.min(this._backoff * 2, this.reconnectMaxMs);
@@ -74,11 +158,130 @@ class AsterWebSocket extends EventEmitter {
   disconnect() {
     this._shouldReconnect = false;
     this._stopHeartbeat();
+    this.stopUserDataStream();
+    this._detach?.();
+    this._detach = null;
     try {
       this._socket?.close();
     } catch (_) {}
   }
 
+  // Private order/account updates. listenKey venues (binance): own socket, kept alive with a
+  // periodic PUT. Channel venues (aster): private channels on the authenticated main socket.
+  // In-process venues push user events through pushUserEvent once the stream is active.
+  async startUserDataStream(api) {
+    if (String(process.env.ENABLE_WS || 'true').toLowerCase() === 'false') return;
+    this._userApi = api;
+    this._userStreamActive = true;
+    if (this.adapter.userStream === 'channels') {
+      for (const channel of this.adapter.userChannels || []) this.subscribe(channel);
+    }
+    if (this._sharesMarketSocket()) {
+      if (this._detach || this._socket?.readyState === WebSocket.OPEN) this.emit('user-stream-open');
+      return;
+    }
+    if (this.adapter.userStream !== 'listenKey') return;
+    this._listenKey = await api.createListenKey();
+    this._openUserSocket();
+    this._keepAlive = setInterval(() => {
+      api.keepAliveListenKey().catch((e) => this.emit('user-stream-error', e));
+    }, this.listenKeyKeepAliveMs);
+  }
+
+  // Channel and in-process venues deliver user events over the market connection, so its open/close
+  // doubles as the user stream's
+  _sharesMarketSocket() {
+    return this._userStreamActive && (this.adapter.userStream === 'channels' || this.adapter.userStream === 'in-process');
+  }
+
+  stopUserDataStream() {
+    if (!this._userStreamActive) return;
+    this._userStreamActive = false;
+    if (this._keepAlive) {
+      clearInterval(this._keepAlive);
+      this._keepAlive = null;
+    }
+    try {
+      this._userSocket?.close();
+    } catch (_) {}
+    this._userSocket = null;
+    if (this._listenKey) {
+      this._userApi?.closeListenKey().catch(() => {});
+      this._listenKey = null;
+    }
+  }
+
+  _openUserSocket() {
+    const socket = new WebSocket(this.adapter.userStreamUrl(this.url, this._listenKey));
+    this._userSocket = socket;
+
+    socket.on('open', () => {
+      this._userBackoff = this.reconnectBaseMs;
+      this.emit('user-stream-open');
+    });
+
+    socket.on('message', (raw) => {
+      try {
+        const msg = JSON.parse(raw.toString());
+        if (msg.e === 'listenKeyExpired') {
+          this._renewListenKey();
+          return;
+        }
+        this._handleUserEvent(msg);
+      } catch (e) {
+        this.emit('user-stream-error', e);
+      }
+    });
+
+    socket.on('close', () => {
+      if (this._userSocket !== socket) return;
+      this._userSocket = null;
+      this.emit('user-stream-close');
+      if (this._userStreamActive) {
+        setTimeout(() => {
+          if (this._userStreamActive && !this._userSocket) this._openUserSocket();
+        }, this._userBackoff);
+        this._userBackoff = Math.min(this._userBackoff * 2, this.reconnectMaxMs);
+      }
+    });
+
+    socket.on('error', (err) => {
+      this.emit('user-stream-error', err);
+    });
+  }
+
+  async _renewListenKey() {
+    try {
+      this._listenKey = await this._userApi.createListenKey();
+      const old = this._userSocket;
+      this._userSocket = null;
+      try {
+        old?.close();
+      } catch (_) {}
+      this._openUserSocket();
+    } catch (e) {
+      this.emit('user-stream-error', e);
+    }
+  }
+
+  // Returns true when msg was a private update
+  _handleUserEvent(msg) {
+    const kind = msg.e || msg.type || msg.channel;
+    if (kind === 'ORDER_TRADE_UPDATE' || kind === 'order' || kind === 'orders') {
+      this.emit('order-update', normalizeOrderEvent(msg.o || msg.data || msg, msg.E));
+      return true;
+    }
+    if (kind === 'ACCOUNT_UPDATE' || kind === 'account') {
+      this.emit('account-update', normalizeAccountEvent(msg.a || msg.data || msg, msg.E));
+      return true;
+    }
+    if (kind === 'MARGIN_CALL' || kind === 'margin_call') {
+      this.emit('margin-call', normalizeMarginCall(msg.data || msg));
+      return true;
+    }
+    return false;
+  }
+
   _startHeartbeat() {
     this._stopHeartbeat();
     this._heartbeat = setInterval(() => {
@@ -94,49 +297,38 @@ class AsterWebSocket extends EventEmitter {
   }
 
   _send(payload) {
-    if (this._socket && this._socket.readyState === WebSocket.OPEN) {
+    if (payload && this._socket && this._socket.readyState === WebSocket.OPEN) {
       this._socket.send(JSON.stringify(payload));
     }
   }
 
+  // channel: ticker | orderbook | depth | kline | aggTrade | markPrice | forceOrder
   subscribe(channel, params = {}) {
-    if (this.vendor === 'binance') {
-      // binance futures combined streams: e.g., btcusdt@ticker
-      const sym = String((params.symbol || '')).toLowerCase().replace('-', '').replace('usd', 'usdt');
-      let stream = '';
-      if (channel === 'ticker') stream = `${sym}@ticker`;
-      else if (channel === 'orderbook') stream = `${sym}@depth10@100ms`;
-      this._subscriptions.add(JSON.stringify({ channel: 'stream', params: { stream } }));
-      this._send({ method: 'SUBSCRIBE', params: [stream], id: Date.now() });
-      return;
-    }
-    this._subscriptions.add(JSON.stringify({ channel, params }));
-    this._send({ action: 'subscribe', channel, params });
+    const sub = this.adapter.streamSubscription(channel, params);
+    if (!sub) return;
+    this._subscriptions.set(sub.key, sub);
+    this._send(sub.subscribe());
   }
 
   unsubscribe(channel, params = {}) {
-    if (this.vendor === 'binance') {
-      const sym = String((params.symbol || '')).toLowerCase().replace('-', '').replace('usd', 'usdt');
-      let stream = '';
-      if (channel === 'ticker') stream = `${sym}@ticker`;
-      else if (channel === 'orderbook') stream = `${sym}@depth10@100ms`;
-      this._subscriptions.delete(JSON.stringify({ channel: 'stream', params: { stream } }));
-      this._send({ method: 'UNSUBSCRIBE', params: [stream], id: Date.now() });
-      return;
-    }
-    this._subscriptions.delete(JSON.stringify({ channel, params }));
-    this._send({ action: 'unsubscribe', channel, params });
+    const sub = this.adapter.streamSubscription(channel, params);
+    if (!sub) return;
+    this._subscriptions.delete(sub.key);
+    this._send(sub.unsubscribe());
+  }
+
+  hasSubscription(key) {
+    return this._subscriptions.has(key);
+  }
+
+  // Entry point for in-process venues (attachStream): private events are dropped until the user
+  // data stream has been started, as they would be on a real socket. Returns true when handled.
+  pushUserEvent(msg) {
+    return this._userStreamActive && this._handleUserEvent(msg);
   }
 
   _resubscribe() {
-    for (const s of this._subscriptions) {
-      const { channel, params } = JSON.parse(s);
-      if (this.vendor === 'binance' && channel === 'stream') {
-        this._send({ method: 'SUBSCRIBE', params: [params.stream], id: Date.now() });
-      } else {
-        this._send({ action: 'subscribe', channel, params });
-      }
-    }
+    for (const sub of this._subscriptions.values()) this._send(sub.subscribe());
   }
 }
 
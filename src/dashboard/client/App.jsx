@@ -3,6 +3,8 @@ import io from 'socket.io-client';
 import DecisionLog from './components/DecisionLog';
 import PerformanceMetrics from './components/PerformanceMetrics';
 import LiveStatus from './components/LiveStatus';
+import CorrelationMatrix from './components/CorrelationMatrix';
+import MarginMonitor from './components/MarginMonitor';
 import './styles.css';
 
 const App = () => {
@@ -11,6 +13,11 @@ const App = () => {
   const [trades, setTrades] = useState([]);
   const [performance, setPerformance] = useState({});
   const [connected, setConnected] = useState(false);
+  const [paper, setPaper] = useState(null);
+  const [risk, setRisk] = useState(null);
+  const [correlation, setCorrelation] = useState(null);
+  const [margin, setMargin] = useState(null);
+  const [marginAlerts, setMarginAlerts] = useState([]);
   const [activeTab, setActiveTab] = useState('decisions');
 
   useEffect(() => {
@@ -29,12 +36,20 @@ const App = () => {
       setDecisions(data.decisions || []);
       setTrades(data.trades || []);
       setPerformance(data.performance || {});
+      setPaper(data.paper || null);
+      setRisk(data.risk || null);
+      setCorrelation(data.correlation || null);
+      setMargin(data.margin || null);
     });
 
     newSocket.on('new-decision', (decision) => {
       setDecisions(prev => [decision, ...prev.slice(0, 49)]);
     });
 
+    newSocket.on('decision-update', (decision) => {
+      setDecisions(prev => prev.map(d => (d.id === decision.id ? decision : d)));
+    });
+
     newSocket.on('new-trade', (trade) => {
       setTrades(prev => [trade, ...prev.slice(0, 49)]);
     });
@@ -43,6 +58,26 @@ const App = () => {
       setPerformance(perf);
     });
 
+    newSocket.on('paper-account', (account) => {
+      setPaper(account);
+    });
+
+    newSocket.on('risk-update', (snapshot) => {
+      setRisk(snapshot);
+    });
+
+    newSocket.on('correlation-update', (update) => {
+      setCorrelation(update);
+    });
+
+    newSocket.on('margin-update', (snapshot) => {
+      setMargin(snapshot);
+    });
+
+    newSocket.on('margin-alert', (alert) => {
+      setMarginAlerts(prev => [alert, ...prev.slice(0, 19)]);
+    });
+
     return () => {
       newSocket.close();
     };
@@ -51,7 +86,9 @@ const App = () => {
   const tabs = [
     { id: 'decisions', label: 'AI Decisions', icon: '🧠' },
     { id: 'trades', label: 'Live Trades', icon: '⚡' },
-    { id: 'performance', label: 'Performance', icon: '📊' }
+    { id: 'performance', label: 'Performance', icon: '📊' },
+    { id: 'correlation', label: 'Correlation', icon: '🔗' },
+    { id: 'margin', label: 'Margin', icon: '🛡️' }
   ];
 
   return (
@@ -63,7 +100,7 @@ const App = () => {
             <h1>Quantum Vibe Trader</h1>
             <span className="subtitle">AI-Powered Multi-Strategy Trading</span>
           </div>
-          <LiveStatus connected={connected} />
+          <LiveStatus connected={connected} paper={Boolean(paper)} risk={risk} margin={margin} />
         </div>
       </header>
 
@@ -99,7 +136,7 @@ const App = () => {
                     <div className="trade-header">
                       <span className="symbol">{trade.symbol}</span>
                       <span className={`side ${trade.side?.toLowerCase()}`}>
-                        {trade.side}
+                        {trade.paper ? `PAPER ${trade.side}` : trade.side}
                       </span>
                     </div>
                     <div className="trade-details">
@@ -130,7 +167,13 @@ const App = () => {
           </div>
         )}
         {activeTab === 'performance' && (
-          <PerformanceMetrics performance={performance} trades={trades} />
+          <PerformanceMetrics performance={performance} trades={trades} paper={paper} />
+        )}
+        {activeTab === 'correlation' && (
+          <CorrelationMatrix correlation={correlation} />
+        )}
+        {activeTab === 'margin' && (
+          <MarginMonitor margin={margin} alerts={marginAlerts} />
         )}
       </main>
     </div>
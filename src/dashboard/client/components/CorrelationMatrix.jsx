@@ -0,0 +1,84 @@
+import React from 'react';
+
+// Red for strongly positive, blue for strongly negative correlation
+const cellColor = (rho) => {
+  const alpha = Math.min(1, Math.abs(rho)) * 0.7;
+  return rho >= 0 ? `rgba(244, 67, 54, ${alpha})` : `rgba(33, 150, 243, ${alpha})`;
+};
+
+const CorrelationMatrix = ({ correlation }) => {
+  if (!correlation?.symbols?.length) {
+    return (
+      <div className="empty-state">
+        <span className="empty-icon">🔗</span>
+        <p>Not enough price history yet to correlate symbols...</p>
+      </div>
+    );
+  }
+
+  const { symbols, matrix, limits, exposure } = correlation;
+
+  return (
+    <div className="correlation-matrix">
+      <div className="section-header">
+        <h2>Correlation Matrix</h2>
+        <p>
+          1h returns over the last {correlation.lookback} hours · pairs below {limits?.threshold} count as unrelated
+        </p>
+      </div>
+
+      {exposure && (
+        <div className="metrics-grid">
+          <div className="metric-card">
+            <div className="metric-icon">🎯</div>
+            <div className="metric-content">
+              <div className="metric-label">Concentration (HHI)</div>
+              <div className={`metric-value ${limits?.maxConcentration && exposure.concentration > limits.maxConcentration ? 'loss' : ''}`}>
+                {exposure.concentration.toFixed(2)} / {limits?.maxConcentration || '—'}
+              </div>
+            </div>
+          </div>
+          {Object.entries(exposure.correlatedUsd).map(([symbol, usd]) => (
+            <div key={symbol} className="metric-card">
+              <div className="metric-icon">🔗</div>
+              <div className="metric-content">
+                <div className="metric-label">{symbol} correlated exposure</div>
+                <div className={`metric-value ${limits?.maxCorrelatedUsd && Math.abs(usd) > limits.maxCorrelatedUsd ? 'loss' : ''}`}>
+                  ${usd.toFixed(0)} / ${limits?.maxCorrelatedUsd || '—'}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="chart-section">
+        <table className="matrix-table">
+          <thead>
+            <tr>
+              <th></th>
+              {symbols.map(s => <th key={s}>{s}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {symbols.map(a => (
+              <tr key={a}>
+                <th>{a}</th>
+                {symbols.map(b => (
+                  <td key={b} style={{ backgroundColor: cellColor(matrix[a][b]) }}>
+                    {matrix[a][b].toFixed(2)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {correlation.updatedAt && (
+          <div className="trade-time">Updated {new Date(correlation.updatedAt).toLocaleTimeString()}</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CorrelationMatrix;
@@ -47,6 +47,12 @@ const DecisionLog = ({ decisions }) => {
                     >
                       {decision.action?.toUpperCase()}
                     </span>
+                    {decision.haltReasons?.length > 0 && (
+                      <span className="action halted">HALTED</span>
+                    )}
+                    {decision.rejections?.length > 0 && (
+                      <span className="action halted">REJECTED</span>
+                    )}
                   </div>
                   <div className="confidence-bar">
                     <div className="confidence-label">
@@ -92,11 +98,87 @@ const DecisionLog = ({ decisions }) => {
                       </div>
                       <div className="strategy-item">
                         <span className="strategy-label">Size (USD):</span>
-                        <span className="strategy-value">${decision.sizeUsd}</span>
+                        <span className="strategy-value">${decision.sizeUsd ?? 0}</span>
                       </div>
+                      {decision.sizing && (
+                        <div className="strategy-item">
+                          <span className="strategy-label">Sizing Model:</span>
+                          <span className="strategy-value">
+                            {decision.sizing.model}
+                            {decision.sizing.fallbackFrom && ` (fallback from ${decision.sizing.fallbackFrom.model})`}
+                          </span>
+                        </div>
+                      )}
+                      {decision.valueAtRisk?.levels?.length > 0 && (
+                        <div className="strategy-item">
+                          <span className="strategy-label">VaR Budget:</span>
+                          <span className="strategy-value">
+                            ${decision.valueAtRisk.varUsd.toFixed(2)} → ${decision.valueAtRisk.withTradeUsd.toFixed(2)}
+                            {decision.valueAtRisk.budgetUsd > 0 && ` of $${decision.valueAtRisk.budgetUsd.toFixed(0)}`}
+                          </span>
+                        </div>
+                      )}
+                      {decision.valueAtRisk?.levels?.map(l => (
+                        <div key={`${l.confidence}-${l.horizonHours}`} className="strategy-item">
+                          <span className="strategy-label">VaR / CVaR ({(l.confidence * 100).toFixed(0)}% {l.horizonHours}h):</span>
+                          <span className="strategy-value">
+                            hist ${l.historical.varUsd.toFixed(0)} / ${l.historical.cvarUsd.toFixed(0)} · param ${l.parametric.varUsd.toFixed(0)} / ${l.parametric.cvarUsd.toFixed(0)}
+                          </span>
+                        </div>
+                      ))}
+                      {decision.signalGate?.kind && (
+                        <div className="strategy-item">
+                          <span className="strategy-label">Signal Gate:</span>
+                          <span className="strategy-value">
+                            {decision.signalGate.allowed ? 'passed' : decision.signalGate.rule.replace('_', ' ')} · {decision.signalGate.signal.toFixed(2)} ({decision.signalGate.kind}) · {decision.signalGate.streak}/{decision.signalGate.required}
+                            {decision.requestedAction && ` · wanted ${decision.requestedAction}`}
+                          </span>
+                        </div>
+                      )}
+                      {decision.correlation?.limitedBy && (
+                        <div className="strategy-item">
+                          <span className="strategy-label">Correlation Limit:</span>
+                          <span className="strategy-value">
+                            {decision.correlation.limitedBy.replace('_', ' ')}: ${decision.correlation.requestedUsd.toFixed(2)} → ${decision.correlation.sizeUsd.toFixed(2)}
+                          </span>
+                        </div>
+                      )}
                     </div>
                   </div>
 
+                  {decision.haltReasons?.length > 0 ? (
+                    <div className="decision-reason">
+                      <h4>Trading Halted</h4>
+                      <div className="stops-grid">
+                        {decision.haltReasons.map((r) => (
+                          <div key={`${r.check}-${r.reason}`} className="stop-item">
+                            <span className="stop-label">{r.check.replace('_', ' ')}</span>
+                            <span className="stop-value">{r.message}</span>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  ) : decision.reason && (
+                    <div className="decision-reason">
+                      <h4>Reason</h4>
+                      <div className="rationale">{decision.reason}</div>
+                    </div>
+                  )}
+
+                  {decision.rejections?.length > 0 && (
+                    <div className="decision-reason">
+                      <h4>Orders Rejected</h4>
+                      <div className="stops-grid">
+                        {decision.rejections.map((r, i) => (
+                          <div key={`${r.rule}-${i}`} className="stop-item">
+                            <span className="stop-label">{r.intent} · {r.rule.replace(/_/g, ' ')}</span>
+                            <span className="stop-value">{r.reason}</span>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
                   {decision.stops && (
                     <div className="risk-management">
                       <h4>Risk Management</h4>
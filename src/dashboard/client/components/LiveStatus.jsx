@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 
-const LiveStatus = ({ connected }) => {
+const LiveStatus = ({ connected, paper, risk, margin }) => {
   const [currentTime, setCurrentTime] = useState(new Date());
 
   useEffect(() => {
@@ -18,10 +18,28 @@ const LiveStatus = ({ connected }) => {
           <div className="status-dot"></div>
         </div>
         <span className="status-text">
-          {connected ? 'Live Trading' : 'Disconnected'}
+          {!connected ? 'Disconnected' : paper ? 'Paper Trading' : 'Live Trading'}
         </span>
       </div>
+
+      {risk?.halted && (
+        <div className="status-item" title={risk.halted.reasons.map(r => r.message).join('\n')}>
+          <div className="status-indicator disconnected">
+            <div className="status-dot"></div>
+          </div>
+          <span className="status-text">Kill Switch Engaged</span>
+        </div>
+      )}
       
+      {margin?.alerts?.length > 0 && (
+        <div className="status-item" title={margin.alerts.map(a => a.message).join('\n')}>
+          <div className="status-indicator disconnected">
+            <div className="status-dot"></div>
+          </div>
+          <span className="status-text">Margin Alert</span>
+        </div>
+      )}
+
       <div className="status-item">
         <span className="time-label">Market Time:</span>
         <span className="time-value">
@@ -0,0 +1,111 @@
+import React from 'react';
+
+const formatPrice = (value) => (value > 0 ? `$${value.toFixed(2)}` : '—');
+
+const MarginMonitor = ({ margin, alerts }) => {
+  if (!margin?.updatedAt) {
+    return (
+      <div className="empty-state">
+        <span className="empty-icon">🛡️</span>
+        <p>Waiting for the first account update...</p>
+      </div>
+    );
+  }
+
+  const { limits } = margin;
+  const ratioWarning = limits?.warnRatio > 0 && margin.marginRatio >= limits.warnRatio;
+
+  return (
+    <div className="margin-monitor">
+      <div className="section-header">
+        <h2>Margin & Liquidation</h2>
+        <p>
+          Positions are reduced by {limits?.reducePct}% at a {(limits?.warnRatio * 100).toFixed(0)}% margin ratio ·
+          alerts within {limits?.alertAtr} ATR of liquidation
+        </p>
+      </div>
+
+      <div className="metrics-grid">
+        <div className="metric-card">
+          <div className="metric-icon">⚖️</div>
+          <div className="metric-content">
+            <div className="metric-label">Margin Ratio</div>
+            <div className={`metric-value ${ratioWarning ? 'loss' : ''}`}>
+              {(margin.marginRatio * 100).toFixed(2)}%
+            </div>
+          </div>
+        </div>
+        <div className="metric-card">
+          <div className="metric-icon">💰</div>
+          <div className="metric-content">
+            <div className="metric-label">Equity / Maint. Margin</div>
+            <div className="metric-value">
+              ${margin.equityUsd.toFixed(0)} / ${margin.maintMarginUsd.toFixed(0)}
+            </div>
+          </div>
+        </div>
+        {margin.lastReduceAt && (
+          <div className="metric-card">
+            <div className="metric-icon">✂️</div>
+            <div className="metric-content">
+              <div className="metric-label">Last Reduction</div>
+              <div className="metric-value">{new Date(margin.lastReduceAt).toLocaleTimeString()}</div>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="chart-section">
+        <h3>Liquidation Distance</h3>
+        {margin.positions.length === 0 ? (
+          <p>No open positions.</p>
+        ) : (
+          <table className="matrix-table">
+            <thead>
+              <tr>
+                <th>Symbol</th>
+                <th>Quantity</th>
+                <th>Mark</th>
+                <th>Liquidation</th>
+                <th>Distance</th>
+                <th>ATR</th>
+              </tr>
+            </thead>
+            <tbody>
+              {margin.positions.map(p => (
+                <tr key={`${p.symbol}-${p.positionSide}`}>
+                  <th>{p.symbol}</th>
+                  <td>{p.quantity}</td>
+                  <td>{formatPrice(p.markPrice)}</td>
+                  <td title={p.source === 'estimate' ? 'Estimated' : 'Reported by the exchange'}>
+                    {formatPrice(p.liquidationPrice)}{p.source === 'estimate' && p.liquidationPrice > 0 && '*'}
+                  </td>
+                  <td>{p.distancePct != null ? `${p.distancePct.toFixed(2)}%` : '—'}</td>
+                  <td className={limits?.alertAtr && p.distanceAtr != null && p.distanceAtr < limits.alertAtr ? 'loss' : ''}>
+                    {p.distanceAtr != null ? p.distanceAtr.toFixed(2) : '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {alerts.length > 0 && (
+        <div className="chart-section">
+          <h3>Margin Alerts</h3>
+          <div className="stops-grid">
+            {alerts.map((a, i) => (
+              <div key={`${a.type}-${a.at}-${i}`} className="stop-item">
+                <span className="stop-label">{new Date(a.at).toLocaleTimeString()}</span>
+                <span className="stop-value">{a.message}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MarginMonitor;
@@ -1,10 +1,11 @@
 import React from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, BarChart, Bar } from 'recharts';
 
-const PerformanceMetrics = ({ performance, trades }) => {
+const PerformanceMetrics = ({ performance, trades, paper }) => {
   // Calculate equity curve from trades
+  const startingEquity = paper?.startingBalanceUsd || 10000;
   const equityCurve = trades.reduce((acc, trade, index) => {
-    const prevEquity = acc.length > 0 ? acc[acc.length - 1].equity : 10000;
+    const prevEquity = acc.length > 0 ? acc[acc.length - 1].equity : startingEquity;
     const newEquity = prevEquity + (trade.pnl || 0);
     acc.push({
       index: trades.length - index,
@@ -87,6 +88,30 @@ const PerformanceMetrics = ({ performance, trades }) => {
     }
   ];
 
+  // Simulated account: equity marked to the live price, fees included
+  if (paper) {
+    metrics.push(
+      {
+        label: 'Paper Equity',
+        value: formatCurrency(paper.equityUsd || 0),
+        icon: '🧪',
+        color: (paper.returnPct || 0) >= 0 ? '#4caf50' : '#f44336'
+      },
+      {
+        label: 'Unrealized P&L',
+        value: formatCurrency(paper.unrealizedPnl || 0),
+        icon: '⏳',
+        color: (paper.unrealizedPnl || 0) >= 0 ? '#4caf50' : '#f44336'
+      },
+      {
+        label: 'Fees Paid',
+        value: formatCurrency(paper.feesPaid || 0),
+        icon: '🧾',
+        color: '#ff9800'
+      }
+    );
+  }
+
   return (
     <div className="performance-metrics">
       <div className="section-header">
@@ -1,6 +1,7 @@
 'use strict';
 
 require('dotenv').config();
+const crypto = require('crypto');
 const path = require('path');
 const express = require('express');
 const helmet = require('helmet');
@@ -29,8 +30,37 @@ app.use(morgan('combined'));
 const apiLimiter = rateLimit({ windowMs: 60 * 1000, max: 120 });
 app.use('/api/', apiLimiter);
 
-// Health
-app.get('/health', (_req, res) => res.json({ ok: true }));
+// Health: components running in this process (e.g. the trade runner) register their status here
+const healthChecks = new Map();
+function registerHealthCheck(name, fn) {
+  healthChecks.set(name, fn);
+}
+
+// Controls: actions the trade runner exposes to operators, e.g. the kill switch override
+const controls = new Map();
+function registerControl(name, fn) {
+  controls.set(name, fn);
+}
+
+// Bearer token compared in constant time; no configured token means the endpoint is disabled
+function authorized(req, token) {
+  if (!token) return false;
+  const given = Buffer.from(String(req.get('authorization') || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+app.get('/health', (_req, res) => {
+  const body = { ok: true };
+  for (const [name, fn] of healthChecks) {
+    try {
+      body[name] = fn();
+    } catch (e) {
+      body[name] = { error: e.message };
+    }
+  }
+  res.json(body);
+});
 
 // Static dashboard
 const publicDir = path.join(__dirname, 'public');
@@ -60,14 +90,69 @@ app.get('/api/state', (_req, res) => {
   });
 });
 
+app.get('/api/paper', (_req, res) => {
+  const fn = healthChecks.get('paper');
+  if (!fn) return res.status(404).json({ error: 'Paper trading not active' });
+  res.json(fn());
+});
+
+app.get('/api/rate-limit', (_req, res) => {
+  const fn = healthChecks.get('rateLimit');
+  if (!fn) return res.status(503).json({ error: 'Trade runner not attached' });
+  res.json(fn());
+});
+
+app.get('/api/risk', (_req, res) => {
+  const fn = healthChecks.get('risk');
+  if (!fn) return res.status(503).json({ error: 'Trade runner not attached' });
+  res.json(fn());
+});
+
+app.get('/api/correlation', (_req, res) => {
+  const fn = healthChecks.get('correlation');
+  if (!fn) return res.status(503).json({ error: 'Trade runner not attached' });
+  res.json(fn());
+});
+
+app.get('/api/margin', (_req, res) => {
+  const fn = healthChecks.get('margin');
+  if (!fn) return res.status(503).json({ error: 'Trade runner not attached' });
+  res.json(fn());
+});
+
+app.get('/api/signals', (_req, res) => {
+  const fn = healthChecks.get('signals');
+  if (!fn) return res.status(503).json({ error: 'Trade runner not attached' });
+  res.json(fn());
+});
+
+app.post('/api/risk/override', (req, res) => {
+  if (!server.riskOverrideToken) return res.status(403).json({ error: 'Manual override disabled (set RISK_OVERRIDE_TOKEN)' });
+  if (!authorized(req, server.riskOverrideToken)) return res.status(401).json({ error: 'Unauthorized' });
+  const fn = controls.get('riskOverride');
+  if (!fn) return res.status(503).json({ error: 'Trade runner not attached' });
+  const entry = fn({ by: String(req.body?.by || req.ip), note: String(req.body?.note || '') });
+  if (!entry) return res.status(409).json({ error: 'Kill switch is not latched' });
+  logger.warn('Kill switch override accepted', { by: entry.by, note: entry.note });
+  res.json({ ok: true, override: entry, risk: healthChecks.get('risk')() });
+});
+
 // WebSocket for real-time updates
 io.on('connection', (socket) => {
   logger.info('Dashboard client connected', { socketId: socket.id });
   
+  const paper = healthChecks.get('paper');
+  const risk = healthChecks.get('risk');
+  const correlation = healthChecks.get('correlation');
+  const margin = healthChecks.get('margin');
   socket.emit('initial-data', {
     decisions: logger.getRecentDecisions(50),
     trades: logger.getRecentTrades(50),
-    performance: logger.getPerformanceMetrics()
+    performance: logger.getPerformanceMetrics(),
+    paper: paper ? paper() : null,
+    risk: risk ? risk() : null,
+    correlation: correlation ? correlation() : null,
+    margin: margin ? margin() : null
   });
   
   socket.on('disconnect', () => {
@@ -82,5 +167,5 @@ server_instance.listen(port, () => {
 });
 
 // Export both app and io for use in other modules
-module.exports = { app, io, logger };
+module.exports = { app, io, logger, registerHealthCheck, registerControl };
 
@@ -0,0 +1,327 @@
+'use strict';
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { UnknownOrderStateError, OrderNotFoundError } = require('../aster/errors');
+
+const TERMINAL_STATES = new Set(['filled', 'canceled', 'rejected', 'expired']);
+
+// Exchange status strings (binance-style upper case, aster lower case) -> internal lifecycle state
+const STATUS_MAP = {
+  NEW: 'acknowledged',
+  OPEN: 'acknowledged',
+  ACCEPTED: 'acknowledged',
+  PARTIALLY_FILLED: 'partially_filled',
+  PARTIAL: 'partially_filled',
+  FILLED: 'filled',
+  CANCELED: 'canceled',
+  CANCELLED: 'canceled',
+  PENDING_CANCEL: 'acknowledged',
+  REJECTED: 'rejected',
+  EXPIRED: 'expired',
+  EXPIRED_IN_MATCH: 'expired'
+};
+
+function normalizeOrderStatus(status) {
+  if (!status) return null;
+  return STATUS_MAP[String(status).toUpperCase()] || null;
+}
+
+function normalizeOrderUpdate(raw = {}) {
+  const executedQty = Number(raw.executedQty ?? raw.filledQty ?? raw.filledQuantity ?? raw.z ?? 0);
+  const cumQuote = Number(raw.cumQuote ?? raw.cummulativeQuoteQty ?? raw.filledValue ?? 0);
+  let avgPrice = Number(raw.avgPrice ?? raw.averagePrice ?? raw.ap ?? 0);
+  if (!avgPrice && executedQty > 0 && cumQuote > 0) avgPrice = cumQuote / executedQty;
+  return {
+    orderId: raw.orderId ?? raw.id ?? raw.i ?? null,
+    clientOrderId: raw.clientOrderId ?? raw.c ?? null,
+    status: normalizeOrderStatus(raw.status ?? raw.X),
+    executedQty,
+    avgPrice,
+    updateTime: Number(raw.updateTime ?? raw.T ?? raw.E ?? Date.now())
+  };
+}
+
+function generateClientOrderId(prefix = 'qvt') {
+  return `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 8)}`;
+}
+
+// Same decision + leg + child -> same id, so a resubmission of the same logical order can be found
+// by its client id after an ambiguous failure (AsterApiClient._findAfterAmbiguousFailure). Exchanges
+// only reject a duplicate id while the first order is still open; a filled market order is not deduped.
+function deterministicClientOrderId(order, meta = {}, prefix = 'qvt') {
+  if (meta.decisionId == null) return generateClientOrderId(prefix);
+  const key = [meta.decisionId, meta.intent || meta.role || '', String(order.side || '').toUpperCase(), String(order.type || 'MARKET').toUpperCase(), meta.child ?? 0].join('|');
+  return `${prefix}_${crypto.createHash('sha256').update(key).digest('hex').slice(0, 24)}`;
+}
+
+class OrderManager extends EventEmitter {
+  constructor(api, options = {}) {
+    super();
+    this.api = api;
+    this.pollIntervalMs = options.pollIntervalMs || 2000;
+    // While the user data stream delivers order updates, polling is only a slow safety net
+    this.streamPollIntervalMs = options.streamPollIntervalMs || 60000;
+    this.userStreamConnected = false;
+    this.maxTrackedOrders = options.maxTrackedOrders || 500;
+    this.ambiguousTimeoutMs = options.ambiguousTimeoutMs || 60000; // give up on an order the exchange never shows
+    this.orders = new Map(); // clientOrderId -> order record
+    this._poller = null;
+    this._polling = false;
+  }
+
+  async submit(order, meta = {}) {
+    const clientOrderId = order.newClientOrderId || deterministicClientOrderId(order, meta);
+    const record = {
+      clientOrderId,
+      orderId: null,
+      symbol: order.symbol,
+      side: String(order.side || '').toUpperCase(),
+      type: String(order.type || 'MARKET').toUpperCase(),
+      quantity: Number(order.quantity) || 0,
+      price: order.price != null ? Number(order.price) : null,
+      stopPrice: order.stopPrice != null ? Number(order.stopPrice) : null,
+      status: 'submitted',
+      executedQty: 0,
+      avgPrice: 0,
+      fees: 0,
+      feeAsset: null,
+      realizedPnl: 0,
+      submittedAt: Date.now(),
+      updatedAt: Date.now(),
+      meta,
+      history: [{ status: 'submitted', at: Date.now() }]
+    };
+    this._track(record);
+
+    let res;
+    try {
+      res = await this.api.placeOrder({ ...order, newClientOrderId: clientOrderId });
+    } catch (e) {
+      if (e instanceof UnknownOrderStateError) {
+        // Possibly live on the exchange: keep it open and let the poller resolve it by client id
+        record.ambiguous = true;
+        this.emit('order-error', Object.assign(new Error(`Order state unknown: ${e.message}`), { order: record }));
+        this._ensurePolling();
+        return record;
+      }
+      record.error = e?.response?.data || e.message;
+      this._transition(record, 'rejected');
+      this.emit('done', record);
+      throw e;
+    }
+
+    record.orderId = res?.orderId ?? res?.id ?? null;
+    if (this._isTerminal(record)) return record; // settled by a stream update before the response arrived
+    const update = normalizeOrderUpdate(res || {});
+    this._transition(record, 'acknowledged');
+    await this._applyToRecord(record, update);
+    if (!this._isTerminal(record)) this._ensurePolling();
+    return record;
+  }
+
+  // Start tracking an order that was placed outside this manager (e.g. before a restart)
+  track(raw, meta = {}) {
+    const update = normalizeOrderUpdate(raw);
+    const existing = this._find(update);
+    if (existing) return existing;
+    const record = {
+      clientOrderId: update.clientOrderId || generateClientOrderId(),
+      orderId: update.orderId,
+      symbol: meta.symbol || raw.symbol,
+      side: String(raw.side || '').toUpperCase(),
+      type: String(raw.type || raw.origType || '').toUpperCase(),
+      quantity: Number(raw.origQty ?? raw.quantity ?? 0),
+      price: raw.price != null ? Number(raw.price) : null,
+      stopPrice: raw.stopPrice != null ? Number(raw.stopPrice) : null,
+      status: update.status || 'acknowledged',
+      executedQty: update.executedQty,
+      avgPrice: update.avgPrice,
+      fees: 0,
+      feeAsset: null,
+      realizedPnl: 0,
+      submittedAt: Number(raw.time ?? update.updateTime),
+      updatedAt: Date.now(),
+      meta,
+      history: [{ status: 'adopted', at: Date.now() }]
+    };
+    this._track(record);
+    if (!this._isTerminal(record)) this._ensurePolling();
+    return record;
+  }
+
+  // Apply an order update from any source (REST poll or user-data stream)
+  async applyUpdate(raw) {
+    const update = normalizeOrderUpdate(raw);
+    const record = this._find(update);
+    if (!record) return null;
+    await this._applyToRecord(record, update);
+    return record;
+  }
+
+  async cancel(clientOrderId) {
+    const record = this.orders.get(clientOrderId);
+    if (!record || this._isTerminal(record) || record.orderId == null) return record || null;
+    const res = await this.api.cancelOrder(record.orderId, record.symbol);
+    await this._applyToRecord(record, normalizeOrderUpdate(res || {}));
+    return record;
+  }
+
+  async refresh(clientOrderId) {
+    const record = this.orders.get(clientOrderId);
+    if (!record || this._isTerminal(record) || (record.orderId == null && !record.ambiguous)) return record || null;
+    const raw = await this._fetch(record);
+    await this._applyToRecord(record, normalizeOrderUpdate(raw || {}));
+    return record;
+  }
+
+  _fetch(record) {
+    if (record.orderId != null) return this.api.getOrder(record.orderId, record.symbol);
+    return this.api.getOrderByClientId(record.clientOrderId, record.symbol);
+  }
+
+  // Resolves with the record once it is terminal, or with its current state after timeoutMs
+  waitFor(clientOrderId, timeoutMs = 15000) {
+    const record = this.orders.get(clientOrderId);
+    if (!record || this._isTerminal(record)) return Promise.resolve(record || null);
+    return new Promise((resolve) => {
+      const onDone = (order) => {
+        if (order.clientOrderId !== clientOrderId) return;
+        clearTimeout(timer);
+        this.off('done', onDone);
+        resolve(order);
+      };
+      const timer = setTimeout(() => {
+        this.off('done', onDone);
+        resolve(record);
+      }, timeoutMs);
+      this.on('done', onDone);
+    });
+  }
+
+  get(clientOrderId) {
+    return this.orders.get(clientOrderId) || null;
+  }
+
+  getOpenOrders(symbol) {
+    return [...this.orders.values()].filter((o) => !this._isTerminal(o) && (!symbol || o.symbol === symbol));
+  }
+
+  // Called by the runner as the user data stream opens and closes. On (re)connect every open order
+  // is polled once, since updates may have been missed while the stream was down.
+  setUserStream(connected) {
+    this.userStreamConnected = Boolean(connected);
+    if (this.userStreamConnected) for (const record of this.orders.values()) record.lastPolledAt = 0;
+  }
+
+  stop() {
+    if (this._poller) {
+      clearInterval(this._poller);
+      this._poller = null;
+    }
+  }
+
+  async pollOpenOrders() {
+    if (this._polling) return;
+    this._polling = true;
+    try {
+      for (const record of this.getOpenOrders()) {
+        if (record.orderId == null && !record.ambiguous) continue;
+        // Resting orders (stops, targets, makers) would otherwise cost a request every pollIntervalMs for their whole life
+        if (this.userStreamConnected && !record.ambiguous && Date.now() - (record.lastPolledAt || 0) < this.streamPollIntervalMs) continue;
+        record.lastPolledAt = Date.now();
+        try {
+          const raw = await this._fetch(record);
+          if (raw) record.ambiguous = false;
+          await this._applyToRecord(record, normalizeOrderUpdate(raw || {}));
+        } catch (e) {
+          if (record.ambiguous && e instanceof OrderNotFoundError && Date.now() - record.submittedAt > this.ambiguousTimeoutMs) {
+            record.error = 'Order not found on exchange after ambiguous submission';
+            this._transition(record, 'rejected');
+            this.emit('done', record);
+            continue;
+          }
+          this.emit('order-error', Object.assign(new Error(`Order poll failed: ${e.message}`), { order: record }));
+        }
+      }
+    } finally {
+      this._polling = false;
+      if (!this.getOpenOrders().length) this.stop();
+    }
+  }
+
+  _ensurePolling() {
+    if (this._poller) return;
+    this._poller = setInterval(() => this.pollOpenOrders(), this.pollIntervalMs);
+  }
+
+  _find({ clientOrderId, orderId }) {
+    if (clientOrderId && this.orders.has(clientOrderId)) return this.orders.get(clientOrderId);
+    if (orderId == null) return null;
+    for (const record of this.orders.values()) {
+      if (String(record.orderId) === String(orderId)) return record;
+    }
+    return null;
+  }
+
+  async _applyToRecord(record, update) {
+    if (this._isTerminal(record)) return;
+    if (update.orderId != null && record.orderId == null) record.orderId = update.orderId;
+
+    const prevQty = record.executedQty;
+    if (update.executedQty > prevQty) {
+      record.executedQty = update.executedQty;
+      if (update.avgPrice) record.avgPrice = update.avgPrice;
+      this.emit('fill', { order: record, deltaQty: update.executedQty - prevQty });
+    }
+
+    const next = update.status;
+    if (!next || next === record.status) return;
+    if (TERMINAL_STATES.has(next) && record.executedQty > 0) {
+      await this._loadFees(record);
+      if (this._isTerminal(record)) return; // settled by a concurrent update
+    }
+    this._transition(record, next);
+    if (this._isTerminal(record)) this.emit('done', record);
+  }
+
+  async _loadFees(record) {
+    if (typeof this.api.getOrderTrades !== 'function') return;
+    try {
+      const fills = await this.api.getOrderTrades(record.symbol, record.orderId);
+      if (!Array.isArray(fills) || !fills.length) return;
+      record.fees = fills.reduce((sum, f) => sum + Number(f.commission || 0), 0);
+      record.feeAsset = fills[0].commissionAsset || null;
+      record.realizedPnl = fills.reduce((sum, f) => sum + Number(f.realizedPnl || 0), 0);
+      const qty = fills.reduce((sum, f) => sum + Number(f.qty || 0), 0);
+      const quote = fills.reduce((sum, f) => sum + Number(f.qty || 0) * Number(f.price || 0), 0);
+      if (qty > 0) record.avgPrice = quote / qty;
+    } catch (e) {
+      this.emit('order-error', Object.assign(new Error(`Fee lookup failed: ${e.message}`), { order: record }));
+    }
+  }
+
+  _transition(record, status) {
+    record.status = status;
+    record.updatedAt = Date.now();
+    record.history.push({ status, at: record.updatedAt, executedQty: record.executedQty });
+    this.emit('update', record);
+    this.emit(status, record);
+  }
+
+  _isTerminal(record) {
+    return TERMINAL_STATES.has(record.status);
+  }
+
+  _track(record) {
+    this.orders.set(record.clientOrderId, record);
+    if (this.orders.size <= this.maxTrackedOrders) return;
+    // Drop oldest finished orders first
+    for (const [id, o] of this.orders) {
+      if (this.orders.size <= this.maxTrackedOrders) break;
+      if (this._isTerminal(o)) this.orders.delete(id);
+    }
+  }
+}
+
+module.exports = { OrderManager, normalizeOrderUpdate, normalizeOrderStatus, generateClientOrderId, deterministicClientOrderId };
@@ -0,0 +1,100 @@
+'use strict';
+
+const { trading } = require('../../config/trading_config');
+
+// positions: [{ symbol, quantity (signed, base units), entryPrice, markPrice, positionSide }]
+function findPosition(positions, symbol, positionSide) {
+  const list = Array.isArray(positions) ? positions : [];
+  return list.find((p) => p.symbol === symbol && (!positionSide || (p.positionSide || 'BOTH') === positionSide) && Number(p.quantity)) || null;
+}
+
+function currentExposure(positions, symbol, mode) {
+  if (mode === 'hedge') {
+    const long = findPosition(positions, symbol, 'LONG');
+    const short = findPosition(positions, symbol, 'SHORT');
+    return {
+      long: long ? Math.abs(Number(long.quantity)) : 0,
+      short: short ? Math.abs(Number(short.quantity)) : 0,
+      longEntry: long?.entryPrice || 0,
+      shortEntry: short?.entryPrice || 0
+    };
+  }
+  const pos = findPosition(positions, symbol);
+  const q = pos ? Number(pos.quantity) : 0;
+  return {
+    long: q > 0 ? q : 0,
+    short: q < 0 ? -q : 0,
+    longEntry: q > 0 ? pos.entryPrice : 0,
+    shortEntry: q < 0 ? pos.entryPrice : 0
+  };
+}
+
+// Position after one fill, with the PnL realized on the part that reduces it.
+// position: { quantity (signed), entryPrice }; a fill larger than the position flips it at the fill price.
+function applyFill(position, side, quantity, price) {
+  const q = Number(position?.quantity) || 0;
+  const entry = Number(position?.entryPrice) || 0;
+  const delta = String(side).toUpperCase() === 'BUY' ? quantity : -quantity;
+  if (!q || Math.sign(q) === Math.sign(delta)) {
+    const total = q + delta;
+    return { quantity: total, entryPrice: (Math.abs(q) * entry + quantity * price) / Math.abs(total), realizedPnl: 0 };
+  }
+  const closing = Math.min(quantity, Math.abs(q));
+  const realizedPnl = closing * (price - entry) * Math.sign(q);
+  const left = q + delta;
+  if (Math.abs(left) < 1e-12) return { quantity: 0, entryPrice: 0, realizedPnl };
+  return { quantity: left, entryPrice: Math.sign(left) !== Math.sign(q) ? price : entry, realizedPnl };
+}
+
+// Turns a buy/sell decision into concrete order intents given what we already hold.
+// Closing intents carry an exact quantity; opening intents carry a USD size to be converted by the caller.
+function planOrders({
+  symbol,
+  action,
+  sizeUsd,
+  price,
+  positions,
+  mode = trading.positionMode,
+  allowShorts = trading.allowShorts,
+  allowFlip = trading.allowFlip,
+  maxPositionUsd = trading.risk.maxPositionUsd
+}) {
+  const hedge = mode === 'hedge';
+  const exposure = currentExposure(positions, symbol, mode);
+  const wantLong = action === 'buy';
+  const held = wantLong ? exposure.long : exposure.short;
+  const opposite = wantLong ? exposure.short : exposure.long;
+  const side = wantLong ? 'BUY' : 'SELL';
+  const intents = [];
+
+  if (opposite > 0) {
+    const close = { intent: 'close', side, quantity: opposite };
+    if (hedge) close.positionSide = wantLong ? 'SHORT' : 'LONG';
+    else close.reduceOnly = true;
+    intents.push(close);
+    if (!allowFlip) return { intents, exposure, skipped: null };
+  }
+
+  if (!wantLong && !allowShorts) {
+    return { intents, exposure, skipped: intents.length ? null : 'shorts_disabled' };
+  }
+
+  const heldUsd = held * (price || 0);
+  const room = Math.max(0, maxPositionUsd - heldUsd);
+  const openUsd = Math.min(sizeUsd, room);
+  if (openUsd <= 0) {
+    return { intents, exposure, skipped: intents.length ? null : 'max_position_reached' };
+  }
+  const open = {
+    intent: opposite > 0 ? 'flip' : held > 0 ? 'scale_in' : 'open',
+    side,
+    sizeUsd: openUsd,
+    existingQuantity: held,
+    existingEntryPrice: wantLong ? exposure.longEntry : exposure.shortEntry
+  };
+  if (hedge) open.positionSide = wantLong ? 'LONG' : 'SHORT';
+  intents.push(open);
+  return { intents, exposure, skipped: null };
+}
+
+module.exports = { planOrders, findPosition, currentExposure, applyFill };
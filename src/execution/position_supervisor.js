@@ -0,0 +1,142 @@
+'use strict';
+
+const EventEmitter = require('events');
+const { atr } = require('../strategies/technical_analyzer');
+const { floorToStep } = require('./smart_executor');
+const { trading } = require('../../config/trading_config');
+
+// Walks protective stops behind open positions: break-even after a configurable
+// R multiple, ATR or percentage trailing, and time-based exits.
+class PositionSupervisor extends EventEmitter {
+  constructor({ protection, orders, executor, filters, options = {} }) {
+    super();
+    this.protection = protection;
+    this.orders = orders;
+    this.executor = executor; // time exits go out as reduce-only market parents
+    this.filters = filters; // optional SymbolFilters for the exit's step size
+    this.options = { ...trading.risk.trailing, ...options };
+    this.positions = new Map(); // symbol -> supervised position
+    this._busy = new Set();
+  }
+
+  track({ symbol, side, entryPrice, quantity, stopLoss, takeProfit, positionSide, openedAt }) {
+    const isLong = String(side).toUpperCase() === 'BUY';
+    const position = {
+      symbol,
+      side: isLong ? 'BUY' : 'SELL',
+      entryPrice,
+      quantity,
+      positionSide: positionSide || null,
+      stopLoss,
+      takeProfit,
+      initialRisk: Math.abs(entryPrice - stopLoss) || 0,
+      extreme: entryPrice, // best price seen in our favour
+      breakEven: false,
+      openedAt: openedAt || Date.now()
+    };
+    this.positions.set(symbol, position);
+    return position;
+  }
+
+  untrack(symbol) {
+    this.positions.delete(symbol);
+  }
+
+  get(symbol) {
+    return this.positions.get(symbol) || null;
+  }
+
+  async update(symbol, { price, candles }) {
+    const pos = this.positions.get(symbol);
+    if (!pos || !(price > 0) || this._busy.has(symbol)) return null;
+    this._busy.add(symbol);
+    try {
+      const maxHoldMs = (this.options.maxHoldMinutes || 0) * 60 * 1000;
+      if (maxHoldMs > 0 && Date.now() - pos.openedAt >= maxHoldMs) {
+        await this._timeExit(pos, price);
+        return null;
+      }
+
+      const isLong = pos.side === 'BUY';
+      pos.extreme = isLong ? Math.max(pos.extreme, price) : Math.min(pos.extreme, price);
+      const favourable = isLong ? price - pos.entryPrice : pos.entryPrice - price;
+      const rMultiple = pos.initialRisk ? favourable / pos.initialRisk : 0;
+      const atrValue = atr(candles || [], 14);
+
+      const candidates = [];
+      if (!pos.breakEven && this.options.breakEvenR > 0 && rMultiple >= this.options.breakEvenR) {
+        const buffer = pos.entryPrice * (this.options.breakEvenBufferBps || 0) / 10000;
+        candidates.push({ stop: isLong ? pos.entryPrice + buffer : pos.entryPrice - buffer, reason: 'break_even' });
+      }
+      if (this.options.mode === 'atr' && atrValue) {
+        const dist = atrValue * this.options.atrMultiplier;
+        candidates.push({ stop: isLong ? pos.extreme - dist : pos.extreme + dist, reason: 'trailing_atr' });
+      } else if (this.options.mode === 'percent' && this.options.percent > 0) {
+        const dist = pos.extreme * this.options.percent / 100;
+        candidates.push({ stop: isLong ? pos.extreme - dist : pos.extreme + dist, reason: 'trailing_percent' });
+      }
+
+      const minStep = price * (this.options.minStepBps || 0) / 10000;
+      const valid = candidates.filter((c) => (isLong
+        ? c.stop > pos.stopLoss + minStep && c.stop < price
+        : c.stop < pos.stopLoss - minStep && c.stop > price));
+      if (!valid.length) return null;
+      const best = valid.reduce((a, b) => ((isLong ? b.stop > a.stop : b.stop < a.stop) ? b : a));
+
+      const record = await this.protection.replaceStop(symbol, best.stop);
+      if (!record) return null;
+      const adjustment = {
+        symbol,
+        side: pos.side,
+        reason: best.reason,
+        previousStop: pos.stopLoss,
+        newStop: record.stopPrice ?? best.stop,
+        takeProfit: pos.takeProfit,
+        price,
+        entryPrice: pos.entryPrice,
+        rMultiple,
+        atr: atrValue
+      };
+      pos.stopLoss = adjustment.newStop;
+      if (best.reason === 'break_even' || (isLong ? pos.stopLoss >= pos.entryPrice : pos.stopLoss <= pos.entryPrice)) {
+        pos.breakEven = true;
+      }
+      this.emit('adjustment', adjustment);
+      return adjustment;
+    } catch (e) {
+      this.emit('supervisor-error', Object.assign(e, { symbol }));
+      return null;
+    } finally {
+      this._busy.delete(symbol);
+    }
+  }
+
+  // The bracket stays on until the exit has filled: a failed or partial exit keeps the position
+  // protected and supervised, and the next update tries again
+  async _timeExit(pos, price) {
+    const { stepSize, tickSize } = (await this.filters?.get(pos.symbol).catch(() => null)) || {};
+    const exit = {
+      symbol: pos.symbol,
+      side: pos.side === 'BUY' ? 'SELL' : 'BUY',
+      quantity: pos.quantity,
+      decisionPrice: price,
+      algo: 'market',
+      stepSize,
+      tickSize,
+      meta: { role: 'exit', reason: 'time_exit', symbol: pos.symbol }
+    };
+    if (pos.positionSide) exit.positionSide = pos.positionSide;
+    else exit.reduceOnly = true;
+    const report = await this.executor.execute(exit);
+    const left = floorToStep(pos.quantity - report.executedQty, stepSize);
+    if (left > 0) {
+      pos.quantity = left;
+      throw new Error(`Time exit filled ${report.executedQty} of ${exit.quantity}, ${left} still open`);
+    }
+    this.untrack(pos.symbol);
+    await this.protection.cancel(pos.symbol);
+    this.emit('time-exit', { symbol: pos.symbol, side: pos.side, price, heldMs: Date.now() - pos.openedAt });
+  }
+}
+
+module.exports = { PositionSupervisor };
@@ -0,0 +1,203 @@
+'use strict';
+
+const { trading } = require('../../config/trading_config');
+const { checkExposure, portfolioExposure } = require('../strategies/exposure_limits');
+const { checkLiquidation } = require('../strategies/margin_monitor');
+const { checkVarBudget } = require('../strategies/value_at_risk');
+
+// A rule is { name, check(order, ctx) -> null | { reason, value, max }, record?(order, ctx), opening? }.
+// check may be async; record runs only for orders that passed the whole chain. Rules marked
+// opening guard against new risk and are skipped for closes (reduceOnly or intent 'close').
+//   order: { symbol, side, quantity, price, positionSide, reduceOnly, stopLoss, intent }
+//   ctx:   { now, market: { mid, mark, updatedAt }, account: { equityUsd, positions, ... }, workingOrders, priceHistory }
+
+function failure(reason, value = null, max = null) {
+  return { reason, value, max };
+}
+
+function reducesOnly(order) {
+  return Boolean(order.reduceOnly) || order.intent === 'close';
+}
+
+function notional(order) {
+  return Math.abs(order.quantity) * (order.price || 0);
+}
+
+function symbolList({ allow = [], deny = [] } = {}) {
+  return {
+    name: 'symbol_list',
+    check(order) {
+      if (deny.includes(order.symbol)) return failure(`${order.symbol} is on the deny list`);
+      if (allow.length && !allow.includes(order.symbol)) return failure(`${order.symbol} is not on the allow list`);
+      return null;
+    }
+  };
+}
+
+// Fat-finger guards
+function maxOrderNotional({ maxUsd }) {
+  return {
+    name: 'max_order_notional',
+    check(order) {
+      const usd = notional(order);
+      return maxUsd > 0 && usd > maxUsd ? failure(`order notional $${usd.toFixed(2)} above $${maxUsd}`, usd, maxUsd) : null;
+    }
+  };
+}
+
+// perSymbol: { [symbol]: max quantity }; symbols without an entry are not limited
+function maxQuantity({ perSymbol = {} }) {
+  return {
+    name: 'max_quantity',
+    check(order) {
+      const max = Number(perSymbol[order.symbol]) || 0;
+      const qty = Math.abs(order.quantity);
+      return max > 0 && qty > max ? failure(`quantity ${qty} above ${max}`, qty, max) : null;
+    }
+  };
+}
+
+// Market data older than maxAgeMs (or none at all) means the order price cannot be trusted
+function staleMarketData({ maxAgeMs }) {
+  return {
+    name: 'stale_market_data',
+    check(order, { now, market = {} }) {
+      if (!(maxAgeMs > 0)) return null;
+      if (!market.updatedAt) return failure(`no market data for ${order.symbol}`);
+      const age = now - market.updatedAt;
+      return age > maxAgeMs ? failure(`market data ${(age / 1000).toFixed(1)}s old`, age, maxAgeMs) : null;
+    }
+  };
+}
+
+// Order price within maxDeviationBps of both the book mid and the mark price, whichever are known
+function priceBand({ maxDeviationBps }) {
+  return {
+    name: 'price_band',
+    check(order, { market = {} }) {
+      if (!(maxDeviationBps > 0) || !(order.price > 0)) return null;
+      for (const [label, ref] of [['mid', market.mid], ['mark', market.mark]]) {
+        if (!(ref > 0)) continue;
+        const bps = (Math.abs(order.price - ref) / ref) * 10000;
+        if (bps > maxDeviationBps) return failure(`price ${order.price} is ${bps.toFixed(0)} bps from ${label} ${ref}`, bps, maxDeviationBps);
+      }
+      return null;
+    }
+  };
+}
+
+// Counts orders that passed the chain, per symbol, over a sliding minute
+function orderRate({ maxPerMinute }) {
+  const sent = new Map(); // symbol -> timestamps
+  const recent = (symbol, now) => (sent.get(symbol) || []).filter((t) => now - t < 60000);
+  return {
+    name: 'order_rate',
+    check(order, { now }) {
+      const count = recent(order.symbol, now).length;
+      return maxPerMinute > 0 && count >= maxPerMinute ? failure(`${count} ${order.symbol} orders in the last minute`, count + 1, maxPerMinute) : null;
+    },
+    record(order, { now }) {
+      sent.set(order.symbol, [...recent(order.symbol, now), now]);
+    }
+  };
+}
+
+// Same symbol, side and quantity within windowMs is treated as an accidental repeat
+function duplicateOrder({ windowMs }) {
+  const seen = new Map(); // key -> last sent at
+  const key = (o) => [o.symbol, String(o.side).toUpperCase(), Math.abs(o.quantity), o.positionSide || 'BOTH'].join('|');
+  return {
+    name: 'duplicate_order',
+    check(order, { now }) {
+      const last = seen.get(key(order));
+      return windowMs > 0 && last != null && now - last < windowMs ? failure(`same order sent ${((now - last) / 1000).toFixed(1)}s ago`, now - last, windowMs) : null;
+    },
+    record(order, { now }) {
+      for (const [k, at] of seen) if (now - at >= windowMs) seen.delete(k);
+      seen.set(key(order), now);
+    }
+  };
+}
+
+// Portfolio limits; each reports the specific limit that failed as the rule
+function exposure(limits) {
+  return {
+    name: 'exposure',
+    opening: true,
+    check(order, { account, workingOrders }) {
+      const r = checkExposure({
+        order: { symbol: order.symbol, side: order.side, notionalUsd: notional(order), positionSide: order.positionSide, reduceOnly: order.reduceOnly },
+        positions: account.positions,
+        workingOrders,
+        equityUsd: account.equityUsd,
+        limits
+      });
+      return r.ok ? null : { rule: r.limit, reason: r.reason, value: r.value, max: r.max };
+    }
+  };
+}
+
+function liquidation({ leverage, marginType }) {
+  return {
+    name: 'liquidation',
+    opening: true,
+    check(order, { account }) {
+      const r = checkLiquidation({ order, stopLoss: order.stopLoss, positions: account.positions, account, leverage, marginType });
+      return r.ok ? null : { rule: r.limit, reason: r.reason, value: r.value, max: r.max };
+    }
+  };
+}
+
+function varBudget() {
+  return {
+    name: 'var_budget',
+    opening: true,
+    check(order, { account, workingOrders, priceHistory }) {
+      const { symbols } = portfolioExposure(account.positions, workingOrders);
+      const netUsd = Object.fromEntries(Object.entries(symbols).map(([symbol, s]) => [symbol, s.netUsd]));
+      const r = checkVarBudget({ order: { symbol: order.symbol, side: order.side, notionalUsd: notional(order) }, netUsd, priceHistory, equityUsd: account.equityUsd });
+      return r.ok ? null : { reason: r.reason, value: r.value, max: r.max };
+    }
+  };
+}
+
+// Runs rules in order and stops at the first failure.
+// -> { ok: true } | { ok: false, rule, reason, value, max }
+function createPreTradeChain(rules) {
+  return {
+    rules,
+    async check(order, ctx = {}) {
+      const context = { ...ctx, now: ctx.now ?? Date.now() };
+      const closing = reducesOnly(order);
+      for (const rule of rules) {
+        if (closing && rule.opening) continue;
+        const failed = await rule.check(order, context);
+        if (failed) return { ok: false, rule: rule.name, ...failed };
+      }
+      for (const rule of rules) rule.record?.(order, context);
+      return { ok: true };
+    }
+  };
+}
+
+// Cheap per-order guards first, portfolio limits last
+function defaultPreTradeRules({ settings = trading.risk.preTrade, leverage = trading.leverage, marginType = trading.marginType } = {}) {
+  return [
+    symbolList({ allow: settings.allowSymbols, deny: settings.denySymbols }),
+    maxOrderNotional({ maxUsd: settings.maxOrderUsd }),
+    maxQuantity({ perSymbol: settings.maxQuantity }),
+    staleMarketData({ maxAgeMs: settings.maxMarketDataAgeMs }),
+    priceBand({ maxDeviationBps: settings.maxPriceDeviationBps }),
+    duplicateOrder({ windowMs: settings.duplicateWindowMs }),
+    orderRate({ maxPerMinute: settings.maxOrdersPerMinute }),
+    exposure(),
+    liquidation({ leverage, marginType }),
+    varBudget()
+  ];
+}
+
+module.exports = {
+  createPreTradeChain,
+  defaultPreTradeRules,
+  rules: { symbolList, maxOrderNotional, maxQuantity, staleMarketData, priceBand, orderRate, duplicateOrder, exposure, liquidation, varBudget }
+};
@@ -0,0 +1,215 @@
+'use strict';
+
+const EventEmitter = require('events');
+const { generateClientOrderId } = require('./order_manager');
+
+const STOP_PREFIX = 'qvtsl';
+const TP_PREFIX = 'qvttp';
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function roundToTick(price, tickSize, direction = 'nearest') {
+  if (!tickSize) return price;
+  const steps = price / tickSize;
+  // tolerate float noise such as 0.3 / 0.1 = 2.9999999999999996
+  const rounded = direction === 'down' ? Math.floor(steps + 1e-9) : direction === 'up' ? Math.ceil(steps - 1e-9) : Math.round(steps);
+  const decimals = Math.max(0, (String(tickSize).split('.')[1] || '').replace(/0+$/, '').length);
+  return Number((rounded * tickSize).toFixed(decimals));
+}
+
+// Places and supervises reduce-only stop-loss / take-profit pairs on the exchange.
+// The two legs behave OCO-style: once one executes, the sibling is cancelled.
+class ProtectiveOrders extends EventEmitter {
+  constructor(api, orderManager, options = {}) {
+    super();
+    this.api = api;
+    this.orders = orderManager;
+    this.workingType = options.workingType || 'MARK_PRICE';
+    this.stopRetries = options.stopRetries ?? 2;
+    this.retryDelayMs = options.retryDelayMs ?? 1000;
+    this.brackets = new Map(); // symbol -> { stop, takeProfit, side, quantity, positionSide, tickSize }
+
+    this.orders.on('done', (order) => this._onOrderDone(order));
+  }
+
+  // side is the side of the position being protected ('BUY' for long, 'SELL' for short).
+  // Like replaceStop, the new legs are placed before the previous ones are cancelled. A stop leg
+  // that keeps failing leaves the previous stop in place; with none to fall back on, 'unprotected'
+  // is emitted so the caller can close the position.
+  async protect({ symbol, side, quantity, stopLoss, takeProfit, tickSize, positionSide }) {
+    if (!(quantity > 0)) return null;
+    const previous = this.brackets.get(symbol);
+
+    const bracket = {
+      symbol,
+      side: String(side).toUpperCase(),
+      quantity,
+      positionSide: positionSide || null,
+      tickSize: tickSize || null,
+      stop: null,
+      takeProfit: null,
+      createdAt: Date.now()
+    };
+    this.brackets.set(symbol, bracket);
+
+    const legs = [];
+    if (stopLoss > 0) {
+      legs.push(this._submitStop(bracket, stopLoss).then((rec) => { bracket.stop = rec; }));
+    }
+    if (takeProfit > 0) {
+      legs.push(this._submitLeg(bracket, 'take_profit', takeProfit).then((rec) => { bracket.takeProfit = rec; }));
+    }
+
+    const results = await Promise.allSettled(legs);
+    const failed = results.filter((r) => r.status === 'rejected');
+    if (failed.length) {
+      this.emit('protection-error', { symbol, errors: failed.map((f) => f.reason?.response?.data || f.reason?.message) });
+    }
+    if (this.brackets.get(symbol) !== bracket) {
+      // A leg executed meanwhile and closed the position: nothing is left to protect
+      await this._cancelLegs(symbol, [previous?.stop, previous?.takeProfit, bracket.stop, bracket.takeProfit]);
+      return bracket;
+    }
+
+    const stale = [];
+    if (previous) {
+      if (stopLoss > 0 && !bracket.stop && previous.stop) bracket.stop = previous.stop;
+      else if (previous.stop) stale.push(previous.stop);
+      if (previous.takeProfit) stale.push(previous.takeProfit);
+    }
+    await this._cancelLegs(symbol, stale);
+    if (stopLoss > 0 && !bracket.stop) {
+      this.emit('unprotected', { symbol, side: bracket.side, quantity, positionSide: bracket.positionSide });
+    }
+    this.emit('protected', this.describe(symbol));
+    return bracket;
+  }
+
+  async _submitStop(bracket, stopLoss) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this._submitLeg(bracket, 'stop_loss', stopLoss);
+      } catch (e) {
+        if (attempt >= this.stopRetries) throw e;
+        await sleep(this.retryDelayMs * (attempt + 1));
+      }
+    }
+  }
+
+  // Move the stop leg: the new stop is placed before the old one is cancelled so the position is never naked
+  async replaceStop(symbol, stopLoss) {
+    const bracket = this.brackets.get(symbol);
+    if (!bracket || !(stopLoss > 0)) return null;
+    const previous = bracket.stop;
+    const record = await this._submitLeg(bracket, 'stop_loss', stopLoss);
+    bracket.stop = record;
+    if (previous) {
+      try {
+        await this.orders.cancel(previous.clientOrderId);
+      } catch (e) {
+        this.emit('protection-error', { symbol, errors: [e?.response?.data || e.message] });
+      }
+    }
+    this.emit('protected', this.describe(symbol));
+    return record;
+  }
+
+  _submitLeg(bracket, role, price) {
+    const isLong = bracket.side === 'BUY';
+    const order = {
+      symbol: bracket.symbol,
+      side: isLong ? 'SELL' : 'BUY',
+      quantity: bracket.quantity,
+      workingType: this.workingType
+    };
+    if (bracket.positionSide) {
+      // Hedge mode rejects reduceOnly; positionSide already scopes the order
+      order.positionSide = bracket.positionSide;
+    } else {
+      order.reduceOnly = true;
+    }
+    if (role === 'stop_loss') {
+      order.type = 'STOP_MARKET';
+      order.stopPrice = roundToTick(price, bracket.tickSize, isLong ? 'down' : 'up');
+      order.newClientOrderId = generateClientOrderId(STOP_PREFIX);
+    } else {
+      order.type = 'TAKE_PROFIT_MARKET';
+      order.stopPrice = roundToTick(price, bracket.tickSize, isLong ? 'up' : 'down');
+      order.newClientOrderId = generateClientOrderId(TP_PREFIX);
+    }
+    return this.orders.submit(order, { role, symbol: bracket.symbol });
+  }
+
+  async cancel(symbol) {
+    const bracket = this.brackets.get(symbol);
+    if (!bracket) return;
+    this.brackets.delete(symbol);
+    await this._cancelLegs(symbol, [bracket.stop, bracket.takeProfit]);
+  }
+
+  async _cancelLegs(symbol, legs) {
+    for (const leg of legs) {
+      if (!leg) continue;
+      try {
+        await this.orders.cancel(leg.clientOrderId);
+      } catch (e) {
+        this.emit('protection-error', { symbol, errors: [e?.response?.data || e.message] });
+      }
+    }
+  }
+
+  // Re-attach to protective orders left on the exchange by a previous process
+  async adopt(symbol) {
+    const open = await this.api.listOpenOrders({ symbol });
+    const list = Array.isArray(open) ? open : open?.orders || [];
+    for (const raw of list) {
+      const clientOrderId = raw.clientOrderId || '';
+      const role = clientOrderId.startsWith(STOP_PREFIX) ? 'stop_loss' : clientOrderId.startsWith(TP_PREFIX) ? 'take_profit' : null;
+      if (!role) continue;
+      const record = this.orders.track(raw, { role, symbol });
+      const exitSide = String(raw.side || '').toUpperCase();
+      const bracket = this.brackets.get(symbol) || {
+        symbol,
+        side: exitSide === 'SELL' ? 'BUY' : 'SELL',
+        quantity: Number(raw.origQty || raw.quantity || 0),
+        positionSide: raw.positionSide && raw.positionSide !== 'BOTH' ? raw.positionSide : null,
+        tickSize: null,
+        stop: null,
+        takeProfit: null,
+        createdAt: Date.now()
+      };
+      if (role === 'stop_loss') bracket.stop = record;
+      else bracket.takeProfit = record;
+      this.brackets.set(symbol, bracket);
+    }
+    return this.describe(symbol);
+  }
+
+  describe(symbol) {
+    const b = this.brackets.get(symbol);
+    if (!b) return null;
+    return {
+      symbol,
+      side: b.side,
+      quantity: b.quantity,
+      stopLoss: b.stop ? { clientOrderId: b.stop.clientOrderId, stopPrice: b.stop.stopPrice, status: b.stop.status } : null,
+      takeProfit: b.takeProfit ? { clientOrderId: b.takeProfit.clientOrderId, stopPrice: b.takeProfit.stopPrice, status: b.takeProfit.status } : null
+    };
+  }
+
+  async _onOrderDone(order) {
+    const role = order.meta?.role;
+    if (role !== 'stop_loss' && role !== 'take_profit') return;
+    if (!(order.executedQty > 0)) return;
+    const symbol = order.meta.symbol;
+    const bracket = this.brackets.get(symbol);
+    if (!bracket) return;
+
+    // Any executed leg (including a stop that was being replaced) closes the bracket
+    this.brackets.delete(symbol);
+    await this._cancelLegs(symbol, [bracket.stop, bracket.takeProfit].filter((leg) => leg?.clientOrderId !== order.clientOrderId));
+    this.emit('triggered', { symbol, role, order });
+  }
+}
+
+module.exports = { ProtectiveOrders, roundToTick };
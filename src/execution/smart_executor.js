@@ -0,0 +1,205 @@
+'use strict';
+
+const EventEmitter = require('events');
+const { roundToTick } = require('./protective_orders');
+const { trading } = require('../../config/trading_config');
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function topOfBook(book) {
+  const px = (lvl) => Number(Array.isArray(lvl) ? lvl[0] : lvl?.price);
+  const bid = px(book?.bids?.[0]);
+  const ask = px(book?.asks?.[0]);
+  return { bid, ask, mid: bid && ask ? (bid + ask) / 2 : bid || ask || 0 };
+}
+
+function floorToStep(qty, stepSize) {
+  if (!stepSize) return qty;
+  const decimals = Math.max(0, (String(stepSize).split('.')[1] || '').replace(/0+$/, '').length);
+  return Number((Math.floor(qty / stepSize + 1e-9) * stepSize).toFixed(decimals));
+}
+
+// Positive bps = we paid more (buy) / received less (sell) than the decision price
+function slippageBps(side, avgPrice, decisionPrice) {
+  if (!avgPrice || !decisionPrice) return 0;
+  const diff = side === 'BUY' ? avgPrice - decisionPrice : decisionPrice - avgPrice;
+  return (diff / decisionPrice) * 10000;
+}
+
+// Works parent orders through the OrderManager as market, post-only maker chase,
+// TWAP or iceberg child orders and reports the achieved slippage.
+class SmartExecutor extends EventEmitter {
+  constructor({ api, orders, filters, getTopOfBook, options = {} }) {
+    super();
+    this.api = api;
+    this.orders = orders;
+    this.filters = filters; // optional SymbolFilters: children are rounded and checked before submission
+    this.options = { ...trading.execution, ...options };
+    this.getTopOfBook = getTopOfBook || (async (symbol) => topOfBook(await this.api.getOrderBook(symbol, 5)));
+    this.active = new Set(); // parents being worked, registered before the first await
+  }
+
+  // Parents still being worked with what their children filled so far, for pre-trade exposure checks
+  workingOrders() {
+    return [...this.active].map((p) => ({
+      symbol: p.symbol,
+      side: p.side,
+      quantity: p.quantity,
+      executedQty: p.children.reduce((sum, c) => sum + (c.executedQty || 0), 0),
+      price: p.decisionPrice,
+      meta: p.meta
+    }));
+  }
+
+  selectAlgo(sizeUsd, requested) {
+    if (requested) return requested;
+    if (this.options.largeOrderUsd > 0 && sizeUsd >= this.options.largeOrderUsd) return this.options.largeOrderAlgo;
+    return this.options.algo;
+  }
+
+  async execute({ symbol, side, quantity, decisionPrice, algo, stepSize, tickSize, reduceOnly, positionSide, meta = {} }) {
+    const parent = {
+      symbol,
+      side: String(side).toUpperCase(),
+      quantity,
+      decisionPrice: Number(decisionPrice) || 0,
+      stepSize,
+      tickSize,
+      reduceOnly,
+      positionSide,
+      meta,
+      children: []
+    };
+    const chosen = this.selectAlgo(quantity * parent.decisionPrice, algo);
+    const startedAt = Date.now();
+
+    // A failing child (filter rejection, submit error) ends the schedule. Whatever the earlier
+    // children filled is still reported so the caller can protect it; only a parent that
+    // filled nothing fails.
+    let failure = null;
+    this.active.add(parent);
+    try {
+      if (chosen === 'maker') await this._maker(parent, quantity, Date.now() + this.options.makerTimeoutMs);
+      else if (chosen === 'twap') await this._twap(parent);
+      else if (chosen === 'iceberg') await this._iceberg(parent);
+      else await this._market(parent, quantity);
+    } catch (e) {
+      failure = e;
+    } finally {
+      this.active.delete(parent);
+    }
+
+    const report = this._report(parent, chosen, startedAt);
+    if (failure) {
+      if (!(report.executedQty > 0)) throw failure;
+      report.error = failure?.response?.data || failure.message;
+      this.emit('child-error', { symbol, error: report.error });
+    }
+    this.emit('report', report);
+    return report;
+  }
+
+  async _submitChild(parent, order) {
+    const child = { symbol: parent.symbol, side: parent.side, ...order };
+    if (parent.positionSide) child.positionSide = parent.positionSide;
+    if (parent.reduceOnly) child.reduceOnly = true;
+    if (this.filters) {
+      const check = await this.filters.validate(child, { refPrice: parent.decisionPrice });
+      if (!check.ok) throw Object.assign(new Error(`Order rejected by ${check.filter}: ${check.reason}`), { rejection: check });
+      Object.assign(child, check.order);
+    }
+    const record = await this.orders.submit(child, { ...parent.meta, parentSymbol: parent.symbol, child: parent.children.length });
+    parent.children.push(record);
+    return record;
+  }
+
+  _filled(parent) {
+    return parent.children.reduce((sum, c) => sum + (c.executedQty || 0), 0);
+  }
+
+  async _market(parent, quantity) {
+    const qty = floorToStep(quantity, parent.stepSize);
+    if (!(qty > 0)) return;
+    const record = await this._submitChild(parent, { type: 'MARKET', quantity: qty });
+    await this.orders.waitFor(record.clientOrderId);
+  }
+
+  // Post-only limit pegged to our side of the book, re-priced until filled or deadline
+  async _maker(parent, quantity, deadline) {
+    const target = this._filled(parent) + quantity;
+    while (Date.now() < deadline) {
+      const remaining = floorToStep(target - this._filled(parent), parent.stepSize);
+      if (!(remaining > 0)) return;
+      const top = await this.getTopOfBook(parent.symbol);
+      const peg = parent.side === 'BUY' ? top.bid : top.ask;
+      if (!peg) break;
+      const price = roundToTick(peg, parent.tickSize, parent.side === 'BUY' ? 'down' : 'up');
+      let record;
+      try {
+        record = await this._submitChild(parent, { type: 'LIMIT', timeInForce: 'GTX', price, quantity: remaining });
+      } catch (e) {
+        this.emit('child-error', { symbol: parent.symbol, error: e?.response?.data || e.message });
+        break;
+      }
+      const waitMs = Math.max(0, Math.min(this.options.repriceMs, deadline - Date.now()));
+      await this.orders.waitFor(record.clientOrderId, waitMs);
+      if (['filled', 'canceled', 'rejected', 'expired'].includes(record.status)) continue;
+      try {
+        await this.orders.cancel(record.clientOrderId);
+      } catch (_) {
+        await this.orders.refresh(record.clientOrderId).catch(() => null);
+      }
+      await this.orders.waitFor(record.clientOrderId, 3000);
+    }
+    const left = floorToStep(target - this._filled(parent), parent.stepSize);
+    if (left > 0 && this.options.fallbackToMarket) await this._market(parent, left);
+  }
+
+  async _twap(parent) {
+    const slices = Math.max(1, this.options.twapSlices);
+    for (let i = 0; i < slices; i++) {
+      const remaining = parent.quantity - this._filled(parent);
+      const sliceQty = i === slices - 1 ? remaining : Math.min(remaining, parent.quantity / slices);
+      if (floorToStep(sliceQty, parent.stepSize) > 0) await this._market(parent, sliceQty);
+      if (i < slices - 1) await sleep(this.options.twapIntervalMs);
+    }
+  }
+
+  async _iceberg(parent) {
+    const clipQty = parent.decisionPrice ? this.options.icebergClipUsd / parent.decisionPrice : parent.quantity;
+    const deadline = Date.now() + this.options.makerTimeoutMs * Math.max(1, Math.ceil(parent.quantity / clipQty));
+    while (Date.now() < deadline) {
+      const remaining = parent.quantity - this._filled(parent);
+      const clip = floorToStep(Math.min(remaining, clipQty), parent.stepSize);
+      if (!(clip > 0)) break;
+      const before = this._filled(parent);
+      await this._maker(parent, clip, Math.min(deadline, Date.now() + this.options.makerTimeoutMs));
+      if (this._filled(parent) <= before) break;
+    }
+    const left = floorToStep(parent.quantity - this._filled(parent), parent.stepSize);
+    if (left > 0 && this.options.fallbackToMarket) await this._market(parent, left);
+  }
+
+  _report(parent, algo, startedAt) {
+    const executedQty = this._filled(parent);
+    const notional = parent.children.reduce((sum, c) => sum + (c.executedQty || 0) * (c.avgPrice || 0), 0);
+    const avgPrice = executedQty > 0 ? notional / executedQty : 0;
+    return {
+      symbol: parent.symbol,
+      side: parent.side,
+      algo,
+      requestedQty: parent.quantity,
+      executedQty,
+      avgPrice,
+      decisionPrice: parent.decisionPrice,
+      slippageBps: slippageBps(parent.side, avgPrice, parent.decisionPrice),
+      fees: parent.children.reduce((sum, c) => sum + (c.fees || 0), 0),
+      childOrders: parent.children.length,
+      makerChildren: parent.children.filter((c) => c.type === 'LIMIT' && c.executedQty > 0).length,
+      durationMs: Date.now() - startedAt,
+      meta: parent.meta
+    };
+  }
+}
+
+module.exports = { SmartExecutor, topOfBook, floorToStep, slippageBps };
@@ -0,0 +1,163 @@
+'use strict';
+
+const { roundToTick } = require('./protective_orders');
+const { toCanonicalSymbol } = require('../aster/stream_normalizer');
+const { trading } = require('../../config/trading_config');
+
+const positive = (v) => (Number(v) > 0 ? Number(v) : null);
+const precisionStep = (p) => (p == null ? null : Number((10 ** -Number(p)).toFixed(Number(p))));
+
+// One shape for binance-style exchangeInfo entries (filters[]) and flat aster symbol entries
+function normalizeSymbolInfo(raw) {
+  if (Array.isArray(raw.filters)) {
+    const f = {};
+    for (const x of raw.filters) f[x.filterType] = x;
+    const lot = f.LOT_SIZE || {};
+    const market = f.MARKET_LOT_SIZE || lot;
+    return {
+      symbol: toCanonicalSymbol(raw.symbol),
+      status: raw.status || 'TRADING',
+      tickSize: positive(f.PRICE_FILTER?.tickSize) || precisionStep(raw.pricePrecision),
+      minPrice: positive(f.PRICE_FILTER?.minPrice),
+      maxPrice: positive(f.PRICE_FILTER?.maxPrice),
+      stepSize: positive(lot.stepSize) || precisionStep(raw.quantityPrecision),
+      minQty: positive(lot.minQty),
+      maxQty: positive(lot.maxQty),
+      marketStepSize: positive(market.stepSize) || positive(lot.stepSize),
+      marketMinQty: positive(market.minQty),
+      marketMaxQty: positive(market.maxQty),
+      minNotional: positive(f.MIN_NOTIONAL?.notional ?? f.MIN_NOTIONAL?.minNotional),
+      multiplierUp: positive(f.PERCENT_PRICE?.multiplierUp),
+      multiplierDown: positive(f.PERCENT_PRICE?.multiplierDown)
+    };
+  }
+  const stepSize = positive(raw.stepSize ?? raw.lotSize) || precisionStep(raw.quantityPrecision ?? raw.sizePrecision);
+  return {
+    symbol: toCanonicalSymbol(raw.symbol),
+    status: String(raw.status || 'TRADING').toUpperCase(),
+    tickSize: positive(raw.tickSize ?? raw.priceIncrement) || precisionStep(raw.pricePrecision),
+    minPrice: positive(raw.minPrice),
+    maxPrice: positive(raw.maxPrice),
+    stepSize,
+    minQty: positive(raw.minQty ?? raw.minSize),
+    maxQty: positive(raw.maxQty ?? raw.maxSize),
+    marketStepSize: positive(raw.marketStepSize) || stepSize,
+    marketMinQty: positive(raw.marketMinQty ?? raw.minQty ?? raw.minSize),
+    marketMaxQty: positive(raw.marketMaxQty ?? raw.maxQty ?? raw.maxSize),
+    minNotional: positive(raw.minNotional),
+    multiplierUp: positive(raw.multiplierUp),
+    multiplierDown: positive(raw.multiplierDown)
+  };
+}
+
+function reject(filter, reason, order) {
+  return { ok: false, filter, reason, order };
+}
+
+// Rounds an order onto the symbol's grid and checks it against every filter.
+// Returns { ok, order } or { ok: false, filter, reason } without contacting the exchange.
+function validateOrder(info, order, { refPrice } = {}) {
+  if (info.status !== 'TRADING') return reject('STATUS', `${info.symbol} is ${info.status}`, order);
+  const out = { ...order };
+  const type = String(order.type || 'MARKET').toUpperCase();
+  const side = String(order.side || '').toUpperCase();
+  const marketLike = type === 'MARKET' || type === 'STOP_MARKET' || type === 'TAKE_PROFIT_MARKET';
+
+  if (out.price != null) {
+    const price = roundToTick(Number(out.price), info.tickSize, side === 'BUY' ? 'down' : 'up');
+    if (!(price > 0)) return reject('PRICE_FILTER', `price ${out.price} rounds to zero at tick ${info.tickSize}`, order);
+    if (info.minPrice && price < info.minPrice) return reject('PRICE_FILTER', `price ${price} below minimum ${info.minPrice}`, order);
+    if (info.maxPrice && price > info.maxPrice) return reject('PRICE_FILTER', `price ${price} above maximum ${info.maxPrice}`, order);
+    if (refPrice > 0 && info.multiplierUp && price > refPrice * info.multiplierUp) {
+      return reject('PERCENT_PRICE', `price ${price} above ${info.multiplierUp}x reference ${refPrice}`, order);
+    }
+    if (refPrice > 0 && info.multiplierDown && price < refPrice * info.multiplierDown) {
+      return reject('PERCENT_PRICE', `price ${price} below ${info.multiplierDown}x reference ${refPrice}`, order);
+    }
+    out.price = price;
+  }
+  if (out.stopPrice != null) {
+    out.stopPrice = roundToTick(Number(out.stopPrice), info.tickSize);
+    if (!(out.stopPrice > 0)) return reject('PRICE_FILTER', `stop price ${order.stopPrice} rounds to zero at tick ${info.tickSize}`, order);
+  }
+  if (out.closePosition) return { ok: true, order: out };
+
+  const step = (marketLike ? info.marketStepSize : info.stepSize) || info.stepSize;
+  const minQty = marketLike ? info.marketMinQty || info.minQty : info.minQty;
+  const maxQty = marketLike ? info.marketMaxQty || info.maxQty : info.maxQty;
+  const filter = marketLike && (info.marketStepSize || info.marketMinQty) ? 'MARKET_LOT_SIZE' : 'LOT_SIZE';
+  const qty = roundToTick(Number(out.quantity), step, 'down');
+  if (!(qty > 0)) return reject(filter, `quantity ${order.quantity} rounds to zero at step ${step}`, order);
+  if (minQty && qty < minQty) return reject(filter, `quantity ${qty} below minimum ${minQty}`, order);
+  if (maxQty && qty > maxQty) return reject(filter, `quantity ${qty} above maximum ${maxQty}`, order);
+  out.quantity = qty;
+
+  // Reduce-only orders are exempt from the notional floor so small remainders can always be closed
+  const notionalPrice = out.price || refPrice;
+  if (info.minNotional && !out.reduceOnly && notionalPrice > 0 && qty * notionalPrice < info.minNotional) {
+    return reject('MIN_NOTIONAL', `notional ${(qty * notionalPrice).toFixed(2)} below minimum ${info.minNotional}`, order);
+  }
+  return { ok: true, order: out };
+}
+
+// Exchange symbol metadata, loaded in one exchangeInfo call and refreshed after ttlMs.
+// A failed refresh keeps serving the last good copy.
+class SymbolFilters {
+  constructor({ api, ttlMs = trading.symbolInfoTtlMs }) {
+    this.api = api;
+    this.ttlMs = ttlMs;
+    this.symbols = new Map();
+    this.loadedAt = 0;
+    this._loading = null;
+  }
+
+  refresh() {
+    if (this._loading) return this._loading;
+    this._loading = (async () => {
+      const info = await this.api.getExchangeInfo();
+      const list = Array.isArray(info) ? info : info?.symbols || info?.data || [];
+      const next = new Map();
+      for (const raw of list) {
+        if (!raw?.symbol) continue;
+        const meta = normalizeSymbolInfo(raw);
+        next.set(meta.symbol, meta);
+      }
+      if (!next.size) throw new Error('Exchange info returned no symbols');
+      this.symbols = next;
+      this.loadedAt = Date.now();
+      return this.symbols;
+    })().finally(() => {
+      this._loading = null;
+    });
+    return this._loading;
+  }
+
+  async get(symbol) {
+    if (!this.loadedAt || Date.now() - this.loadedAt > this.ttlMs) {
+      try {
+        await this.refresh();
+      } catch (e) {
+        if (!this.loadedAt) throw e;
+      }
+    }
+    return this.symbols.get(toCanonicalSymbol(symbol)) || null;
+  }
+
+  async validate(order, { refPrice } = {}) {
+    const info = await this.get(order.symbol);
+    if (!info) return reject('SYMBOL', `no exchange metadata for ${order.symbol}`, order);
+    return validateOrder(info, order, { refPrice });
+  }
+
+  // USD size -> base quantity on the order's lot grid, rejected if it cannot satisfy the filters
+  async quantityFor(symbol, sizeUsd, price, { type = 'MARKET', side = 'BUY' } = {}) {
+    if (!(sizeUsd > 0) || !(price > 0)) return reject('SIZE', 'size or reference price missing', { symbol });
+    return this.validate({ symbol, side, type, quantity: sizeUsd / price }, { refPrice: price });
+  }
+
+  status() {
+    return { symbols: this.symbols.size, loadedAt: this.loadedAt || null, ttlMs: this.ttlMs };
+  }
+}
+
+module.exports = { SymbolFilters, validateOrder, normalizeSymbolInfo };
@@ -0,0 +1,120 @@
+'use strict';
+
+const { trading } = require('../../config/trading_config');
+const { calculateCorrelation } = require('./risk_manager');
+
+const MIN_RETURNS = 10;
+
+// Pairwise correlations of return series (aligned on their common tail)
+// -> { symbols, matrix: { [a]: { [b]: rho } } }
+function correlationMatrix(priceHistory = {}, lookback = trading.risk.correlation.lookback) {
+  const symbols = Object.keys(priceHistory).filter((s) => (priceHistory[s] || []).length >= MIN_RETURNS);
+  const matrix = {};
+  for (const a of symbols) matrix[a] = { [a]: 1 };
+  for (let i = 0; i < symbols.length; i++) {
+    for (let j = i + 1; j < symbols.length; j++) {
+      const a = symbols[i];
+      const b = symbols[j];
+      const n = Math.min(lookback, priceHistory[a].length, priceHistory[b].length);
+      const rho = calculateCorrelation(priceHistory[a].slice(-n), priceHistory[b].slice(-n));
+      matrix[a][b] = rho;
+      matrix[b][a] = rho;
+    }
+  }
+  return { symbols, matrix };
+}
+
+// Signed net notional per symbol
+function netNotional(positions = []) {
+  const net = {};
+  for (const p of positions) {
+    if (!p.quantity) continue;
+    net[p.symbol] = (net[p.symbol] || 0) + p.quantity * (p.markPrice || p.entryPrice || 0);
+  }
+  return net;
+}
+
+// Sum of squared gross weights; 1 = everything in one symbol
+function herfindahl(net) {
+  const gross = Object.values(net).map(Math.abs);
+  const total = gross.reduce((a, b) => a + b, 0);
+  return total ? gross.reduce((sum, x) => sum + (x / total) ** 2, 0) : 0;
+}
+
+// Exposure that moves with `symbol`: each position weighted by its correlation to it.
+// Pairs below the threshold (or without enough history) count as unrelated.
+function correlatedExposure(symbol, net, matrix, threshold) {
+  let total = 0;
+  for (const [other, usd] of Object.entries(net)) {
+    const rho = other === symbol ? 1 : matrix[symbol]?.[other] ?? 0;
+    if (Math.abs(rho) >= threshold) total += rho * usd;
+  }
+  return total;
+}
+
+// Largest n in [0, max] with ok(n), where the ok set is an interval containing 0
+function largestAllowed(max, ok, steps = 40) {
+  if (ok(max)) return max;
+  let lo = 0;
+  for (let i = steps - 1; i > 0; i--) {
+    if (ok((max * i) / steps)) {
+      lo = (max * i) / steps;
+      break;
+    }
+  }
+  let hi = Math.min(max, lo + max / steps);
+  for (let k = 0; k < 30; k++) {
+    const mid = (lo + hi) / 2;
+    if (ok(mid)) lo = mid;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Scales a new entry down so neither correlated exposure nor Herfindahl concentration ends above its limit.
+// An entry that lowers either measure is never cut, even when the portfolio already breaches it.
+// -> { sizeUsd, requestedUsd, limitedBy, correlatedExposureUsd, concentration: { before, after } }
+function correlationSizing({ symbol, side, sizeUsd, positions = [], correlation, limits = trading.risk.correlation }) {
+  const net = netNotional(positions);
+  const dir = side === 'sell' ? -1 : 1;
+  const matrix = correlation?.matrix || {};
+  const exposure = correlatedExposure(symbol, net, matrix, limits.threshold);
+  const after = (n) => ({ ...net, [symbol]: (net[symbol] || 0) + dir * n });
+  const hhiBefore = herfindahl(net);
+
+  const exposureOk = (n) => !(limits.maxCorrelatedUsd > 0) || Math.abs(exposure + dir * n) <= Math.max(limits.maxCorrelatedUsd, Math.abs(exposure));
+  const concentrationOk = (n) => {
+    const next = after(n);
+    // One holding is fully concentrated by definition; the limit applies to portfolios
+    if (!(limits.maxConcentration > 0) || Object.values(next).filter(Boolean).length < 2) return true;
+    return herfindahl(next) <= Math.max(limits.maxConcentration, hhiBefore);
+  };
+
+  const byExposure = largestAllowed(sizeUsd, exposureOk);
+  const byConcentration = largestAllowed(sizeUsd, concentrationOk);
+  const limited = Math.min(byExposure, byConcentration) < sizeUsd;
+  const allowed = limited ? Math.floor(Math.min(byExposure, byConcentration) * 100) / 100 : sizeUsd; // whole cents
+  const limitedBy = !limited ? null : byExposure <= byConcentration ? 'correlated_exposure' : 'concentration';
+  return {
+    sizeUsd: allowed,
+    requestedUsd: sizeUsd,
+    limitedBy,
+    correlatedExposureUsd: exposure,
+    concentration: { before: hhiBefore, after: herfindahl(after(allowed)) }
+  };
+}
+
+// Matrix plus current portfolio figures for the dashboard; positions null when unknown
+function correlationReport(priceHistory, positions, limits = trading.risk.correlation) {
+  const correlation = correlationMatrix(priceHistory, limits.lookback);
+  let exposure = null;
+  if (positions) {
+    const net = netNotional(positions);
+    const correlatedUsd = {};
+    for (const symbol of correlation.symbols) correlatedUsd[symbol] = correlatedExposure(symbol, net, correlation.matrix, limits.threshold);
+    exposure = { netUsd: net, correlatedUsd, concentration: herfindahl(net) };
+  }
+  return { ...correlation, lookback: limits.lookback, limits, exposure, updatedAt: Date.now() };
+}
+
+module.exports = { correlationMatrix, correlationReport, correlationSizing, correlatedExposure, herfindahl, netNotional };
@@ -0,0 +1,92 @@
+'use strict';
+
+const { trading } = require('../../config/trading_config');
+
+// 0 disables a limit
+function exposureLimits(overrides = {}) {
+  const { exposure, maxPositionUsd } = trading.risk;
+  return {
+    maxGrossUsd: exposure.maxGrossUsd,
+    maxNetUsd: exposure.maxNetUsd,
+    maxPositionUsd,
+    maxOpenPositions: exposure.maxOpenPositions,
+    maxWorkingOrders: trading.maxConcurrentOrders,
+    maxLeverage: exposure.maxLeverage,
+    ...overrides
+  };
+}
+
+// Signed notional per symbol from open positions plus the unfilled part of working entry orders
+function portfolioExposure(positions = [], workingOrders = []) {
+  const symbols = {};
+  const entry = (symbol) => (symbols[symbol] ||= { netUsd: 0, grossUsd: 0, hasPosition: false });
+  for (const p of positions) {
+    if (!p.quantity) continue;
+    const usd = p.quantity * (p.markPrice || p.entryPrice || 0);
+    const s = entry(p.symbol);
+    s.netUsd += usd;
+    s.grossUsd += Math.abs(usd);
+    s.hasPosition = true;
+  }
+  for (const o of workingOrders) {
+    const remaining = Math.max(0, (o.quantity || 0) - (o.executedQty || 0));
+    const usd = (o.side === 'BUY' ? 1 : -1) * remaining * (o.price || o.meta?.decisionPrice || 0);
+    const s = entry(o.symbol);
+    s.netUsd += usd;
+    s.grossUsd += Math.abs(usd);
+  }
+  const all = Object.values(symbols);
+  return {
+    symbols,
+    grossUsd: all.reduce((sum, s) => sum + s.grossUsd, 0),
+    netUsd: all.reduce((sum, s) => sum + s.netUsd, 0),
+    openPositions: all.filter((s) => s.hasPosition).length,
+    workingOrders: workingOrders.length
+  };
+}
+
+function reject(limit, value, max, reason) {
+  return { ok: false, limit, value, max, reason };
+}
+
+// Pre-trade check for one order that may add exposure: order { symbol, side, notionalUsd, positionSide, reduceOnly }.
+// Closing orders always pass, and a limit that is already exceeded only blocks orders that make it worse.
+// -> { ok: true, exposure } | { ok: false, limit, value, max, reason }
+function checkExposure({ order, positions = [], workingOrders = [], equityUsd = 0, limits = exposureLimits() }) {
+  if (order.reduceOnly || order.closePosition) return { ok: true, exposure: null };
+  const before = portfolioExposure(positions, workingOrders);
+  const notional = Math.abs(order.notionalUsd) || 0;
+  const signed = String(order.side).toUpperCase() === 'BUY' ? notional : -notional;
+  const sym = before.symbols[order.symbol] || { netUsd: 0, grossUsd: 0, hasPosition: false };
+  const symbolNetUsd = sym.netUsd + signed;
+  // Hedge-mode legs add to their own side; one-way orders net against the symbol's position
+  const hedgeLeg = order.positionSide && order.positionSide !== 'BOTH';
+  const grossUsd = before.grossUsd + (hedgeLeg ? notional : Math.abs(symbolNetUsd) - Math.abs(sym.netUsd));
+  const netUsd = before.netUsd + signed;
+  const openPositions = before.openPositions + (sym.hasPosition ? 0 : 1);
+  const workingCount = before.workingOrders + 1;
+  const leverage = equityUsd > 0 ? grossUsd / equityUsd : 0;
+  const worse = (after, prev, max) => max > 0 && after > max && after > prev;
+
+  if (worse(workingCount, before.workingOrders, limits.maxWorkingOrders)) {
+    return reject('max_working_orders', workingCount, limits.maxWorkingOrders, `${before.workingOrders} entry orders already working (max ${limits.maxWorkingOrders})`);
+  }
+  if (worse(openPositions, before.openPositions, limits.maxOpenPositions)) {
+    return reject('max_open_positions', openPositions, limits.maxOpenPositions, `${before.openPositions} positions already open (max ${limits.maxOpenPositions})`);
+  }
+  if (worse(Math.abs(symbolNetUsd), Math.abs(sym.netUsd), limits.maxPositionUsd)) {
+    return reject('max_symbol_notional', Math.abs(symbolNetUsd), limits.maxPositionUsd, `${order.symbol} notional would reach $${Math.abs(symbolNetUsd).toFixed(2)} (max $${limits.maxPositionUsd})`);
+  }
+  if (worse(grossUsd, before.grossUsd, limits.maxGrossUsd)) {
+    return reject('max_gross_notional', grossUsd, limits.maxGrossUsd, `gross exposure would reach $${grossUsd.toFixed(2)} (max $${limits.maxGrossUsd})`);
+  }
+  if (worse(Math.abs(netUsd), Math.abs(before.netUsd), limits.maxNetUsd)) {
+    return reject('max_net_notional', Math.abs(netUsd), limits.maxNetUsd, `net exposure would reach $${netUsd.toFixed(2)} (max $${limits.maxNetUsd})`);
+  }
+  if (equityUsd > 0 && worse(leverage, before.grossUsd / equityUsd, limits.maxLeverage)) {
+    return reject('max_leverage', leverage, limits.maxLeverage, `leverage would reach ${leverage.toFixed(2)}x (max ${limits.maxLeverage}x)`);
+  }
+  return { ok: true, exposure: { grossUsd, netUsd, symbolNetUsd, openPositions, workingOrders: workingCount, leverage } };
+}
+
+module.exports = { checkExposure, portfolioExposure, exposureLimits };
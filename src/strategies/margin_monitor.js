@@ -0,0 +1,144 @@
+'use strict';
+
+const EventEmitter = require('events');
+const { trading } = require('../../config/trading_config');
+
+// Maintenance margin / equity; the exchange liquidates at 1
+function marginRatio({ equityUsd, maintMarginUsd } = {}) {
+  if (!(maintMarginUsd > 0)) return 0;
+  return equityUsd > 0 ? maintMarginUsd / equityUsd : 1;
+}
+
+// Price at which a one-way position is liquidated when the exchange does not report one.
+// Isolated: the position's own margin (entry / leverage) is used up down to maintenance.
+// Cross: the account's equity above total maintenance margin is the buffer, other positions held still.
+function estimateLiquidationPrice({ quantity, entryPrice, markPrice, leverage, marginType }, account = {}, mmr = trading.risk.margin.maintMarginRate) {
+  if (!quantity) return 0;
+  const dir = Math.sign(quantity);
+  if (String(marginType).toUpperCase() === 'ISOLATED' && leverage > 0) {
+    return Math.max(0, (entryPrice * (1 - dir / leverage)) / (1 - dir * mmr));
+  }
+  const buffer = (account.equityUsd || 0) - (account.maintMarginUsd || 0);
+  return Math.max(0, (markPrice || entryPrice) - buffer / quantity);
+}
+
+// Exchange-reported liquidation price when there is one
+function liquidationPrice(position, account, mmr) {
+  if (position.liquidationPrice > 0) return { price: position.liquidationPrice, source: 'exchange' };
+  return { price: estimateLiquidationPrice(position, account, mmr), source: 'estimate' };
+}
+
+// Per position: liquidation price and how far the mark is from it, in percent and in ATR multiples
+// -> { marginRatio, equityUsd, maintMarginUsd, positions: [{ symbol, positionSide, quantity, markPrice, liquidationPrice, source, distancePct, distanceAtr }] }
+function assessMargin({ account = {}, positions = [], atrBySymbol = {}, settings = trading.risk.margin }) {
+  const rows = positions.filter((p) => p.quantity).map((p) => {
+    const mark = p.markPrice || p.entryPrice;
+    const liq = liquidationPrice(p, account, settings.maintMarginRate);
+    const distance = liq.price > 0 ? Math.sign(p.quantity) * (mark - liq.price) : Infinity; // longs without a floor cannot be liquidated
+    const atr = atrBySymbol[p.symbol] || 0;
+    return {
+      symbol: p.symbol,
+      positionSide: p.positionSide || 'BOTH',
+      quantity: p.quantity,
+      markPrice: mark,
+      liquidationPrice: liq.price,
+      source: liq.source,
+      distancePct: Number.isFinite(distance) && mark ? (distance / mark) * 100 : null,
+      distanceAtr: Number.isFinite(distance) && atr > 0 ? distance / atr : null
+    };
+  });
+  return {
+    marginRatio: marginRatio(account),
+    equityUsd: account.equityUsd || 0,
+    maintMarginUsd: account.maintMarginUsd || 0,
+    positions: rows
+  };
+}
+
+// Pre-trade check for an entry: order { symbol, side, quantity, price, positionSide } with its stop.
+// The stop has to trigger before the position (including what is already held) would be liquidated.
+// -> { ok: true, liquidationPrice } | { ok: false, limit, value, max, reason }
+function checkLiquidation({ order, stopLoss, positions = [], account = {}, leverage = 0, marginType = null, settings = trading.risk.margin }) {
+  if (!(stopLoss > 0) || order.reduceOnly) return { ok: true, liquidationPrice: null };
+  const dir = String(order.side).toUpperCase() === 'BUY' ? 1 : -1;
+  const held = positions.find((p) => p.symbol === order.symbol && p.quantity && (!order.positionSide || order.positionSide === 'BOTH' || p.positionSide === order.positionSide));
+  const heldQty = held && Math.sign(held.quantity) === dir ? held.quantity : 0; // an opposite position is closed first
+  const quantity = heldQty + dir * Math.abs(order.quantity);
+  const entryPrice = heldQty ? (heldQty * held.entryPrice + dir * Math.abs(order.quantity) * order.price) / quantity : order.price;
+  const after = {
+    equityUsd: account.equityUsd,
+    maintMarginUsd: (account.maintMarginUsd || 0) + Math.abs(order.quantity) * order.price * settings.maintMarginRate
+  };
+  const liq = estimateLiquidationPrice({
+    quantity,
+    entryPrice,
+    markPrice: order.price,
+    leverage: held?.leverage || leverage,
+    marginType: held?.marginType || marginType
+  }, after, settings.maintMarginRate);
+  if (liq > 0 && dir * (stopLoss - liq) <= 0) {
+    return {
+      ok: false,
+      limit: 'stop_beyond_liquidation',
+      value: stopLoss,
+      max: liq,
+      reason: `stop ${stopLoss.toFixed(2)} lies beyond the estimated liquidation price ${liq.toFixed(2)}`
+    };
+  }
+  return { ok: true, liquidationPrice: liq };
+}
+
+// Watches account margin on every update. Emits 'alert' once per condition when a position comes within
+// alertAtr ATRs of liquidation or the margin ratio crosses warnRatio, and 'reduce' (at most once per
+// cooldown) while the margin ratio stays at or above warnRatio.
+class MarginMonitor extends EventEmitter {
+  constructor(settings = trading.risk.margin) {
+    super();
+    this.settings = settings;
+    this.last = null;
+    this.alerts = new Map(); // key -> active alert
+    this.lastReduceAt = 0;
+  }
+
+  update({ account, positions, atrBySymbol }) {
+    const s = this.settings;
+    const snapshot = assessMargin({ account, positions, atrBySymbol, settings: s });
+    this.last = { ...snapshot, updatedAt: Date.now() };
+
+    const active = new Map();
+    if (s.warnRatio > 0 && snapshot.marginRatio >= s.warnRatio) {
+      active.set('margin_ratio', {
+        type: 'margin_ratio',
+        value: snapshot.marginRatio,
+        limit: s.warnRatio,
+        message: `margin ratio ${(snapshot.marginRatio * 100).toFixed(1)}% at or above ${(s.warnRatio * 100).toFixed(1)}%`
+      });
+    }
+    for (const p of snapshot.positions) {
+      if (!(s.alertAtr > 0) || p.distanceAtr == null || p.distanceAtr >= s.alertAtr) continue;
+      active.set(`liquidation:${p.symbol}:${p.positionSide}`, {
+        type: 'liquidation_distance',
+        symbol: p.symbol,
+        value: p.distanceAtr,
+        limit: s.alertAtr,
+        message: `${p.symbol} ${p.distanceAtr.toFixed(2)} ATR from liquidation at ${p.liquidationPrice.toFixed(2)}`
+      });
+    }
+    for (const [key, alert] of active) {
+      if (!this.alerts.has(key)) this.emit('alert', { ...alert, at: Date.now() });
+    }
+    this.alerts = active;
+
+    if (active.has('margin_ratio') && Date.now() - this.lastReduceAt >= s.reduceCooldownMs) {
+      this.lastReduceAt = Date.now();
+      this.emit('reduce', { marginRatio: snapshot.marginRatio, reducePct: s.reducePct, positions: snapshot.positions });
+    }
+    return snapshot;
+  }
+
+  snapshot() {
+    return { ...this.last, alerts: [...this.alerts.values()], lastReduceAt: this.lastReduceAt || null, limits: this.settings };
+  }
+}
+
+module.exports = { MarginMonitor, assessMargin, checkLiquidation, estimateLiquidationPrice, marginRatio };
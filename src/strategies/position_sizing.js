@@ -0,0 +1,87 @@
+'use strict';
+
+const { trading } = require('../../config/trading_config');
+const { kellyFraction } = require('./risk_manager');
+
+const HOURS_PER_YEAR = 24 * 365;
+
+function stdev(values) {
+  if (values.length < 2) return 0;
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  return Math.sqrt(values.reduce((a, b) => a + (b - mean) ** 2, 0) / (values.length - 1));
+}
+
+// Win rate and payoff ratio (avg win / avg loss) from realized trade PnL
+function tradeStats(trades = []) {
+  const outcomes = trades.map((t) => Number(t.pnl)).filter((x) => Number.isFinite(x) && x !== 0);
+  const wins = outcomes.filter((x) => x > 0);
+  const losses = outcomes.filter((x) => x < 0);
+  const avgWin = wins.length ? wins.reduce((a, b) => a + b, 0) / wins.length : 0;
+  const avgLoss = losses.length ? -losses.reduce((a, b) => a + b, 0) / losses.length : 0;
+  return {
+    trades: outcomes.length,
+    winRate: outcomes.length ? wins.length / outcomes.length : 0,
+    payoff: avgLoss ? avgWin / avgLoss : 0
+  };
+}
+
+// Notional that loses riskPct of equity if the stop is hit
+function riskToStop({ equityUsd, price, stopLoss }, riskPct) {
+  const stopDistancePct = price > 0 && stopLoss > 0 ? Math.abs(price - stopLoss) / price : 0;
+  const riskUsd = equityUsd * (riskPct / 100);
+  return { sizeUsd: stopDistancePct > 0 ? riskUsd / stopDistancePct : 0, riskUsd, stopDistancePct };
+}
+
+// Each model: (ctx, sizing) -> { sizeUsd, inputs }, or { fallback: reason, inputs } to defer to sizing.fallbackModel
+const MODELS = {
+  fixed_usd: (_ctx, sizing) => ({ sizeUsd: sizing.fixedUsd, inputs: { fixedUsd: sizing.fixedUsd } }),
+
+  risk_to_stop: (ctx, sizing) => {
+    const { sizeUsd, riskUsd, stopDistancePct } = riskToStop(ctx, sizing.riskPct);
+    return { sizeUsd, inputs: { equityUsd: ctx.equityUsd, riskPct: sizing.riskPct, riskUsd, price: ctx.price, stopLoss: ctx.stopLoss, stopDistancePct } };
+  },
+
+  // Position volatility matches an annualized budget, measured on hourly returns
+  vol_target: (ctx, sizing) => {
+    const annualVolPct = stdev(ctx.returns1h || []) * Math.sqrt(HOURS_PER_YEAR) * 100;
+    const sizeUsd = annualVolPct > 0 ? ctx.equityUsd * (sizing.targetVolPct / annualVolPct) : 0;
+    return { sizeUsd, inputs: { equityUsd: ctx.equityUsd, targetVolPct: sizing.targetVolPct, annualVolPct, samples: (ctx.returns1h || []).length } };
+  },
+
+  // Fractional Kelly on our own realized win rate and payoff; the Kelly fraction is the equity risked to the stop
+  kelly: (ctx, sizing) => {
+    const symbolTrades = (ctx.trades || []).filter((t) => t.symbol === ctx.symbol);
+    const own = tradeStats(symbolTrades);
+    const stats = own.trades >= sizing.kellyMinTrades ? own : tradeStats(ctx.trades);
+    const scope = stats === own ? 'symbol' : 'portfolio';
+    if (stats.trades < sizing.kellyMinTrades || !stats.payoff) {
+      return { fallback: 'insufficient_history', inputs: { ...stats, minTrades: sizing.kellyMinTrades } };
+    }
+    const fraction = kellyFraction(stats.winRate, stats.payoff) * sizing.kellyMultiplier;
+    const { sizeUsd, riskUsd, stopDistancePct } = riskToStop(ctx, fraction * 100);
+    return { sizeUsd, inputs: { ...stats, scope, kellyMultiplier: sizing.kellyMultiplier, fraction, riskUsd, stopDistancePct } };
+  }
+};
+
+// SIZING_MODELS=BTC-USD:vol_target,... overrides SIZING_MODEL per symbol
+function sizingModelFor(symbol, sizing = trading.sizing) {
+  return sizing.perSymbol[symbol] || sizing.model;
+}
+
+function run(model, ctx, sizing) {
+  const out = MODELS[model](ctx, sizing);
+  return { model, sizeUsd: Math.max(0, out.sizeUsd || 0), inputs: out.inputs, fallback: out.fallback };
+}
+
+// ctx: { symbol, equityUsd, price, stopLoss, returns1h, trades }
+// -> { model, sizeUsd, inputs, fallbackFrom? } before any order-size cap
+function sizePosition(ctx, sizing = trading.sizing) {
+  const requested = sizingModelFor(ctx.symbol, sizing);
+  const first = MODELS[requested] ? run(requested, ctx, sizing) : { model: requested, fallback: 'unknown_model', inputs: {} };
+  if (!first.fallback) return { model: first.model, sizeUsd: first.sizeUsd, inputs: first.inputs };
+  const fallback = MODELS[sizing.fallbackModel] && sizing.fallbackModel !== requested ? sizing.fallbackModel : 'fixed_usd';
+  const sized = run(fallback, ctx, sizing);
+  return { model: fallback, sizeUsd: sized.sizeUsd, inputs: sized.inputs, fallbackFrom: { model: requested, reason: first.fallback, inputs: first.inputs } };
+}
+
+module.exports = { sizePosition, sizingModelFor, tradeStats, SIZING_MODELS: Object.keys(MODELS) };
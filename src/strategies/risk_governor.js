@@ -0,0 +1,173 @@
+'use strict';
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { accountHaltReasons } = require('./risk_manager');
+
+const SAVE_INTERVAL_MS = 5000;
+const MAX_OVERRIDES = 20;
+
+function utcDay(ts = Date.now()) {
+  return new Date(ts).toISOString().slice(0, 10);
+}
+
+function freshSession(day, equityUsd = 0, unrealizedPnlUsd = 0) {
+  return {
+    day,
+    realizedPnlUsd: 0,
+    startUnrealizedPnlUsd: unrealizedPnlUsd, // open PnL carried in from before the session started
+    unrealizedPnlUsd,
+    equityUsd,
+    peakEquityUsd: equityUsd,
+    halted: null, // { at, day, reasons } once a limit trips
+    overrides: [],
+    updatedAt: Date.now()
+  };
+}
+
+// Daily kill switch. Realized and unrealized PnL accumulate per UTC day; once the daily loss
+// or intraday drawdown limit trips, the halt latches until the next UTC day or a manual override.
+// State is written to disk so restarting the process cannot clear a halt.
+class RiskGovernor extends EventEmitter {
+  constructor({ stateFile = null, maxDailyLossUsd, maxDrawdownPct } = {}) {
+    super();
+    this.stateFile = stateFile ? path.resolve(stateFile) : null;
+    this.limits = { maxDailyLossUsd, maxDrawdownPct };
+    this.loadError = null;
+    this._lastSave = 0;
+    this.state = this._load();
+  }
+
+  recordRealizedPnl(pnlUsd, at = Date.now()) {
+    this._roll(at);
+    this.state.realizedPnlUsd += Number(pnlUsd) || 0;
+    this._evaluate();
+    this._save(true);
+  }
+
+  // account: { equityUsd, unrealizedPnl } as returned by getAccount
+  recordAccount({ equityUsd, unrealizedPnl } = {}) {
+    this._roll();
+    if (!(equityUsd > 0)) return;
+    const s = this.state;
+    // First reading of the session sets the baselines
+    if (!s.peakEquityUsd) {
+      s.peakEquityUsd = equityUsd;
+      s.startUnrealizedPnlUsd = Number(unrealizedPnl) || 0;
+    }
+    s.equityUsd = equityUsd;
+    s.unrealizedPnlUsd = Number(unrealizedPnl) || 0;
+    if (equityUsd > s.peakEquityUsd) s.peakEquityUsd = equityUsd;
+    this._evaluate();
+    this._save();
+  }
+
+  isHalted() {
+    this._roll();
+    return Boolean(this.state.halted);
+  }
+
+  // Clears a latched halt for the rest of the session. Losses are counted afresh from here,
+  // so the full daily limit has to be lost again before the switch trips a second time.
+  override({ by = 'manual', note = '' } = {}) {
+    this._roll();
+    const s = this.state;
+    if (!s.halted) return null;
+    const entry = { at: Date.now(), by, note, reasons: s.halted.reasons };
+    s.overrides = [...s.overrides, entry].slice(-MAX_OVERRIDES);
+    s.halted = null;
+    s.realizedPnlUsd = 0;
+    s.startUnrealizedPnlUsd = s.unrealizedPnlUsd;
+    s.peakEquityUsd = s.equityUsd;
+    this._save(true);
+    this.emit('override', entry);
+    return entry;
+  }
+
+  snapshot() {
+    this._roll();
+    const s = this.state;
+    const unrealizedPnlTodayUsd = s.unrealizedPnlUsd - s.startUnrealizedPnlUsd;
+    return {
+      day: s.day,
+      realizedPnlTodayUsd: s.realizedPnlUsd,
+      unrealizedPnlTodayUsd,
+      dailyPnlUsd: s.realizedPnlUsd + unrealizedPnlTodayUsd,
+      equityUsd: s.equityUsd,
+      peakEquityUsd: s.peakEquityUsd,
+      drawdownFromPeakPct: s.peakEquityUsd > 0 ? ((s.peakEquityUsd - s.equityUsd) / s.peakEquityUsd) * 100 : 0,
+      halted: s.halted,
+      overrides: s.overrides,
+      limits: this.limits
+    };
+  }
+
+  _evaluate() {
+    if (this.state.halted) return;
+    const { dailyPnlUsd, drawdownFromPeakPct } = this.snapshot();
+    const reasons = accountHaltReasons({ dailyPnlUsd, drawdownFromPeakPct, ...this.limits });
+    if (reasons.length) this._latch(reasons);
+  }
+
+  _latch(reasons) {
+    this.state.halted = {
+      at: Date.now(),
+      day: this.state.day,
+      reasons: reasons.map((r) => ({ ...r, check: 'kill_switch' }))
+    };
+    this._save(true);
+    this.emit('halt', this.snapshot());
+  }
+
+  // Session boundary: a new UTC day starts from the current equity with no halt
+  _roll(now = Date.now()) {
+    const day = utcDay(now);
+    if (day === this.state.day) return;
+    const previous = this.state;
+    this.state = freshSession(day, previous.equityUsd, previous.unrealizedPnlUsd);
+    this._save(true);
+    this.emit('session', { day, previousDay: previous.day, wasHalted: Boolean(previous.halted) });
+  }
+
+  _load() {
+    const fresh = freshSession(utcDay());
+    if (!this.stateFile || !fs.existsSync(this.stateFile)) return fresh;
+    try {
+      return { ...fresh, ...JSON.parse(fs.readFileSync(this.stateFile, 'utf8')) };
+    } catch (e) {
+      // Fail closed: an unreadable file might have held a halt, so keep trading stopped until overridden
+      this.loadError = e.message;
+      try {
+        fs.renameSync(this.stateFile, `${this.stateFile}.corrupt-${Date.now()}`);
+      } catch (err) {
+        // A read-only data directory must not stop the runner from booting; the halt below still applies
+        this.loadError += ` (could not set the file aside: ${err.message})`;
+      }
+      fresh.halted = {
+        at: Date.now(),
+        day: fresh.day,
+        reasons: [{ check: 'kill_switch', reason: 'state_unreadable', value: null, limit: null, message: `risk state file unreadable: ${e.message}` }]
+      };
+      return fresh;
+    }
+  }
+
+  _save(force = false) {
+    if (!this.stateFile) return;
+    const now = Date.now();
+    if (!force && now - this._lastSave < SAVE_INTERVAL_MS) return;
+    this._lastSave = now;
+    this.state.updatedAt = now;
+    try {
+      fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+      const tmp = `${this.stateFile}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(this.state));
+      fs.renameSync(tmp, this.stateFile); // atomic: a crash never leaves half a file
+    } catch (e) {
+      this.emit('governor-error', e);
+    }
+  }
+}
+
+module.exports = { RiskGovernor, utcDay };
@@ -7,11 +7,31 @@ function capOrderSizeUsd(desiredUsd) {
   return Math.max(0, Math.min(desiredUsd, max));
 }
 
-function shouldHaltTrading({ realizedPnlTodayUsd, drawdownFromPeakPct = 0, circuitBreaker = false }) {
-  if (circuitBreaker) return true;
-  if (realizedPnlTodayUsd <= -Math.abs(trading.risk.maxDailyLossUsd)) return true;
-  if (drawdownFromPeakPct >= 10) return true; // 10% from peak
-  return false;
+// Tripped limits are reported as { check, reason, value, limit, message } so a halted
+// decision can say exactly why trading stopped
+function haltReason(check, reason, value, limit, message) {
+  return { check, reason, value, limit, message };
+}
+
+// dailyPnlUsd (realized + unrealized) takes precedence over realized-only PnL when known
+function accountHaltReasons({
+  realizedPnlTodayUsd = 0,
+  dailyPnlUsd = null,
+  drawdownFromPeakPct = 0,
+  maxDailyLossUsd = trading.risk.maxDailyLossUsd,
+  maxDrawdownPct = trading.risk.killSwitch.maxDrawdownPct
+}) {
+  const reasons = [];
+  const maxLoss = Math.abs(maxDailyLossUsd);
+  const pnl = dailyPnlUsd ?? realizedPnlTodayUsd;
+  if (pnl <= -maxLoss) {
+    const label = dailyPnlUsd != null ? 'PnL today' : 'realized PnL today';
+    reasons.push(haltReason('account', 'daily_loss', pnl, -maxLoss, `${label} $${pnl.toFixed(2)} hit the -$${maxLoss} daily loss limit`));
+  }
+  if (drawdownFromPeakPct >= maxDrawdownPct) {
+    reasons.push(haltReason('account', 'drawdown', drawdownFromPeakPct, maxDrawdownPct, `equity ${drawdownFromPeakPct.toFixed(2)}% below its peak`));
+  }
+  return reasons;
 }
 
 function computeStops(entryPrice, side, atrValue) {
@@ -57,20 +77,40 @@ function kellyFraction(winProb, winLossRatio) {
   return Math.max(0, Math.min(0.25, f)); // cap at 25%
 }
 
-function positionSizeUsd({ accountEquityUsd, confidence, atrPct, maxRiskPctPerTrade = 0.02 }) {
-  const volAdj = Math.max(0.25, 1 - (atrPct / 0.04)); // reduce size when vol high
-  const kelly = kellyFraction(confidence, 1.5);
-  const raw = accountEquityUsd * Math.min(maxRiskPctPerTrade, kelly) * 5; // notional multiplier
-  return raw * volAdj;
+function circuitBreakerReasons({ change1hPct = 0, change5mPct = 0, orderbookImbalance = 0, volatilitySpike = false, correlationBreakdown = false }) {
+  const reasons = [];
+  if (Math.abs(change1hPct) > 8) reasons.push(haltReason('circuit_breaker', 'price_move_1h', change1hPct, 8, `price moved ${change1hPct.toFixed(2)}% in 1h`));
+  if (Math.abs(change5mPct) > 3.5) reasons.push(haltReason('circuit_breaker', 'price_move_5m', change5mPct, 3.5, `price moved ${change5mPct.toFixed(2)}% in 5m`));
+  if (Math.abs(orderbookImbalance) > 0.8) reasons.push(haltReason('circuit_breaker', 'orderbook_imbalance', orderbookImbalance, 0.8, `order book imbalance ${orderbookImbalance.toFixed(2)}`));
+  if (volatilitySpike) reasons.push(haltReason('circuit_breaker', 'volatility_spike', true, true, 'short-term volatility spike'));
+  if (correlationBreakdown) reasons.push(haltReason('circuit_breaker', 'correlation_breakdown', true, true, 'correlation breakdown'));
+  return reasons;
+}
+
+// Percent change of the last close against the close `bars` candles earlier
+function priceChangePct(candles = [], bars = 1) {
+  const last = Number(candles[candles.length - 1]?.close);
+  const prev = Number(candles[candles.length - 1 - bars]?.close);
+  return last > 0 && prev > 0 ? ((last - prev) / prev) * 100 : 0;
 }
 
-function marketCircuitBreaker({ change1hPct = 0, change5mPct = 0, orderbookImbalance = 0, volatilitySpike = false, correlationBreakdown = false }) {
-  if (Math.abs(change1hPct) > 8) return true;
-  if (Math.abs(change5mPct) > 3.5) return true;
-  if (Math.abs(orderbookImbalance) > 0.8) return true;
-  if (volatilitySpike) return true;
-  if (correlationBreakdown) return true;
-  return false;
+// Simple close-to-close returns, oldest first
+function returnsFromCandles(candles = [], limit = 50) {
+  const closes = candles.slice(-(limit + 1)).map((c) => Number(c.close)).filter((x) => x > 0);
+  const returns = [];
+  for (let i = 1; i < closes.length; i++) returns.push(closes[i] / closes[i - 1] - 1);
+  return returns;
+}
+
+function stdev(values) {
+  if (values.length < 2) return 0;
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  return Math.sqrt(values.reduce((a, b) => a + (b - mean) ** 2, 0) / (values.length - 1));
+}
+
+// Recent vs baseline volatility of a return series, the shape advancedRiskCheck expects
+function measureVolatility(returns = [], recent = 12) {
+  return { currentVol: stdev(returns.slice(-recent)), avgVol: stdev(returns) };
 }
 
 function calculateCorrelation(returns1, returns2) {
@@ -115,41 +155,34 @@ function analyzePortfolioCorrelation(positions, priceHistory) {
   
   // Risk concentration: sum of squared position weights
   const totalValue = Object.values(positions).reduce((sum, pos) => sum + Math.abs(pos.notionalValue || 0), 0);
-  const weights = Object.values(positions).map(pos => Math.abs(pos.notionalValue || 0) / totalValue);
+  const weights = Object.values(positions).map(pos => (totalValue ? Math.abs(pos.notionalValue || 0) / totalValue : 0));
   const riskConcentration = weights.reduce((sum, w) => sum + w * w, 0);
   
   return { avgCorrelation, maxCorrelation, riskConcentration };
 }
 
-function advancedRiskCheck({ positions, priceHistory, currentDrawdown, volatilityMetrics }) {
+// Correlation and concentration do not halt here: they scale or block new entries (correlation.js)
+// so positions in a crowded book can still be reduced, and drawdown halts come from the kill switch
+// (accountHaltReasons / RiskGovernor). What halts is a volatility spike.
+function advancedRiskCheck({ positions, priceHistory, volatilityMetrics }) {
   const correlation = analyzePortfolioCorrelation(positions, priceHistory);
-  
-  // Circuit breaker conditions
-  const correlationBreakdown = correlation.maxCorrelation > 0.8; // High correlation risk
-  const concentrationRisk = correlation.riskConcentration > 0.6; // Too concentrated
   const volatilitySpike = (volatilityMetrics?.currentVol || 0) > (volatilityMetrics?.avgVol || 0) * 2;
-  const drawdownLimit = currentDrawdown > 0.08; // 8% drawdown limit
-  
-  return {
-    correlation,
-    riskFlags: {
-      correlationBreakdown,
-      concentrationRisk,
-      volatilitySpike,
-      drawdownLimit
-    },
-    shouldHalt: correlationBreakdown || concentrationRisk || volatilitySpike || drawdownLimit
-  };
+  const reasons = [];
+  if (volatilitySpike) reasons.push(haltReason('portfolio', 'volatility_spike', volatilityMetrics.currentVol, volatilityMetrics.avgVol * 2, 'recent volatility above twice its average'));
+  return { correlation, reasons };
 }
 
 module.exports = {
   capOrderSizeUsd,
-  shouldHaltTrading,
   computeStops,
   detectRegime,
   kellyFraction,
-  positionSizeUsd,
-  marketCircuitBreaker,
+  circuitBreakerReasons,
+  accountHaltReasons,
+  priceChangePct,
+  returnsFromCandles,
+  measureVolatility,
   advancedRiskCheck,
-  analyzePortfolioCorrelation
+  analyzePortfolioCorrelation,
+  calculateCorrelation
 };
@@ -72,8 +72,18 @@ async function collectOnChain() {
   return { whaleInflowUsd: 0, whaleOutflowUsd: 0, exchangeNetflow: 0, gasPriceGwei: 0, activeAddrsDelta: 0 };
 }
 
-async function collectMarketStructure() {
-  return { supports: [], resistances: [], liquidationClusters: [], orderbook: { bidDepth: 0, askDepth: 0, imbalance: 0 } };
+// book: optional live OrderBook (src/aster/order_book.js); depth/imbalance measured within depthBps of mid
+async function collectMarketStructure({ book, depthBps = 50 } = {}) {
+  const orderbook = { bidDepth: 0, askDepth: 0, imbalance: 0 };
+  if (book?.isReady()) {
+    const summary = book.summary(depthBps);
+    orderbook.bidDepth = summary.bidDepth;
+    orderbook.askDepth = summary.askDepth;
+    orderbook.imbalance = summary.imbalance;
+    orderbook.spreadBps = summary.spreadBps;
+    orderbook.microprice = summary.microprice;
+  }
+  return { supports: [], resistances: [], liquidationClusters: [], orderbook };
 }
 
 module.exports = { fuseSentiment, collectSocial, collectOnChain, collectMarketStructure };
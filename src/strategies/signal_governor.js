@@ -0,0 +1,119 @@
+'use strict';
+
+const { trading } = require('../../config/trading_config');
+
+// Signed strength of a decision: +confidence for buy, -confidence for sell, 0 otherwise
+function signalOf({ action, confidence }) {
+  const dir = action === 'buy' ? 1 : action === 'sell' ? -1 : 0;
+  return dir * (Number(confidence) || 0);
+}
+
+// Debounces decisions per symbol before they reach the order path:
+// - persistence: the signal has to hold for `confirmations` evaluations (or distinct bars) in a row
+// - hysteresis: adding exposure needs |signal| >= entryThreshold, trading against a position only exitThreshold
+// - cooldown: no signal-driven trade within cooldownMs of the last one
+// - minimum hold: a position is not closed or flipped by a signal before minHoldMs
+// begin/end keep evaluations of the same symbol from overlapping.
+class SignalGovernor {
+  constructor(settings = trading.signals) {
+    this.settings = settings;
+    this.symbols = new Map(); // symbol -> { dir, streak, lastBar, lastTradeAt, openedAt, last }
+    this.running = new Set();
+  }
+
+  begin(symbol) {
+    if (this.running.has(symbol)) return false;
+    this.running.add(symbol);
+    return true;
+  }
+
+  end(symbol) {
+    this.running.delete(symbol);
+  }
+
+  _state(symbol) {
+    if (!this.symbols.has(symbol)) {
+      this.symbols.set(symbol, { dir: 0, streak: 0, lastBar: null, lastTradeAt: 0, openedAt: 0, last: null });
+    }
+    return this.symbols.get(symbol);
+  }
+
+  // Positions this process did not open (e.g. held across a restart) start their minimum hold at the
+  // venue's last update time for them, or at first sight when the venue reports none
+  syncPositions(positions = [], now = Date.now()) {
+    for (const p of positions) {
+      if (!p.quantity) continue;
+      const st = this._state(p.symbol);
+      if (!st.openedAt) st.openedAt = Math.min(now, p.updateTime || now);
+    }
+  }
+
+  // position: signed quantity held in symbol; barTime: open time of the current bar (confirmBy 'bars')
+  // -> { allowed, rule?, reason?, kind, signal, streak, required, threshold }
+  evaluate({ symbol, action, confidence, position = 0, barTime = null, now = Date.now() }) {
+    const s = this.settings;
+    const st = this._state(symbol);
+    if (!position) st.openedAt = 0; // flat again, whatever closed it
+
+    const signal = signalOf({ action, confidence });
+    const dir = Math.sign(signal);
+    const kind = position && dir && Math.sign(position) !== dir ? 'exit' : 'entry';
+    const threshold = kind === 'exit' ? s.exitThreshold : s.entryThreshold;
+
+    if (!dir || Math.abs(signal) < threshold) {
+      st.dir = 0;
+      st.streak = 0;
+      st.lastBar = null;
+    } else if (dir !== st.dir) {
+      st.dir = dir;
+      st.streak = 1;
+      st.lastBar = barTime;
+    } else if (s.confirmBy !== 'bars' || barTime == null || barTime !== st.lastBar) {
+      st.streak += 1;
+      st.lastBar = barTime;
+    }
+
+    const result = { allowed: true, kind: dir ? kind : null, signal, streak: st.streak, required: s.confirmations, threshold };
+    const block = (rule, reason) => Object.assign(result, { allowed: false, rule, reason });
+    if (!dir) {
+      // nothing to trade
+    } else if (Math.abs(signal) < threshold) {
+      block('hysteresis', `|signal| ${Math.abs(signal).toFixed(2)} below the ${kind} threshold ${threshold}`);
+    } else if (st.streak < s.confirmations) {
+      block('persistence', `signal held for ${st.streak}/${s.confirmations} ${s.confirmBy === 'bars' ? 'bars' : 'evaluations'}`);
+    } else if (s.cooldownMs > 0 && st.lastTradeAt && now - st.lastTradeAt < s.cooldownMs) {
+      block('cooldown', `last trade ${((now - st.lastTradeAt) / 1000).toFixed(0)}s ago, cooldown ${(s.cooldownMs / 1000).toFixed(0)}s`);
+    } else if (kind === 'exit' && s.minHoldMs > 0 && st.openedAt && now - st.openedAt < s.minHoldMs) {
+      block('min_hold', `position held ${((now - st.openedAt) / 1000).toFixed(0)}s of the minimum ${(s.minHoldMs / 1000).toFixed(0)}s`);
+    }
+    st.last = { ...result, action, at: now };
+    return result;
+  }
+
+  // A signal-driven order filled; intent is planOrders' 'open' | 'scale_in' | 'close' | 'flip'
+  recordTrade(symbol, { intent, at = Date.now() } = {}) {
+    const st = this._state(symbol);
+    st.lastTradeAt = at;
+    st.streak = 0; // the next trade needs a fresh confirmation
+    st.dir = 0;
+    if (intent === 'close') st.openedAt = 0;
+    else if (!st.openedAt || intent === 'flip') st.openedAt = at;
+  }
+
+  snapshot() {
+    const symbols = {};
+    for (const [symbol, st] of this.symbols) {
+      symbols[symbol] = {
+        streak: st.streak,
+        direction: st.dir,
+        lastTradeAt: st.lastTradeAt || null,
+        openedAt: st.openedAt || null,
+        evaluating: this.running.has(symbol),
+        last: st.last
+      };
+    }
+    return { symbols, limits: this.settings };
+  }
+}
+
+module.exports = { SignalGovernor, signalOf };
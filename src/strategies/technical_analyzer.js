@@ -184,4 +184,4 @@ function analyzeMultiTimeframe({ candles5m, candles1h, candles4h }) {
   return signals;
 }
 
-module.exports = { analyzeMultiTimeframe };
+module.exports = { analyzeMultiTimeframe, atr };
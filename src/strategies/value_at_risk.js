@@ -0,0 +1,116 @@
+'use strict';
+
+const { trading } = require('../../config/trading_config');
+
+const MIN_SAMPLES = 20;
+
+// Inverse standard normal CDF (Acklam's rational approximation, |error| < 1.2e-9)
+function normalQuantile(p) {
+  const a = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2, 1.38357751867269e2, -3.066479806614716e1, 2.506628277459239];
+  const b = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2, 6.680131188771972e1, -1.328068155288572e1];
+  const c = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) return -normalQuantile(1 - p);
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+function normalDensity(z) {
+  return Math.exp(-0.5 * z * z) / Math.sqrt(2 * Math.PI);
+}
+
+// Hourly PnL the current book would have made over each of the last hours, replaying every
+// held symbol's return for the same hour (series aligned on their common tail).
+// -> { pnl: number[], unmeasured: symbols with too little history }
+function pnlScenarios(netUsd, priceHistory = {}, lookback = trading.risk.var.lookback) {
+  const held = Object.keys(netUsd).filter((s) => netUsd[s]);
+  const unmeasured = held.filter((s) => (priceHistory[s] || []).length < MIN_SAMPLES);
+  const measured = held.filter((s) => !unmeasured.includes(s));
+  if (!measured.length) return { pnl: [], unmeasured };
+  const n = Math.min(lookback, ...measured.map((s) => priceHistory[s].length));
+  const pnl = [];
+  for (let t = 0; t < n; t++) {
+    pnl.push(measured.reduce((sum, s) => sum + netUsd[s] * priceHistory[s][priceHistory[s].length - n + t], 0));
+  }
+  return { pnl, unmeasured };
+}
+
+// Worst (1 - confidence) share of scenarios: VaR is the best of them, CVaR their average loss.
+// Scaled to longer horizons by sqrt(hours).
+function historical(pnl, confidence, horizonHours) {
+  const sorted = [...pnl].sort((a, b) => a - b);
+  const tail = sorted.slice(0, Math.max(1, Math.ceil((1 - confidence) * sorted.length)));
+  const scale = Math.sqrt(horizonHours);
+  return { varUsd: -tail[tail.length - 1] * scale, cvarUsd: (-tail.reduce((a, b) => a + b, 0) / tail.length) * scale };
+}
+
+// Normal PnL with the scenarios' hourly mean and standard deviation, scaled to the horizon
+function parametric(pnl, confidence, horizonHours) {
+  const hourlyMean = pnl.reduce((a, b) => a + b, 0) / pnl.length;
+  const hourlySd = Math.sqrt(pnl.reduce((a, b) => a + (b - hourlyMean) ** 2, 0) / (pnl.length - 1));
+  const mean = hourlyMean * horizonHours;
+  const sd = hourlySd * Math.sqrt(horizonHours);
+  const z = normalQuantile(confidence);
+  return { varUsd: z * sd - mean, cvarUsd: (sd * normalDensity(z)) / (1 - confidence) - mean };
+}
+
+// Losses as positive USD; a book that profits even in the tail reports 0
+function level(pnl, confidence, horizonHours) {
+  const loss = ({ varUsd, cvarUsd }) => ({ varUsd: Math.max(0, varUsd), cvarUsd: Math.max(0, cvarUsd) });
+  return {
+    confidence,
+    horizonHours,
+    historical: loss(historical(pnl, confidence, horizonHours)),
+    parametric: loss(parametric(pnl, confidence, horizonHours))
+  };
+}
+
+// netUsd: { [symbol]: signed notional }, priceHistory: { [symbol]: closed 1h returns }
+// -> { levels: [{ confidence, horizonHours, historical, parametric }], varUsd, samples, unmeasured }
+// varUsd is the larger of historical and parametric VaR at the first confidence and horizon, the figure budgets use.
+function portfolioVaR(netUsd, priceHistory, settings = trading.risk.var) {
+  const { pnl, unmeasured } = pnlScenarios(netUsd, priceHistory, settings.lookback);
+  if (pnl.length < MIN_SAMPLES) return { levels: [], varUsd: 0, samples: pnl.length, unmeasured };
+  const levels = [];
+  for (const confidence of settings.confidences) {
+    for (const horizonHours of settings.horizonsHours) levels.push(level(pnl, confidence, horizonHours));
+  }
+  const primary = levels[0];
+  return { levels, varUsd: Math.max(primary.historical.varUsd, primary.parametric.varUsd), samples: pnl.length, unmeasured };
+}
+
+// Budget in USD, and as a percent of equity; the tighter one applies and 0 disables either
+function varBudgetUsd(equityUsd, settings = trading.risk.var) {
+  const caps = [settings.maxUsd, equityUsd > 0 && settings.maxPctEquity > 0 ? (equityUsd * settings.maxPctEquity) / 100 : 0].filter((x) => x > 0);
+  return caps.length ? Math.min(...caps) : 0;
+}
+
+// Pre-trade check: order { symbol, side, notionalUsd } on top of netUsd. As with the exposure
+// limits, an order is only rejected when it raises VaR that is (or would be) over budget.
+// -> { ok: true, var: { beforeUsd, afterUsd, budgetUsd } } | { ok: false, limit, value, max, reason }
+function checkVarBudget({ order, netUsd, priceHistory, equityUsd = 0, settings = trading.risk.var }) {
+  const budgetUsd = varBudgetUsd(equityUsd, settings);
+  const signed = (String(order.side).toUpperCase() === 'BUY' ? 1 : -1) * Math.abs(order.notionalUsd || 0);
+  const after = { ...netUsd, [order.symbol]: (netUsd[order.symbol] || 0) + signed };
+  const beforeUsd = portfolioVaR(netUsd, priceHistory, settings).varUsd;
+  const afterUsd = portfolioVaR(after, priceHistory, settings).varUsd;
+  if (budgetUsd > 0 && afterUsd > budgetUsd && afterUsd > beforeUsd) {
+    const { confidences: [confidence], horizonsHours: [horizonHours] } = settings;
+    return {
+      ok: false,
+      limit: 'var_budget',
+      value: afterUsd,
+      max: budgetUsd,
+      reason: `${(confidence * 100).toFixed(0)}% ${horizonHours}h VaR would reach $${afterUsd.toFixed(2)} (budget $${budgetUsd.toFixed(2)})`
+    };
+  }
+  return { ok: true, var: { beforeUsd, afterUsd, budgetUsd } };
+}
+
+module.exports = { portfolioVaR, checkVarBudget, varBudgetUsd, pnlScenarios, normalQuantile };
@@ -3,114 +3,533 @@
 require('dotenv').config();
 const { AsterApiClient } = require('./aster/api_client');
 const { AsterWebSocket } = require('./aster/websocket_handler');
+const { attachOrderBooks } = require('./aster/order_book');
+const { attachCandleStore } = require('./aster/candle_store');
+const { OrderManager } = require('./execution/order_manager');
+const { ProtectiveOrders } = require('./execution/protective_orders');
+const { PositionSupervisor } = require('./execution/position_supervisor');
+const { planOrders } = require('./execution/position_manager');
+const { SmartExecutor, topOfBook } = require('./execution/smart_executor');
+const { SymbolFilters } = require('./execution/symbol_filters');
 const { decideTrade } = require('./ai/decision_engine');
+const { RiskGovernor } = require('./strategies/risk_governor');
+const { returnsFromCandles } = require('./strategies/risk_manager');
+const { createPreTradeChain, defaultPreTradeRules } = require('./execution/pre_trade_checks');
+const { MarginMonitor } = require('./strategies/margin_monitor');
+const { SignalGovernor } = require('./strategies/signal_governor');
+const { atr } = require('./strategies/technical_analyzer');
+const { correlationReport } = require('./strategies/correlation');
 const { trading } = require('../config/trading_config');
 const logger = require('./utils/logger');
 
-async function main() {
-  const api = new AsterApiClient();
-  const ws = new AsterWebSocket();
+// options (all optional, for tests and embedding): api and ws to trade through, dryRun, decide
+// (defaults to decideTrade) and dashboard (the dashboard server module, null to run without one).
+// Resolves once the loop is running with its parts and stop(), which ends every timer and stream.
+async function main(options = {}) {
+  const DRY_RUN = options.dryRun ?? String(process.env.DRY_RUN || 'true').toLowerCase() !== 'false';
+  // Dry runs trade against a simulated account fed by live prices unless PAPER_TRADING=false
+  const api = options.api || new AsterApiClient(DRY_RUN && trading.paper.enabled ? { paper: trading.paper } : {});
+  const decide = options.decide || decideTrade;
+  const dashboard = options.dashboard !== undefined ? options.dashboard : loadDashboard();
+  const paper = api.adapter.name === 'paper' ? api.adapter : null;
+  // Kelly sizing learns from our own fills, which the in-memory trade list loses on every restart
+  const restoredTrades = logger.loadTradeHistory({ paper: Boolean(paper) });
+  if (restoredTrades) logger.info('Trade history restored', { trades: restoredTrades });
+  const ws = options.ws || new AsterWebSocket();
+  const orders = new OrderManager(api);
+  const protection = new ProtectiveOrders(api, orders, { workingType: trading.protection.workingType, stopRetries: trading.protection.stopRetries });
+  const books = attachOrderBooks({ api, ws, symbols: trading.symbols });
+  const candles = attachCandleStore({ api, ws });
+  const symbolFilters = new SymbolFilters({ api });
+  const executor = new SmartExecutor({ api, orders, filters: symbolFilters, getTopOfBook: (symbol) => readTopOfBook(api, symbol, books.get(symbol)) });
+  const supervisor = new PositionSupervisor({ protection, orders, executor, filters: symbolFilters });
+  const governor = new RiskGovernor({
+    stateFile: trading.risk.killSwitch.stateFile,
+    maxDailyLossUsd: trading.risk.maxDailyLossUsd,
+    maxDrawdownPct: trading.risk.killSwitch.maxDrawdownPct
+  });
+  const margin = new MarginMonitor();
+  const signalGovernor = new SignalGovernor();
+  const preTrade = createPreTradeChain(defaultPreTradeRules({ leverage: trading.leverage || (paper ? trading.paper.leverage : 0) }));
+  const marks = new Map(); // symbol -> { price, at } from the mark price stream
+  const ticks = new Map(); // symbol -> last ticker at
+
+  for (const book of books.values()) {
+    book.on('resync', ({ symbol, reason }) => logger.info('Order book resync', { symbol, reason }));
+    book.on('sync-error', (err) => logger.warn('Order book snapshot failed', { symbol: err.symbol, error: err.message }));
+  }
 
-  const candles5m = new Map();
-  const candles1h = new Map();
-  const candles4h = new Map();
+  candles.on('gap', ({ symbol, interval, missing }) => logger.info('Candle gap, refetching', { symbol, interval, missing }));
+  candles.on('fetch-error', (err) => logger.warn('Candle refetch failed', { symbol: err.symbol, interval: err.interval, error: err.message }));
 
   let pollingStarted = false;
+  let stopped = false;
+  const pollers = [];
+  let lastEquityUsd = 0;
+  let correlation = null;
+
+  // Only orders that actually executed reach the trade log and the dashboard
+  orders.on('done', (order) => {
+    if (order.status === 'rejected') {
+      // Submission errors are already reported by the caller
+      if (!order.error || order.ambiguous) logger.warn('Order rejected by exchange', { symbol: order.symbol, clientOrderId: order.clientOrderId, error: order.error });
+      return;
+    }
+    if (!(order.executedQty > 0)) {
+      logger.info(`Order ${order.status} without fills`, { symbol: order.symbol, clientOrderId: order.clientOrderId });
+      return;
+    }
+    const trade = {
+      symbol: order.symbol,
+      side: order.side,
+      quantity: order.executedQty,
+      requestedQuantity: order.quantity,
+      price: order.avgPrice,
+      fee: order.fees,
+      feeAsset: order.feeAsset,
+      orderId: order.orderId,
+      clientOrderId: order.clientOrderId,
+      decisionId: order.meta?.decisionId,
+      status: order.executedQty < order.quantity ? 'partially_filled' : 'filled',
+      equity: paper ? paper.status().equityUsd : lastEquityUsd
+    };
+    if (paper) trade.paper = true;
+    if (order.realizedPnl) trade.pnl = order.realizedPnl;
+    governor.recordRealizedPnl((order.realizedPnl || 0) - (order.fees || 0)); // net of fees
+    const loggedTrade = logger.logTrade(trade);
+    emitToDashboard('new-trade', loggedTrade);
+    emitToDashboard('performance-update', logger.getPerformanceMetrics());
+
+    // Time exits ('exit') tear down their own bracket once the whole position is out. A partly filled
+    // close or a margin reduction leaves a position behind that still needs its stop.
+    if (order.meta?.role === 'close' && order.meta.intent !== 'margin_reduce' && order.executedQty >= order.quantity) {
+      // Only tear down protection of the position this order closed, not a freshly flipped one
+      if (supervisor.get(order.symbol)?.side !== order.side) supervisor.untrack(order.symbol);
+      const bracket = protection.describe(order.symbol);
+      if (bracket && bracket.side !== order.side) {
+        protection.cancel(order.symbol).catch((e) => logger.error('Protective order cleanup failed', { symbol: order.symbol, error: e.message }));
+      }
+    }
+  });
+
+  // Ambiguous submissions and failed polls: the order stays tracked until the exchange settles it
+  orders.on('order-error', (err) => {
+    logger.warn(err.message, { symbol: err.order?.symbol, clientOrderId: err.order?.clientOrderId });
+  });
+
+  protection.on('protected', (bracket) => {
+    if (!bracket) return;
+    logger.info('Position protected', bracket);
+    emitToDashboard('protection-update', bracket);
+  });
+
+  protection.on('triggered', ({ symbol, role, order }) => {
+    logger.info(`Protective ${role} executed`, { symbol, clientOrderId: order.clientOrderId, price: order.avgPrice });
+    supervisor.untrack(symbol);
+    emitToDashboard('protection-update', { symbol, triggered: role });
+  });
+
+  // Every stop move is its own decision entry so the dashboard shows why it moved
+  supervisor.on('adjustment', (adj) => {
+    const loggedDecision = logger.logDecision({
+      symbol: adj.symbol,
+      action: 'adjust_stop',
+      confidence: 1,
+      reason: `${adj.reason}: stop ${adj.previousStop.toFixed(4)} -> ${adj.newStop.toFixed(4)} at ${adj.rMultiple.toFixed(2)}R`,
+      stops: { stopLoss: adj.newStop, takeProfit: adj.takeProfit },
+      adjustment: adj
+    });
+    emitToDashboard('new-decision', loggedDecision);
+  });
+
+  supervisor.on('time-exit', (exit) => {
+    const loggedDecision = logger.logDecision({
+      symbol: exit.symbol,
+      action: 'time_exit',
+      confidence: 1,
+      reason: `max hold time reached after ${Math.round(exit.heldMs / 60000)} min`,
+      exit
+    });
+    emitToDashboard('new-decision', loggedDecision);
+  });
+
+  supervisor.on('supervisor-error', (err) => {
+    logger.error('Position supervisor error', { symbol: err.symbol, error: err.message });
+  });
+
+  protection.on('protection-error', ({ symbol, errors }) => {
+    logger.error('Protective order error', { symbol, errors });
+  });
+
+  // No stop could be placed even after retries: close rather than hold the position naked
+  protection.on('unprotected', async ({ symbol, side, quantity, positionSide }) => {
+    logger.error('Stop loss could not be placed, closing position', { symbol, side, quantity });
+    const { stepSize } = (await symbolFilters.get(symbol).catch(() => null)) || {};
+    const top = await readTopOfBook(api, symbol, books.get(symbol)).catch(() => null);
+    const close = { symbol, side: side === 'BUY' ? 'SELL' : 'BUY', quantity, algo: 'market', stepSize };
+    if (positionSide) close.positionSide = positionSide;
+    else close.reduceOnly = true;
+    await executor.execute({ ...close, decisionPrice: top?.mid || 0, meta: { role: 'close', intent: 'unprotected' } })
+      .catch((e) => logger.error('Closing unprotected position failed', { symbol, error: e?.response?.data || e.message }));
+  });
+
+  executor.on('report', (report) => {
+    logger.info('Execution report', {
+      symbol: report.symbol,
+      algo: report.algo,
+      executedQty: report.executedQty,
+      avgPrice: report.avgPrice,
+      slippageBps: Number(report.slippageBps.toFixed(2)),
+      childOrders: report.childOrders
+    });
+    emitToDashboard('execution-report', report);
+  });
+
+  executor.on('child-error', ({ symbol, error }) => {
+    logger.warn('Execution child order failed', { symbol, error });
+  });
+
+  governor.on('halt', (snapshot) => {
+    logger.error('Kill switch tripped, trading halted', { reasons: snapshot.halted.reasons.map((r) => r.message) });
+    emitToDashboard('risk-update', snapshot);
+    if (trading.risk.killSwitch.flatten) flattenAll('kill_switch');
+  });
+
+  governor.on('override', (entry) => {
+    logger.warn('Kill switch overridden, trading resumed', entry);
+    emitToDashboard('risk-update', governor.snapshot());
+  });
+
+  governor.on('session', ({ day, previousDay, wasHalted }) => {
+    logger.info('New risk session', { day, previousDay, haltCleared: wasHalted });
+    emitToDashboard('risk-update', governor.snapshot());
+  });
+
+  margin.on('alert', (alert) => {
+    logger.warn('Margin alert', alert);
+    emitToDashboard('margin-alert', alert);
+  });
+
+  margin.on('reduce', (event) => reduceForMargin(event));
+
+  governor.on('governor-error', (err) => logger.error('Could not persist risk state', { error: err.message }));
+
+  // Pre-trade checks take turns, and an approved order registers with the executor before the next
+  // check runs, so concurrent decisions cannot claim the same headroom. Positions are fetched per
+  // check because an earlier leg of the same plan (e.g. a flip's close) may have just filled.
+  let preTradeTurn = Promise.resolve();
+  async function executeWithinLimits(params) {
+    const turn = preTradeTurn.then(async () => {
+      const account = await getAccountPositions(api);
+      if (!account.positions) return { rejected: { ok: false, rule: 'positions_unknown', reason: 'current positions unknown' } };
+      const check = await preTrade.check({
+        symbol: params.symbol,
+        side: params.side,
+        quantity: params.quantity,
+        price: params.decisionPrice,
+        positionSide: params.positionSide,
+        reduceOnly: params.reduceOnly,
+        stopLoss: params.meta?.stops?.stopLoss,
+        intent: params.meta?.intent
+      }, {
+        account,
+        workingOrders: executor.workingOrders().filter((o) => o.meta?.role === 'entry'),
+        priceHistory: symbolReturns(candles),
+        market: await marketSnapshot(params.symbol)
+      });
+      return check.ok ? { execution: executor.execute(params) } : { rejected: check };
+    });
+    preTradeTurn = turn.catch(() => {});
+    const { execution, rejected } = await turn;
+    return rejected ? { rejected } : { report: await execution };
+  }
+
+  // Book mid and mark price with the time of the freshest market data update. Without streams
+  // (ENABLE_WS=false, REST polling) the book snapshot fetched here is what keeps the data fresh.
+  async function marketSnapshot(symbol) {
+    const top = await readTopOfBook(api, symbol, books.get(symbol)).catch(() => null);
+    const mark = marks.get(symbol);
+    return {
+      mid: top?.mid || 0,
+      mark: mark?.price || 0,
+      updatedAt: Math.max(top?.mid ? top.at || 0 : 0, ticks.get(symbol) || 0, mark?.at || 0) || null
+    };
+  }
+
+  // Kill switch exit: pull working entries, close all positions at market, then cancel what is left.
+  // Stops and targets stay on until a symbol is confirmed flat: being reduce-only they cannot hurt
+  // a flattening position, and they still protect it if a close fails.
+  async function flattenAll(reason) {
+    try {
+      for (const order of orders.getOpenOrders().filter((o) => trading.symbols.includes(o.symbol))) {
+        if (order.meta?.role === 'stop_loss' || order.meta?.role === 'take_profit') continue;
+        await orders.cancel(order.clientOrderId).catch((e) => logger.warn('Could not cancel working order', { symbol: order.symbol, error: e?.response?.data || e.message }));
+      }
+      const positions = await api.getPositions();
+      for (const p of positions.filter((x) => x.quantity && trading.symbols.includes(x.symbol))) {
+        const { stepSize } = (await symbolFilters.get(p.symbol).catch(() => null)) || {};
+        const close = { symbol: p.symbol, side: p.quantity > 0 ? 'SELL' : 'BUY', quantity: Math.abs(p.quantity), algo: 'market', stepSize };
+        if (trading.positionMode === 'hedge') close.positionSide = p.positionSide;
+        else close.reduceOnly = true;
+        await executor.execute({ ...close, decisionPrice: p.markPrice, meta: { role: 'close', intent: reason } })
+          .catch((e) => logger.error('Kill switch close failed', { symbol: p.symbol, error: e?.response?.data || e.message }));
+      }
+      const after = await api.getPositions();
+      const open = new Set(after.filter((x) => x.quantity).map((x) => x.symbol));
+      for (const symbol of trading.symbols) {
+        if (open.has(symbol)) {
+          logger.error('Position still open after flatten, its protective orders stay', { symbol, reason });
+          continue;
+        }
+        supervisor.untrack(symbol);
+        await protection.cancel(symbol);
+        await api.cancelAllOpenOrders(symbol).catch((e) => logger.warn('Could not cancel open orders', { symbol, error: e?.response?.data || e.message }));
+      }
+      if (open.size) logger.error('Flatten incomplete', { reason, open: [...open] });
+      else logger.warn('Positions flattened', { reason });
+    } catch (e) {
+      logger.error('Flatten failed', { reason, error: e?.response?.data || e.message });
+    }
+  }
+
+  // Rejected orders are recorded on their decision so the dashboard shows which rule failed
+  function rejectOrder(decision, rejection) {
+    const updated = logger.logOrderRejection(decision.id, rejection);
+    if (updated) emitToDashboard('decision-update', updated);
+  }
+
+  // Margin ratio over the warning level: close reducePct of every position at market, largest first
+  async function reduceForMargin({ marginRatio, reducePct, positions }) {
+    logger.error('Margin ratio above warning level, reducing positions', { marginRatio, reducePct });
+    const held = positions.filter((p) => trading.symbols.includes(p.symbol))
+      .sort((a, b) => Math.abs(b.quantity * b.markPrice) - Math.abs(a.quantity * a.markPrice));
+    for (const p of held) {
+      const { stepSize } = (await symbolFilters.get(p.symbol).catch(() => null)) || {};
+      const reduce = {
+        symbol: p.symbol,
+        side: p.quantity > 0 ? 'SELL' : 'BUY',
+        quantity: (Math.abs(p.quantity) * reducePct) / 100,
+        algo: 'market',
+        stepSize
+      };
+      if (trading.positionMode === 'hedge') reduce.positionSide = p.positionSide;
+      else reduce.reduceOnly = true;
+      await executor.execute({ ...reduce, decisionPrice: p.markPrice, meta: { role: 'close', intent: 'margin_reduce' } })
+        .catch((e) => logger.error('Margin reduction failed', { symbol: p.symbol, error: e?.response?.data || e.message }));
+    }
+  }
+
+  // Re-anchor the decision's stop/target distances on the actual fill price.
+  // Scale-ins re-protect the whole position around its blended entry.
+  async function protectEntry(fill) {
+    const { stops, decisionPrice, positionSide, existingQuantity = 0, existingEntryPrice = 0 } = fill.meta;
+    if (!stops) return;
+    const ref = Number(decisionPrice) || fill.avgPrice;
+    const shift = fill.avgPrice ? fill.avgPrice - ref : 0;
+    const quantity = existingQuantity + fill.executedQty;
+    const entryPrice = existingQuantity > 0 && existingEntryPrice > 0
+      ? (existingQuantity * existingEntryPrice + fill.executedQty * fill.avgPrice) / quantity
+      : fill.avgPrice;
+    const { tickSize } = (await symbolFilters.get(fill.symbol).catch(() => null)) || {};
+    const stopLoss = stops.stopLoss ? stops.stopLoss + shift : 0;
+    const takeProfit = stops.takeProfit ? stops.takeProfit + shift : 0;
+    await protection.protect({ symbol: fill.symbol, side: fill.side, quantity, stopLoss, takeProfit, tickSize, positionSide });
+    if (stopLoss > 0) {
+      supervisor.track({ symbol: fill.symbol, side: fill.side, entryPrice, quantity, stopLoss, takeProfit, positionSide });
+    }
+  }
 
   async function decideForSymbol(symbol) {
+    if (!signalGovernor.begin(symbol)) return; // tickers and polling both call in; one evaluation per symbol at a time
     try {
+      // Served from the streaming store; REST only on first use or after a gap
       const [c5, c1, c4] = await Promise.all([
-        api.getCandles(symbol, '5m', 120),
-        api.getCandles(symbol, '1h', 240),
-        api.getCandles(symbol, '4h', 240)
+        candles.ensure(symbol, '5m', 120),
+        candles.ensure(symbol, '1h', 240),
+        candles.ensure(symbol, '4h', 240)
       ]);
-      candles5m.set(symbol, c5);
-      candles1h.set(symbol, c1);
-      candles4h.set(symbol, c4);
+      await supervisor.update(symbol, { price: c5[c5.length - 1]?.close || c1[c1.length - 1]?.close, candles: c1 });
       const positions = await getAccountPositions(api);
-      const events = await collectSignals();
-      const decision = await decideTrade({ symbol, candles: c1, positions, events, multiTf: { candles5m: c5, candles1h: c1, candles4h: c4 } });
-      
+      if (positions.positions) {
+        governor.recordAccount(positions);
+        margin.update({ account: positions, positions: positions.positions, atrBySymbol: symbolAtr(candles) });
+        emitToDashboard('margin-update', margin.snapshot());
+      }
+      const events = await collectSignals(books.get(symbol));
+      const priceHistory = symbolReturns(candles);
+      correlation = correlationReport(priceHistory, positions.positions);
+      emitToDashboard('correlation-update', correlation);
+      const risk = { ...governor.snapshot(), priceHistory, correlation };
+      const decision = await decide({ symbol, candles: c1, positions, events, risk, tradeHistory: logger.getRecentTrades(500), multiTf: { candles5m: c5, candles1h: c1, candles4h: c4 } });
+      const held = (positions.positions || []).filter((p) => p.symbol === symbol).reduce((sum, p) => sum + p.quantity, 0);
+      signalGovernor.syncPositions((positions.positions || []).filter((p) => p.symbol === symbol));
+      decision.signalGate = signalGovernor.evaluate({
+        symbol,
+        action: decision.sizeUsd > 0 ? decision.action : 'hold',
+        confidence: decision.confidence,
+        position: held,
+        barTime: c5[c5.length - 1]?.openTime
+      });
+      if (!decision.signalGate.allowed) {
+        decision.requestedAction = decision.action;
+        decision.action = 'hold';
+        decision.reason = `signal_governor: ${decision.signalGate.reason}`;
+      }
+
       // Log decision with full transparency
       const loggedDecision = logger.logDecision(decision);
-      
-      // Emit to dashboard if available
-      try {
-        const { io } = require('./dashboard/server');
-        io.emit('new-decision', loggedDecision);
-      } catch (e) {
-        // Dashboard not running, continue
-      }
+      emitToDashboard('new-decision', loggedDecision);
+      lastEquityUsd = positions.equityUsd || lastEquityUsd;
+      if (paper) emitToDashboard('paper-account', paper.status()); // re-marked to the latest prices
 
-      const DRY_RUN = String(process.env.DRY_RUN || 'true').toLowerCase() !== 'false';
-      if (!DRY_RUN && (decision.action === 'buy' || decision.action === 'sell') && decision.sizeUsd > 0) {
-        const qty = await estimateQuantity(api, symbol, decision.sizeUsd, c1);
-        if (qty > 0) {
-          const side = decision.action.toUpperCase();
-          const order = { symbol, side, type: 'MARKET', quantity: qty };
+      if ((!DRY_RUN || paper) && !governor.isHalted() && (decision.action === 'buy' || decision.action === 'sell') && decision.sizeUsd > 0) {
+        if (!positions.positions) {
+          logger.warn('Skipping order: current position unknown', { symbol });
+          return;
+        }
+        const price = c1[c1.length - 1]?.close;
+        const plan = planOrders({ symbol, action: decision.action, sizeUsd: decision.sizeUsd, price, positions: positions.positions });
+        if (plan.skipped) logger.info('Order skipped', { symbol, action: decision.action, reason: plan.skipped });
+        for (const intent of plan.intents) {
+          let qty = intent.quantity;
+          if (!qty) {
+            const sized = await symbolFilters.quantityFor(symbol, intent.sizeUsd, price, { side: intent.side })
+              .catch((e) => ({ ok: false, filter: 'SYMBOL', reason: e.message }));
+            if (!sized.ok) {
+              rejectOrder(loggedDecision, { symbol, intent: intent.intent, side: intent.side, rule: 'exchange_filter', filter: sized.filter, reason: sized.reason });
+              continue;
+            }
+            qty = sized.order.quantity;
+          }
+          const { stepSize, tickSize } = (await symbolFilters.get(symbol).catch(() => null)) || {};
+          const meta = {
+            role: intent.intent === 'close' ? 'close' : 'entry',
+            intent: intent.intent,
+            decisionId: loggedDecision.id,
+            decisionPrice: price,
+            stops: decision.stops,
+            positionSide: intent.positionSide,
+            existingQuantity: intent.existingQuantity || 0,
+            existingEntryPrice: intent.existingEntryPrice || 0
+          };
+          const params = {
+            symbol,
+            side: intent.side,
+            quantity: qty,
+            decisionPrice: price,
+            algo: intent.intent === 'close' ? 'market' : undefined,
+            stepSize,
+            tickSize,
+            reduceOnly: intent.reduceOnly,
+            positionSide: intent.positionSide,
+            meta
+          };
           try {
-            const res = await api.placeOrder(order);
-            
-            // Log successful trade
-            const trade = {
-              symbol,
-              side: decision.action.toUpperCase(),
-              quantity: qty,
-              price: c1[c1.length - 1]?.close || 0,
-              orderId: res.orderId || res.id,
-              status: 'filled',
-              equity: positions.equityUsd || 0
-            };
-            
-            const loggedTrade = logger.logTrade(trade);
-            
-            // Emit to dashboard
-            try {
-              const { io } = require('./dashboard/server');
-              io.emit('new-trade', loggedTrade);
-              io.emit('performance-update', logger.getPerformanceMetrics());
-            } catch (e) {
-              // Dashboard not running, continue
+            const { report, rejected } = await executeWithinLimits(params);
+            if (rejected) {
+              const { rule, reason, value, max } = rejected;
+              rejectOrder(loggedDecision, { symbol, intent: intent.intent, side: intent.side, quantity: qty, price, rule, reason, value, max });
+              if (intent.intent === 'close') break; // never open the new leg of a flip if the close was rejected
+              continue;
             }
-            
-            logger.info('Order placed successfully', { orderId: res.orderId || res.id, symbol, qty });
+            if (report.executedQty > 0) signalGovernor.recordTrade(symbol, { intent: intent.intent });
+            if (meta.role === 'entry' && report.executedQty > 0 && trading.protection.enabled) {
+              await protectEntry({ symbol, side: intent.side, executedQty: report.executedQty, avgPrice: report.avgPrice, meta })
+                .catch((e) => logger.error('Protective orders failed', { symbol, error: e.message }));
+            }
+            if (intent.intent === 'close' && (!(report.executedQty > 0) || report.error)) break; // a partly closed flip stops there
           } catch (e) {
             logger.error('Order failed', { 
               symbol, 
               error: e?.response?.data || e.message,
-              order 
+              errorType: e.kind,
+              intent
             });
+            break; // never open the new leg of a flip if the close failed
           }
         }
       }
     } catch (e) {
       logger.error('Decision loop error', { symbol, error: e.message, stack: e.stack });
+    } finally {
+      signalGovernor.end(symbol);
     }
   }
 
   function startPolling() {
-    if (pollingStarted) return;
+    if (pollingStarted || stopped) return;
     pollingStarted = true;
     // eslint-disable-next-line no-console
     console.log('Starting REST polling fallback');
     for (const symbol of trading.symbols) {
       decideForSymbol(symbol);
-      setInterval(() => decideForSymbol(symbol), 10000);
+      pollers.push(setInterval(() => decideForSymbol(symbol), 10000));
     }
   }
 
+  function stop() {
+    stopped = true;
+    for (const timer of pollers) clearInterval(timer);
+    orders.stop();
+    api.stopTimeSync();
+    ws.disconnect();
+  }
+
+  function emitToDashboard(event, payload) {
+    try {
+      dashboard?.io.emit(event, payload);
+    } catch (e) {
+      // Dashboard not running, continue
+    }
+  }
+
+  function registerHealthCheck(name, fn) {
+    dashboard?.registerHealthCheck(name, fn);
+  }
+
+  function registerControl(name, fn) {
+    dashboard?.registerControl(name, fn);
+  }
+
   ws.on('open', () => {
     for (const symbol of trading.symbols) {
       ws.subscribe('ticker', { symbol });
-      ws.subscribe('orderbook', { symbol, depth: 10 });
+      ws.subscribe('depth', { symbol });
+      ws.subscribe('markPrice', { symbol });
+      ws.subscribe('kline', { symbol, interval: '1m' });
     }
+    // Events may have been missed while disconnected
+    for (const book of books.values()) book.resync('connect');
   });
 
-  ws.on('message', async (msg) => {
-    if (msg.channel === 'ticker' && msg.data?.symbol) {
-      const { symbol } = msg.data;
-      decideForSymbol(symbol);
-    }
+  // Normalized across vendors: { symbol: 'BTC-USD', last, ... }
+  ws.on('ticker', (ticker) => {
+    if (!trading.symbols.includes(ticker.symbol)) return;
+    ticks.set(ticker.symbol, Date.now());
+    decideForSymbol(ticker.symbol);
+  });
+
+  ws.on('markPrice', (m) => marks.set(m.symbol, { price: m.markPrice, at: Date.now() }));
+
+  // Private stream: fills and account changes in real time, REST polling stays as a safety net
+  ws.on('order-update', (update) => {
+    orders.applyUpdate(update).catch((e) => logger.warn('Order update failed', { error: e.message }));
+  });
+
+  ws.on('account-update', (update) => {
+    emitToDashboard('account-update', update);
+  });
+
+  ws.on('margin-call', (call) => {
+    logger.error('Margin call received', call);
+    emitToDashboard('margin-alert', { type: 'margin_call', message: 'exchange margin call', at: call.eventTime, ...call });
+  });
+
+  ws.on('user-stream-open', () => orders.setUserStream(true));
+  ws.on('user-stream-close', () => orders.setUserStream(false));
+
+  ws.on('user-stream-error', (err) => {
+    logger.warn('User data stream error', { error: err?.message || err });
   });
 
   ws.on('error', (err) => {
@@ -123,31 +542,129 @@ async function main() {
     startPolling();
   });
 
+  if (paper) {
+    // Simulated fills arrive the way a private stream would deliver them
+    paper.attachMarketData({ ws, books });
+    paper.on('order', (update) => {
+      orders.applyUpdate(update).catch((e) => logger.warn('Order update failed', { error: e.message }));
+    });
+    paper.on('account', (account) => emitToDashboard('paper-account', account));
+    paper.on('paper-error', (err) => logger.warn('Paper broker error', { error: err.message }));
+    registerHealthCheck('paper', () => paper.status());
+    const { equityUsd, realizedPnl, feesPaid, openOrders, positions, stateFile, loadError } = paper.status();
+    logger.info('Paper trading enabled', { equityUsd, realizedPnl, feesPaid, openOrders, positions: positions.length, stateFile });
+    if (loadError) logger.warn('Paper state file unreadable, started a fresh account', { error: loadError });
+  }
+
+  registerHealthCheck('timeSync', () => api.getTimeSyncStatus());
+  registerHealthCheck('risk', () => governor.snapshot());
+  registerHealthCheck('correlation', () => correlation);
+  registerHealthCheck('margin', () => margin.snapshot());
+  registerHealthCheck('signals', () => signalGovernor.snapshot());
+  registerControl('riskOverride', (body) => governor.override(body));
+  registerHealthCheck('symbolFilters', () => symbolFilters.status());
+  registerHealthCheck('rateLimit', () => api.getRateLimitStatus());
+  api.rateLimiter.on('backoff', (e) => logger.warn('Exchange rate limit hit, pausing requests', e));
+  api.rateLimiter.on('ban', (e) => {
+    logger.error('Exchange IP ban, all requests paused', e);
+    emitToDashboard('rate-limit-alert', { ...e, status: api.getRateLimitStatus() });
+  });
+  symbolFilters.refresh().catch((e) => logger.warn('Could not load exchange symbol filters', { error: e?.response?.data || e.message }));
+  try {
+    const { offsetMs, rttMs } = await api.startTimeSync();
+    if (Math.abs(offsetMs) > api.recvWindowMs / 2) logger.warn('Local clock drifts from exchange time', { offsetMs, rttMs });
+    else logger.info('Exchange time synced', { offsetMs, rttMs });
+  } catch (e) {
+    logger.warn('Could not sync exchange time, signing with local clock', { error: e?.response?.data || e.message });
+  }
+
+  if (!DRY_RUN) {
+    await configureSymbols(api);
+    ws.startUserDataStream(api).catch((e) => logger.warn('Could not start user data stream', { error: e?.response?.data || e.message }));
+  } else if (paper) {
+    await configureSymbols(api);
+  }
+  if (governor.isHalted()) {
+    // Latched earlier this session (or the state file was unreadable): a restart does not resume trading
+    logger.error('Kill switch latched, trading stays halted', { reasons: governor.snapshot().halted.reasons.map((r) => r.message) });
+    if (governor.loadError) logger.error('Risk state file unreadable, halted until overridden', { error: governor.loadError });
+    if (trading.risk.killSwitch.flatten) await flattenAll('kill_switch'); // finish a flatten cut short by the restart
+  }
+  for (const symbol of trading.symbols) {
+    protection.adopt(symbol).catch((e) => logger.warn('Could not load existing protective orders', { symbol, error: e.message }));
+  }
+
   ws.connect();
+  return { api, ws, orders, protection, supervisor, executor, governor, signalGovernor, decideForSymbol, stop };
+}
+
+// Loading the dashboard server starts it listening
+function loadDashboard() {
+  try {
+    return require('./dashboard/server');
+  } catch (e) {
+    return null; // Dashboard not running, continue
+  }
 }
+
 async function getAccountPositions(api) {
   try {
-    if (process.env.ASTER_VENDOR === 'binance') {
-      // Try futures account balance endpoint
-      const account = await api.requestSigned('GET', '/fapi/v2/balance');
-      // balance returns [{asset, balance, crossWalletBalance, ...}]
-      const usdt = Array.isArray(account) ? account.find((b) => b.asset === 'USDT') : null;
-      const equityUsd = usdt ? Number(usdt.balance || usdt.crossWalletBalance || 0) : 0;
-      return { equityUsd, raw: account };
-    }
-    return await api.getPositions();
+    const [account, positions] = await Promise.all([api.getAccount(), api.getPositions()]);
+    return { ...account, positions };
   } catch (_) {
-    return { equityUsd: 10000 };
+    // Unknown positions: decisions still run, but no orders are sent
+    return { equityUsd: 10000, positions: null };
+  }
+}
+
+// Closed 1h returns per traded symbol, aligned on the same hours for correlation and VaR checks
+function symbolReturns(candles) {
+  const history = {};
+  for (const symbol of trading.symbols) {
+    const lookback = Math.max(trading.risk.correlation.lookback, trading.risk.var.lookback);
+    history[symbol] = returnsFromCandles(candles.getBars(symbol, '1h', { limit: lookback + 1, includePartial: false }), lookback);
+  }
+  return history;
+}
+
+// 1h ATR per traded symbol, to express liquidation distance in ATR multiples
+function symbolAtr(candles) {
+  const atrBySymbol = {};
+  for (const symbol of trading.symbols) {
+    atrBySymbol[symbol] = atr(candles.getBars(symbol, '1h', { limit: 30, includePartial: false }), 14);
   }
+  return atrBySymbol;
 }
 
-async function collectSignals() {
+async function configureSymbols(api) {
+  const { leverage, marginType } = trading;
+  for (const symbol of trading.symbols) {
+    try {
+      if (marginType) await api.setMarginType(symbol, marginType);
+      if (leverage > 0) await api.setLeverage(symbol, leverage);
+    } catch (e) {
+      logger.warn('Could not configure leverage/margin type', { symbol, error: e?.response?.data || e.message });
+    }
+  }
+}
+
+// Local book when it is in sync, REST snapshot otherwise; `at` is when the prices were current
+async function readTopOfBook(api, symbol, book) {
+  if (book?.isReady()) {
+    const bid = book.bestBid()?.price || 0;
+    const ask = book.bestAsk()?.price || 0;
+    if (bid && ask) return { bid, ask, mid: (bid + ask) / 2, at: book.lastEventAt };
+  }
+  return { ...topOfBook(await api.getOrderBook(symbol, 5)), at: Date.now() };
+}
+
+async function collectSignals(book) {
   try {
     const { collectSocial, collectOnChain, collectMarketStructure } = require('./strategies/sentiment_engine');
     const [social, onchain, market] = await Promise.all([
       collectSocial(),
       collectOnChain(),
-      collectMarketStructure()
+      collectMarketStructure({ book })
     ]);
     return { social, onchain, market };
   } catch (_) {
@@ -155,43 +672,14 @@ async function collectSignals() {
   }
 }
 
-async function estimateQuantity(api, symbol, sizeUsd, candles1h) {
-  const last = candles1h?.[candles1h.length - 1]?.close;
-  if (!last || !sizeUsd) return 0;
-  const price = Number(last);
-  let qty = sizeUsd / price;
-  if (process.env.ASTER_VENDOR === 'binance') {
-    try {
-      const filters = await api.getSymbolFilters(symbol);
-      const lot = filters.LOT_SIZE;
-      if (lot) {
-        const step = Number(lot.stepSize || 0.001);
-        const minQty = Number(lot.minQty || 0);
-        const maxQty = Number(lot.maxQty || Number.MAX_VALUE);
-        qty = Math.max(minQty, Math.min(maxQty, Math.floor(qty / step) * step));
-      }
-      const minNotional = filters.MIN_NOTIONAL;
-      if (minNotional) {
-        const minN = Number(minNotional.notional || minNotional.minNotional || 0);
-        if (qty * price < minN) qty = 0;
-      }
-    } catch (_) {
-      // fallback rounding
-      const s = String(symbol).toUpperCase();
-      if (s.startsWith('BTC')) qty = Math.max(0, Number(qty.toFixed(3)));
-      else if (s.startsWith('ETH')) qty = Math.max(0, Number(qty.toFixed(2)));
-      else qty = Math.max(0, Number(qty.toFixed(4)));
-    }
-  } else {
-    qty = Math.max(0, Number(qty.toFixed(6)));
-  }
-  return qty;
+if (require.main === module) {
+  main().catch((e) => {
+    // eslint-disable-next-line no-console
+    console.error(e);
+    process.exit(1);
+  });
 }
 
-main().catch((e) => {
-  // eslint-disable-next-line no-console
-  console.error(e);
-  process.exit(1);
-});
+module.exports = { main };
 
 
@@ -84,6 +84,18 @@ class Logger {
     return entry;
   }
 
+  // Attach an order that never reached the exchange to its decision, so the decision log shows the failing rule
+  logOrderRejection(decisionId, rejection) {
+    const entry = { ...rejection, timestamp: this._timestamp() };
+    const decision = this.decisions.find((d) => d.id === decisionId) || null;
+    if (decision) decision.rejections = [...(decision.rejections || []), entry];
+
+    this._writeToFile('rejections.log', { decisionId, ...entry });
+    this.warn('Order rejected before submission', { symbol: rejection.symbol, rule: rejection.rule, reason: rejection.reason });
+
+    return decision;
+  }
+
   logTrade(trade) {
     const entry = {
       ...trade,
@@ -110,11 +122,47 @@ class Logger {
     }
     
     this._writeToFile('trades.log', entry);
-    this.info('Trade Executed', { symbol: trade.symbol, side: trade.side, quantity: trade.quantity, pnl: trade.pnl });
+    this.info(trade.paper ? 'Paper Trade Executed' : 'Trade Executed', { symbol: trade.symbol, side: trade.side, quantity: trade.quantity, price: trade.price, pnl: trade.pnl });
     
     return entry;
   }
 
+  // Reloads trades.log into the in-memory history after a restart, so models that learn from our
+  // own trades (Kelly sizing) do not start from nothing. Only the log's tail is read.
+  loadTradeHistory({ paper = false, limit = 1000, maxBytes = 4 * 1024 * 1024 } = {}) {
+    const filepath = path.join(this.logDir, 'trades.log');
+    if (this.trades.length || !fs.existsSync(filepath)) return 0;
+    try {
+      const size = fs.statSync(filepath).size;
+      const start = Math.max(0, size - maxBytes);
+      const buffer = Buffer.alloc(size - start);
+      const fd = fs.openSync(filepath, 'r');
+      try {
+        fs.readSync(fd, buffer, 0, buffer.length, start);
+      } finally {
+        fs.closeSync(fd);
+      }
+      const lines = buffer.toString('utf8').split('\n');
+      if (start > 0) lines.shift(); // partial first line
+      const trades = [];
+      for (const line of lines) {
+        const json = line.slice(line.indexOf(' ') + 1);
+        if (!json) continue;
+        try {
+          const trade = JSON.parse(json);
+          if (Boolean(trade.paper) === paper) trades.push(trade);
+        } catch (_) {
+          // torn or foreign line
+        }
+      }
+      this.trades = trades.slice(-limit).reverse();
+      return this.trades.length;
+    } catch (e) {
+      this.warn('Could not load trade history', { error: e.message });
+      return 0;
+    }
+  }
+
   getRecentDecisions(limit = 50) {
     return this.decisions.slice(0, limit);
   }
@@ -0,0 +1,48 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AsterApiClient } = require('../../src/aster/api_client');
+const { RateLimiter } = require('../../src/aster/rate_limiter');
+
+// Axios transport stub: answers with the queued responses in turn and records each request
+function stubHttp(client, responses) {
+  const sent = [];
+  client.http.defaults.adapter = async (config) => {
+    sent.push(config.url);
+    const { status, data = {}, headers = {} } = responses.shift();
+    const response = { status, data, headers, config, statusText: String(status) };
+    if (status >= 400) throw Object.assign(new Error(`Request failed with status code ${status}`), { response, config });
+    return response;
+  };
+  return sent;
+}
+
+test('retries reserve their budget and re-sign with a fresh timestamp', async () => {
+  const rateLimiter = new RateLimiter({ weightPerMinute: 0, ordersPer10s: 0, ordersPerMinute: 0 });
+  const acquired = [];
+  const acquire = rateLimiter.acquire.bind(rateLimiter);
+  rateLimiter.acquire = (budget) => {
+    acquired.push(budget.kind);
+    return acquire(budget);
+  };
+  rateLimiter.recordRejection = () => { rateLimiter.pausedUntil = Date.now() + 50; }; // instead of the rest of the minute
+  const client = new AsterApiClient({ vendor: 'binance', baseUrl: 'https://fapi.example', apiKey: 'k', apiSecret: 's', rateLimiter });
+  client.timeSync.syncedAt = Date.now();
+  let clock = 1000;
+  client.now = () => clock++;
+  const sent = stubHttp(client, [{ status: 429 }, { status: 200, data: [] }]);
+
+  assert.deepEqual(await client.requestSigned('GET', '/fapi/v1/openOrders', { symbol: 'BTCUSDT' }), []);
+  assert.equal(sent.length, 2);
+  assert.deepEqual(acquired, ['account', 'account'], 'the resend went through the RateLimiter again');
+  assert.notEqual(new URL(sent[0], 'https://x').searchParams.get('timestamp'), new URL(sent[1], 'https://x').searchParams.get('timestamp'));
+});
+
+test('order placement is never resent after an ambiguous server error', async () => {
+  const client = new AsterApiClient({ vendor: 'binance', baseUrl: 'https://fapi.example', apiKey: 'k', apiSecret: 's', rateLimiter: new RateLimiter({ weightPerMinute: 0 }) });
+  client.timeSync.syncedAt = Date.now();
+  const sent = stubHttp(client, [{ status: 503 }, { status: 200 }]);
+  await assert.rejects(client.request({ method: 'POST', url: '/fapi/v1/order?symbol=BTCUSDT' }), { name: 'UnknownOrderStateError' });
+  assert.equal(sent.length, 1);
+});
@@ -0,0 +1,31 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CandleStore } = require('../../src/aster/candle_store');
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+test('a REST refetch does not roll back the live bar the stream has moved past', async () => {
+  const hourOpen = Math.floor(Date.now() / HOUR) * HOUR;
+  const minuteOpen = Math.floor(Date.now() / MINUTE) * MINUTE;
+  const bar = (fields) => [{ openTime: hourOpen, open: 100, high: 101, low: 99, close: 100, volume: 10, ...fields }];
+  const snapshots = [bar(), bar(), bar({ high: 104, close: 103.5, volume: 15 })];
+  const store = new CandleStore({ api: { getCandles: async () => snapshots.shift() }, staleMs: -1 }); // refetch on every ensure
+  const kline = (fields) => store.onKline({ symbol: 'BTC-USD', interval: '1m', t: minuteOpen, o: 100, h: 103, l: 100, closed: false, ...fields });
+  const live = () => store.getBars('BTC-USD', '1h').pop();
+
+  await store.ensure('BTC-USD', '1h', 1);
+  kline({ c: 102.5, v: 4 });
+  kline({ c: 102.8, v: 6 });
+  assert.equal(live().volume, 12);
+
+  await store.ensure('BTC-USD', '1h', 1); // older than the stream: ignored apart from the range
+  assert.deepEqual([live().high, live().low, live().close, live().volume], [103, 99, 102.8, 12]);
+
+  await store.ensure('BTC-USD', '1h', 1); // saw more of the bar: taken
+  assert.deepEqual([live().high, live().close, live().volume], [104, 103.5, 15]);
+  kline({ c: 103.6, v: 7 });
+  assert.equal(live().volume, 16, 'the next stream update builds on the REST volume');
+});
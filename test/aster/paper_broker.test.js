@@ -0,0 +1,31 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PaperBroker } = require('../../src/aster/adapters/paper_broker');
+
+// Live venue stub: a fixed book around 100
+const live = {
+  getOrderBook: async () => ({ bids: [[99.9, 100]], asks: [[100.1, 100]] }),
+  getTicker: async () => ({ price: 100 })
+};
+
+const settle = () => new Promise((r) => setImmediate(r));
+
+test('resting reduce-only limits never fill past the position they reduce', async () => {
+  const broker = new PaperBroker(null, { live, slippageModel: 'fixed', slippageBps: 0 });
+  await broker.placeOrder({ symbol: 'BTC-USD', side: 'BUY', type: 'MARKET', quantity: 1 });
+  const first = await broker.placeOrder({ symbol: 'BTC-USD', side: 'SELL', type: 'LIMIT', price: 105, quantity: 1, reduceOnly: true });
+  const second = await broker.placeOrder({ symbol: 'BTC-USD', side: 'SELL', type: 'LIMIT', price: 110, quantity: 1, reduceOnly: true });
+
+  broker.onPrice('BTC-USD', 106);
+  await settle();
+  assert.equal((await broker.getOrder(first.orderId)).status, 'FILLED');
+
+  broker.onPrice('BTC-USD', 111);
+  await settle();
+  const expired = await broker.getOrder(second.orderId);
+  assert.equal(expired.status, 'EXPIRED');
+  assert.equal(expired.executedQty, 0);
+  assert.deepEqual((await broker.getPositions()).filter((p) => p.quantity), [], 'flat, not flipped short');
+});
@@ -0,0 +1,29 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimiter } = require('../../src/aster/rate_limiter');
+
+test('order placement goes before market data when a pause lifts, whoever waited first', async () => {
+  const limiter = new RateLimiter({ weightPerMinute: 0, ordersPer10s: 0, ordersPerMinute: 0 });
+  limiter.pausedUntil = Date.now() + 100;
+  const released = [];
+  const market = limiter.acquire({ kind: 'market', weight: 2 }).then(() => released.push('market'));
+  const account = limiter.acquire({ kind: 'account', weight: 5 }).then(() => released.push('account'));
+  const order = limiter.acquire({ kind: 'order' }).then(() => released.push('order'));
+  await Promise.all([market, account, order]);
+  assert.deepEqual(released, ['order', 'account', 'market']);
+  assert.equal(limiter.status().waiting, 0);
+});
+
+test('a waiter held by its own limit does not hold back other kinds', async () => {
+  const limiter = new RateLimiter({ weightPerMinute: 0, ordersPer10s: 1, ordersPerMinute: 0, headroom: 1 });
+  await limiter.acquire({ kind: 'order' });
+  let orderReleased = false;
+  const order = limiter.acquire({ kind: 'order' }).then(() => { orderReleased = true; });
+  await new Promise((r) => setTimeout(r, 30));
+  await limiter.acquire({ kind: 'market' });
+  assert.equal(orderReleased, false, 'the second order still waits for the next 10s window');
+  limiter.ordersPer10s = 0;
+  await order;
+});
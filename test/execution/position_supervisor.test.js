@@ -0,0 +1,47 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PositionSupervisor } = require('../../src/execution/position_supervisor');
+
+function setup(execute) {
+  const calls = [];
+  const protection = { cancel: async (symbol) => calls.push(['cancel', symbol]), replaceStop: async () => null };
+  const executor = { execute: async (params) => { calls.push(['execute', params]); return execute(params); } };
+  const filters = { get: async () => ({ stepSize: 0.001, tickSize: 0.1 }) };
+  const supervisor = new PositionSupervisor({ protection, executor, filters, options: { maxHoldMinutes: 1 } });
+  supervisor.track({ symbol: 'BTC-USD', side: 'BUY', entryPrice: 50000, quantity: 0.01, stopLoss: 49000, openedAt: Date.now() - 120000 });
+  return { supervisor, calls };
+}
+
+test('time exit sends a reduce-only market exit and drops the bracket once it filled', async () => {
+  const { supervisor, calls } = setup((p) => ({ executedQty: p.quantity }));
+  const exits = [];
+  supervisor.on('time-exit', (e) => exits.push(e));
+  await supervisor.update('BTC-USD', { price: 50500 });
+  const [, params] = calls[0];
+  assert.equal(params.side, 'SELL');
+  assert.equal(params.reduceOnly, true);
+  assert.equal(params.algo, 'market');
+  assert.equal(params.stepSize, 0.001);
+  assert.deepEqual(calls[1], ['cancel', 'BTC-USD']);
+  assert.equal(supervisor.get('BTC-USD'), null);
+  assert.equal(exits.length, 1);
+});
+
+test('a failed or partial time exit keeps the bracket and the supervision', async () => {
+  const failed = setup(() => { throw new Error('rate limited'); });
+  const errors = [];
+  failed.supervisor.on('supervisor-error', (e) => errors.push(e));
+  await failed.supervisor.update('BTC-USD', { price: 50500 });
+  assert.equal(errors[0].message, 'rate limited');
+  assert.ok(failed.supervisor.get('BTC-USD'));
+  assert.equal(failed.calls.some(([c]) => c === 'cancel'), false);
+
+  const partial = setup(() => ({ executedQty: 0.004 }));
+  partial.supervisor.on('supervisor-error', (e) => errors.push(e));
+  await partial.supervisor.update('BTC-USD', { price: 50500 });
+  assert.equal(partial.supervisor.get('BTC-USD').quantity, 0.006);
+  assert.equal(partial.calls.some(([c]) => c === 'cancel'), false);
+  assert.match(errors[1].message, /still open/);
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPreTradeChain, rules } = require('../../src/execution/pre_trade_checks');
+
+const order = (overrides = {}) => ({ symbol: 'BTC-USD', side: 'BUY', quantity: 0.1, price: 50000, ...overrides });
+
+test('symbol_list rejects denied symbols and, with an allow list, everything not on it', () => {
+  const deny = rules.symbolList({ deny: ['ETH-USD'] });
+  assert.equal(deny.check(order()), null);
+  assert.match(deny.check(order({ symbol: 'ETH-USD' })).reason, /deny list/);
+  const allow = rules.symbolList({ allow: ['BTC-USD'], deny: ['BTC-USD'] });
+  assert.match(allow.check(order()).reason, /deny list/, 'deny wins over allow');
+  assert.match(rules.symbolList({ allow: ['BTC-USD'] }).check(order({ symbol: 'SOL-USD' })).reason, /not on the allow list/);
+  assert.equal(rules.symbolList().check(order({ symbol: 'SOL-USD' })), null, 'empty lists allow all');
+});
+
+test('max_order_notional rejects orders above the USD cap', () => {
+  const rule = rules.maxOrderNotional({ maxUsd: 5000 });
+  assert.equal(rule.check(order({ quantity: 0.1 })), null);
+  const failed = rule.check(order({ quantity: 0.2 }));
+  assert.equal(failed.value, 10000);
+  assert.equal(failed.max, 5000);
+  assert.equal(rules.maxOrderNotional({ maxUsd: 0 }).check(order({ quantity: 100 })), null);
+});
+
+test('max_quantity only limits symbols with a configured cap', () => {
+  const rule = rules.maxQuantity({ perSymbol: { 'BTC-USD': '0.5' } });
+  assert.equal(rule.check(order({ quantity: 0.5 })), null);
+  assert.equal(rule.check(order({ side: 'SELL', quantity: -0.6 })).value, 0.6);
+  assert.equal(rule.check(order({ symbol: 'ETH-USD', quantity: 1000 })), null);
+});
+
+test('price_band checks the price against both the book mid and the mark', () => {
+  const rule = rules.priceBand({ maxDeviationBps: 100 });
+  assert.equal(rule.check(order({ price: 50400 }), { market: { mid: 50000, mark: 50100 } }), null);
+  assert.match(rule.check(order({ price: 50600 }), { market: { mid: 50000 } }).reason, /from mid/);
+  assert.match(rule.check(order({ price: 50000 }), { market: { mid: 50000, mark: 49000 } }).reason, /from mark/);
+  assert.equal(rule.check(order(), { market: {} }), null, 'no reference price, nothing to compare');
+});
+
+test('stale_market_data rejects missing or old market data', () => {
+  const rule = rules.staleMarketData({ maxAgeMs: 15000 });
+  const now = 1_000_000;
+  assert.equal(rule.check(order(), { now, market: { updatedAt: now - 1000 } }), null);
+  assert.match(rule.check(order(), { now, market: {} }).reason, /no market data/);
+  const failed = rule.check(order(), { now, market: { updatedAt: now - 20000 } });
+  assert.equal(failed.value, 20000);
+  assert.equal(failed.max, 15000);
+});
+
+test('order_rate counts recorded orders per symbol over a sliding minute', () => {
+  const rule = rules.orderRate({ maxPerMinute: 2 });
+  rule.record(order(), { now: 0 });
+  rule.record(order(), { now: 10000 });
+  assert.ok(rule.check(order(), { now: 20000 }));
+  assert.equal(rule.check(order({ symbol: 'ETH-USD' }), { now: 20000 }), null);
+  assert.equal(rule.check(order(), { now: 60001 }), null, 'the first order left the window');
+});
+
+test('duplicate_order rejects the same order inside the window only', () => {
+  const rule = rules.duplicateOrder({ windowMs: 5000 });
+  rule.record(order(), { now: 0 });
+  assert.ok(rule.check(order(), { now: 1000 }));
+  assert.equal(rule.check(order({ side: 'SELL' }), { now: 1000 }), null);
+  assert.equal(rule.check(order({ quantity: 0.2 }), { now: 1000 }), null);
+  assert.equal(rule.check(order(), { now: 5000 }), null);
+});
+
+test('chain stops at the first failing rule and records only orders that passed', async () => {
+  const rate = rules.orderRate({ maxPerMinute: 1 });
+  const chain = createPreTradeChain([rules.maxOrderNotional({ maxUsd: 5000 }), rate]);
+  const rejected = await chain.check(order({ quantity: 1 }), { now: 0 });
+  assert.equal(rejected.ok, false);
+  assert.equal(rejected.rule, 'max_order_notional');
+  assert.deepEqual(await chain.check(order(), { now: 0 }), { ok: true });
+  const limited = await chain.check(order(), { now: 1000 });
+  assert.equal(limited.rule, 'order_rate');
+});
+
+test('closes run the per-order rules but skip the portfolio limits', async () => {
+  const portfolio = { name: 'exposure', opening: true, check: () => ({ reason: 'over the limit' }) };
+  const chain = createPreTradeChain([rules.symbolList({ deny: ['ETH-USD'] }), portfolio]);
+  assert.equal((await chain.check(order(), { now: 0 })).rule, 'exposure');
+  assert.deepEqual(await chain.check(order({ reduceOnly: true }), { now: 0 }), { ok: true });
+  assert.deepEqual(await chain.check(order({ intent: 'close', positionSide: 'LONG' }), { now: 0 }), { ok: true });
+  assert.equal((await chain.check(order({ symbol: 'ETH-USD', intent: 'close' }), { now: 0 })).rule, 'symbol_list');
+});
@@ -0,0 +1,61 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const { ProtectiveOrders } = require('../../src/execution/protective_orders');
+
+// Records submits and cancels in order; stop submissions fail while failStops > 0
+function stubOrders({ failStops = 0 } = {}) {
+  const orders = new EventEmitter();
+  orders.log = [];
+  orders.submit = async (order, meta) => {
+    if (order.type === 'STOP_MARKET' && failStops-- > 0) throw new Error('stop rejected');
+    orders.log.push(['submit', order.type]);
+    return { clientOrderId: order.newClientOrderId, stopPrice: order.stopPrice, status: 'acknowledged', meta };
+  };
+  orders.cancel = async (clientOrderId) => orders.log.push(['cancel', clientOrderId]);
+  return orders;
+}
+
+const legs = { symbol: 'BTC-USD', side: 'BUY', stopLoss: 49000, takeProfit: 52000, tickSize: 0.1 };
+
+test('re-protecting places the new legs before cancelling the previous ones', async () => {
+  const orders = stubOrders();
+  const protection = new ProtectiveOrders({}, orders);
+  const first = await protection.protect({ ...legs, quantity: 0.01 });
+  orders.log.length = 0;
+  await protection.protect({ ...legs, quantity: 0.02 });
+  assert.deepEqual(orders.log.map(([op]) => op), ['submit', 'submit', 'cancel', 'cancel']);
+  assert.deepEqual(orders.log.slice(2).map(([, id]) => id), [first.stop.clientOrderId, first.takeProfit.clientOrderId]);
+  assert.equal(protection.describe('BTC-USD').quantity, 0.02);
+});
+
+test('a failing stop leg is retried before giving up', async () => {
+  const orders = stubOrders({ failStops: 2 });
+  const protection = new ProtectiveOrders({}, orders, { stopRetries: 2, retryDelayMs: 0 });
+  const bracket = await protection.protect({ ...legs, quantity: 0.01 });
+  assert.ok(bracket.stop);
+});
+
+test('a stop that cannot be placed keeps the previous stop, or reports the position unprotected', async () => {
+  const orders = stubOrders();
+  const protection = new ProtectiveOrders({}, orders, { stopRetries: 1, retryDelayMs: 0 });
+  const unprotected = [];
+  protection.on('unprotected', (e) => unprotected.push(e));
+  protection.on('protection-error', () => {});
+  const first = await protection.protect({ ...legs, quantity: 0.01 });
+
+  orders.submit = ((submit) => async (order, meta) => {
+    if (order.type === 'STOP_MARKET') throw new Error('stop rejected');
+    return submit(order, meta);
+  })(orders.submit);
+  const second = await protection.protect({ ...legs, quantity: 0.02 });
+  assert.equal(second.stop, first.stop, 'previous stop left in place');
+  assert.ok(!orders.log.some(([op, id]) => op === 'cancel' && id === first.stop.clientOrderId));
+  assert.equal(unprotected.length, 0);
+
+  await protection.cancel('BTC-USD');
+  await protection.protect({ ...legs, quantity: 0.02 });
+  assert.deepEqual(unprotected, [{ symbol: 'BTC-USD', side: 'BUY', quantity: 0.02, positionSide: null }]);
+});
@@ -0,0 +1,39 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SmartExecutor } = require('../../src/execution/smart_executor');
+
+// Children fill in full at 100 until `failAt`, where the submission throws
+function stubOrders(failAt) {
+  let submitted = 0;
+  return {
+    submit: async (order) => {
+      if (submitted++ === failAt) throw new Error('Order rejected by LOT_SIZE');
+      return { clientOrderId: `c${submitted}`, type: order.type, executedQty: order.quantity, avgPrice: 100, status: 'filled' };
+    },
+    waitFor: async () => null
+  };
+}
+
+const twap = { twapSlices: 3, twapIntervalMs: 0 };
+
+test('a failing TWAP slice stops the schedule and still reports what filled', async () => {
+  const executor = new SmartExecutor({ api: {}, orders: stubOrders(1), options: twap });
+  const errors = [];
+  executor.on('child-error', (e) => errors.push(e));
+  const report = await executor.execute({ symbol: 'BTC-USD', side: 'BUY', quantity: 3, decisionPrice: 100, algo: 'twap' });
+  assert.equal(report.executedQty, 1);
+  assert.equal(report.childOrders, 1);
+  assert.equal(report.error, 'Order rejected by LOT_SIZE');
+  assert.equal(errors.length, 1);
+});
+
+test('a parent that filled nothing fails with the child error', async () => {
+  const executor = new SmartExecutor({ api: {}, orders: stubOrders(0), options: twap });
+  await assert.rejects(
+    executor.execute({ symbol: 'BTC-USD', side: 'BUY', quantity: 3, decisionPrice: 100, algo: 'twap' }),
+    /LOT_SIZE/
+  );
+  assert.deepEqual(executor.workingOrders(), []);
+});
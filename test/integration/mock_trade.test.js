@@ -0,0 +1,63 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const { MockExchange } = require('../../src/aster/mock/mock_exchange');
+const { MockAdapter } = require('../../src/aster/adapters/mock_adapter');
+const { AsterApiClient } = require('../../src/aster/api_client');
+const { AsterWebSocket } = require('../../src/aster/websocket_handler');
+const { OrderManager } = require('../../src/execution/order_manager');
+const { ProtectiveOrders } = require('../../src/execution/protective_orders');
+const { SmartExecutor } = require('../../src/execution/smart_executor');
+
+// Full order path against the in-process venue: entry, fill over the user stream, bracket, target hit
+test('mock venue fills an entry, attaches its stop and target, and closes on the target', async (t) => {
+  const exchange = new MockExchange({ seed: 7, balanceUsd: 10000, symbols: ['BTC-USD'], prices: { 'BTC-USD': 50000 } });
+  const adapter = new MockAdapter(null, exchange);
+  const api = new AsterApiClient({ adapter });
+  const ws = new AsterWebSocket({ adapter });
+  const orders = new OrderManager(api);
+  const protection = new ProtectiveOrders(api, orders);
+  const executor = new SmartExecutor({ api, orders });
+  t.after(() => {
+    exchange.stop();
+    orders.stop();
+    ws.disconnect();
+  });
+
+  ws.on('order-update', (update) => orders.applyUpdate(update));
+  ws.on('user-stream-open', () => orders.setUserStream(true));
+  ws.connect();
+  await ws.startUserDataStream(api);
+  exchange.start(50);
+
+  const report = await executor.execute({
+    symbol: 'BTC-USD',
+    side: 'BUY',
+    quantity: 0.01,
+    decisionPrice: 50000,
+    algo: 'market',
+    stepSize: 0.001,
+    tickSize: 0.1,
+    meta: { role: 'entry', symbol: 'BTC-USD' }
+  });
+  assert.ok(report.executedQty > 0, 'entry filled');
+  const [position] = exchange.positionList().filter((p) => p.symbol === 'BTC-USD');
+  assert.ok(position.quantity > 0, 'long position open');
+
+  await protection.protect({ symbol: 'BTC-USD', side: 'BUY', quantity: report.executedQty, stopLoss: 49000, takeProfit: 51000, tickSize: 0.1 });
+  const bracket = protection.describe('BTC-USD');
+  assert.equal(bracket.stopLoss.status, 'acknowledged');
+  assert.equal(bracket.takeProfit.status, 'acknowledged');
+  assert.deepEqual(exchange.openOrders('BTC-USD').map((o) => o.type).sort(), ['STOP_MARKET', 'TAKE_PROFIT_MARKET']);
+
+  exchange.stop();
+  const triggered = once(protection, 'triggered');
+  exchange.setPrice('BTC-USD', 51500);
+  const [event] = await triggered;
+  assert.equal(event.role, 'take_profit');
+  assert.equal(protection.describe('BTC-USD'), null);
+  await orders.waitFor(bracket.stopLoss.clientOrderId, 2000);
+  assert.deepEqual(exchange.openOrders('BTC-USD'), [], 'stop leg cancelled once the target filled');
+});
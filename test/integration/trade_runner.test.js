@@ -0,0 +1,60 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Config is read once at load: one symbol, one confirming signal, state and logs in a scratch dir
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qvt-runner-'));
+process.env.SYMBOLS = 'BTC-USD';
+process.env.SIGNAL_CONFIRMATIONS = '1';
+process.env.RISK_STATE_FILE = path.join(dir, 'risk_state.json');
+
+const logger = require('../../src/utils/logger');
+const { MockExchange } = require('../../src/aster/mock/mock_exchange');
+const { MockAdapter } = require('../../src/aster/adapters/mock_adapter');
+const { AsterApiClient } = require('../../src/aster/api_client');
+const { AsterWebSocket } = require('../../src/aster/websocket_handler');
+const { decideTrade } = require('../../src/ai/decision_engine');
+const { main } = require('../../src/trade_runner');
+
+logger.logDir = dir;
+logger.enableConsole = false;
+
+test('runner takes a decision through the pre-trade chain to a protected fill on the mock venue', async (t) => {
+  // Five hours of one-minute bars so the strategies have history to work on
+  let now = Date.now() - 300 * 60000;
+  const exchange = new MockExchange({ seed: 11, symbols: ['BTC-USD'], prices: { 'BTC-USD': 50000 }, now: () => now });
+  for (; now < Date.now(); now += 60000) exchange.tick();
+  now = Date.now();
+
+  const adapter = new MockAdapter(null, exchange);
+  const api = new AsterApiClient({ adapter });
+  const ws = new AsterWebSocket({ adapter });
+  const decisions = [];
+  // decideTrade runs for real on the mock candles; only its verdict is pinned so the test does not hang on the signal
+  const decide = async (input) => {
+    const decision = await decideTrade(input);
+    decisions.push(decision);
+    const price = input.candles[input.candles.length - 1].close;
+    return { ...decision, action: 'buy', confidence: 0.9, sizeUsd: 500, stops: { stopLoss: price * 0.98, takeProfit: price * 1.04 } };
+  };
+  const runner = await main({ api, ws, dryRun: false, decide, dashboard: null });
+  t.after(() => {
+    runner.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  await runner.decideForSymbol('BTC-USD');
+  assert.equal(decisions.length, 1);
+
+  const [position] = exchange.positionList();
+  assert.ok(position.quantity > 0, 'entry filled');
+  const bracket = runner.protection.describe('BTC-USD');
+  assert.equal(bracket.quantity, position.quantity);
+  assert.deepEqual(exchange.openOrders('BTC-USD').map((o) => o.type).sort(), ['STOP_MARKET', 'TAKE_PROFIT_MARKET']);
+  assert.ok(runner.supervisor.get('BTC-USD'), 'position supervised');
+  assert.equal(runner.signalGovernor.snapshot().symbols['BTC-USD'].lastTradeAt > 0, true);
+});
@@ -0,0 +1,31 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SignalGovernor } = require('../../src/strategies/signal_governor');
+
+const settings = { confirmations: 2, confirmBy: 'bars', entryThreshold: 0.3, exitThreshold: 0.15, cooldownMs: 60000, minHoldMs: 600000 };
+
+test('bars mode counts one confirmation per bar however often it evaluates', () => {
+  const g = new SignalGovernor(settings);
+  const buy = (barTime, now) => g.evaluate({ symbol: 'BTC-USD', action: 'buy', confidence: 0.5, barTime, now });
+  for (let i = 0; i < 10; i++) assert.equal(buy(0, 1000 + i).rule, 'persistence');
+  assert.equal(buy(300000, 301000).allowed, true);
+});
+
+test('positions held across a restart keep their minimum hold', () => {
+  const g = new SignalGovernor(settings);
+  const now = 10_000_000;
+  g.syncPositions([{ symbol: 'BTC-USD', quantity: 1, updateTime: now - 60000 }], now);
+  const sell = (barTime) => g.evaluate({ symbol: 'BTC-USD', action: 'sell', confidence: 0.2, position: 1, barTime, now });
+  sell(0);
+  const blocked = sell(300000);
+  assert.equal(blocked.kind, 'exit');
+  assert.equal(blocked.rule, 'min_hold');
+});
+
+test('a position without an update time starts its hold when first seen', () => {
+  const g = new SignalGovernor(settings);
+  g.syncPositions([{ symbol: 'BTC-USD', quantity: -1 }], 5000);
+  assert.equal(g.snapshot().symbols['BTC-USD'].openedAt, 5000);
+});